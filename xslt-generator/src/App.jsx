@@ -5,28 +5,52 @@ import { XMLViewer } from './components/XMLViewer';
 import { FormatSelector } from './components/FormatSelector';
 import { MappingInterface } from './components/MappingInterface';
 import { XSLTPreview } from './components/XSLTPreview';
+import { ProjectControls } from './components/ProjectControls';
+import { TargetSchemaUpload } from './components/TargetSchemaUpload';
 import { Button } from './components/ui/Button';
 import { Alert, AlertDescription, AlertTitle } from './components/ui/Alert';
 import { parseXML, extractPaths, xmlToTree, extractNamespaces } from './utils/xmlParser';
-import { generateXSLT, validateXSLT } from './utils/xsltGenerator';
+import { parseXSD, extractXSDStructure, getTargetNodes, findUnmappedTargetNodes } from './utils/xsdParser';
+import { generateXSLT, validateXSLT, getMissingMappingPart } from './utils/xsltGenerator';
+import { downloadProject, parseProject } from './utils/projectFile';
+import { importXSLT } from './utils/xsltImporter';
+
+// What an incomplete mapping still needs, by getMissingMappingPart result
+const MISSING_MAPPING_PARTS = {
+  target: 'a target name',
+  source: 'a source path',
+  forEach: 'a for-each path',
+  parts: 'at least one concatenation part and no empty XPath parts',
+  otherwise: 'an otherwise source path',
+};
 
 function App() {
   const [xmlContent, setXmlContent] = useState(null);
+  const [xmlFileName, setXmlFileName] = useState('');
+  const [xmlDoc, setXmlDoc] = useState(null);
   const [xmlTree, setXmlTree] = useState(null);
+  const [isSchemaSource, setIsSchemaSource] = useState(false);
+  const [schemaWarnings, setSchemaWarnings] = useState([]);
   const [paths, setPaths] = useState([]);
   const [namespaces, setNamespaces] = useState({});
   const [outputFormat, setOutputFormat] = useState('xml');
   const [mappings, setMappings] = useState({ rootPath: '', recordPath: '', fields: [] });
+  const [targetSchema, setTargetSchema] = useState(null);
+  const [unmappedTargets, setUnmappedTargets] = useState([]);
   const [xsltContent, setXsltContent] = useState('');
   const [error, setError] = useState('');
 
   const handleFileLoad = (content, filename) => {
     setError('');
     setXsltContent('');
+    setIsSchemaSource(false);
+    setSchemaWarnings([]);
     
     if (!content) {
       // File cleared
       setXmlContent(null);
+      setXmlFileName('');
+      setXmlDoc(null);
       setXmlTree(null);
       setPaths([]);
       setNamespaces({});
@@ -36,14 +60,16 @@ function App() {
 
     try {
       // Parse XML
-      const xmlDoc = parseXML(content);
+      const doc = parseXML(content);
       
       // Extract structure
-      const tree = xmlToTree(xmlDoc);
-      const extractedPaths = extractPaths(xmlDoc);
-      const ns = extractNamespaces(xmlDoc);
+      const tree = xmlToTree(doc);
+      const ns = extractNamespaces(doc);
+      const extractedPaths = extractPaths(doc, ns);
       
       setXmlContent(content);
+      setXmlFileName(filename);
+      setXmlDoc(doc);
       setXmlTree(tree);
       setPaths(extractedPaths);
       setNamespaces(ns);
@@ -53,8 +79,112 @@ function App() {
     }
   };
 
+  const handleSchemaLoad = (files) => {
+    setError('');
+    setXsltContent('');
+
+    try {
+      // Build paths from the schema; there is no sample document to run or match against
+      const structure = extractXSDStructure(parseXSD(files));
+
+      setXmlContent(null);
+      setXmlFileName(files.map(file => file.fileName).join(', '));
+      setXmlDoc(null);
+      setXmlTree(structure.tree);
+      setPaths(structure.paths);
+      setNamespaces(structure.namespaces);
+      setIsSchemaSource(true);
+      setSchemaWarnings(structure.warnings);
+    } catch (err) {
+      setError('Failed to parse XSD: ' + err.message);
+    }
+  };
+
+  const handleTargetSchemaLoad = (files) => {
+    // Throws on invalid schemas; TargetSchemaUpload reports the error
+    const structure = extractXSDStructure(parseXSD(files));
+    // Target paths are prefixed, so the schema namespaces are declared by prefix on the root element
+    const targetNamespaces = Object.fromEntries(
+      Object.entries(structure.namespaces).filter(([key]) => key !== 'default')
+    );
+
+    setTargetSchema({
+      fileName: files.map(file => file.fileName).join(', '),
+      nodes: getTargetNodes(structure),
+      warnings: structure.warnings
+    });
+    setUnmappedTargets([]);
+    // The schema's document element becomes the output root element; namespaces already set on it
+    // are kept, the schema's binding wins for a prefix declared by both
+    setMappings(current => {
+      const namespaces = { ...(current.rootElement && current.rootElement.namespaces), ...targetNamespaces };
+      return {
+        ...current,
+        rootElement: {
+          attributes: [],
+          ...current.rootElement,
+          name: structure.rootElement,
+          namespaces: Object.keys(namespaces).length > 0 ? namespaces : undefined
+        }
+      };
+    });
+  };
+
+  const handleTargetSchemaClear = () => {
+    setTargetSchema(null);
+    setUnmappedTargets([]);
+  };
+
+  const handleXsltVersionChange = (xsltVersion) => {
+    setMappings({ ...mappings, xsltVersion });
+  };
+
+  const handleCSVDialectChange = (csvDialect) => {
+    setMappings({ ...mappings, csvDialect });
+  };
+
+  const handleExportProject = (includeSample) => {
+    const baseName = xmlFileName ? xmlFileName.replace(/\.xml$/i, '') : 'xslt';
+    downloadProject(
+      {
+        mappings,
+        outputFormat,
+        sample: includeSample ? { fileName: xmlFileName, content: xmlContent } : null,
+      },
+      `${baseName}-project.json`
+    );
+  };
+
+  const handleImportProject = (text) => {
+    // Throws on invalid files; ProjectControls reports the error
+    const project = parseProject(text);
+
+    if (project.sample) {
+      handleFileLoad(project.sample.content, project.sample.fileName);
+    } else {
+      setError('');
+      setXsltContent('');
+    }
+
+    setOutputFormat(project.outputFormat);
+    setMappings(project.mappings);
+  };
+
+  const handleImportXSLT = (text) => {
+    // Throws on invalid stylesheets; ProjectControls reports the error
+    const imported = importXSLT(text);
+
+    setError('');
+    setXsltContent('');
+    setOutputFormat(imported.outputFormat);
+    setMappings(imported.mappings);
+
+    return imported.warnings;
+  };
+
   const handleGenerateXSLT = () => {
     setError('');
+    setUnmappedTargets([]);
     
     console.log('Generate XSLT clicked');
     console.log('Mappings:', mappings);
@@ -66,24 +196,31 @@ function App() {
       return;
     }
 
-    // Check if all mappings are complete
-    const incompleteMappings = mappings.fields.filter(
-      (m) => !m.sourcePath || !m.targetName
-    );
+    // Check if all mappings are complete for their value source
+    const incompleteMappings = mappings.fields
+      .map((m, index) => ({ index, missing: getMissingMappingPart(m) }))
+      .filter((m) => m.missing);
     
     if (incompleteMappings.length > 0) {
       console.error('Incomplete mappings:', incompleteMappings);
-      setError('Please complete all field mappings (source path and target name required)');
+      setError('Please complete all field mappings: ' + incompleteMappings
+        .map(({ index, missing }) => `mapping ${index + 1} needs ${MISSING_MAPPING_PARTS[missing]}`)
+        .join(', '));
       return;
     }
 
+    // Mandatory target nodes without a mapping are reported but do not block generation
+    if (targetSchema && outputFormat === 'xml') {
+      setUnmappedTargets(findUnmappedTargetNodes(targetSchema.nodes, mappings));
+    }
+
     try {
       console.log('Starting XSLT generation...');
       
       // Generate XSLT
       const xslt = generateXSLT(outputFormat, mappings, {
         namespaces,
-        delimiter: ',',
+        dialect: mappings.csvDialect,
       });
       
       console.log('XSLT generated, length:', xslt.length);
@@ -107,7 +244,8 @@ function App() {
     }
   };
 
-  const canGenerate = xmlContent && mappings.fields && mappings.fields.length > 0;
+  const hasSource = Boolean(xmlFileName);
+  const canGenerate = hasSource && mappings.fields && mappings.fields.length > 0;
 
   return (
     <div className="min-h-screen bg-background">
@@ -150,6 +288,14 @@ function App() {
             </Alert>
           )}
 
+          {/* Project Save / Load */}
+          <ProjectControls
+            hasSample={Boolean(xmlContent)}
+            onExport={handleExportProject}
+            onImport={handleImportProject}
+            onImportXSLT={handleImportXSLT}
+          />
+
           {/* Step 1: Upload XML */}
           <section>
             <div className="flex items-center gap-2 mb-4">
@@ -158,19 +304,36 @@ function App() {
               </div>
               <h2 className="text-xl font-semibold">Upload XML File</h2>
             </div>
-            <FileUpload onFileLoad={handleFileLoad} />
+            <FileUpload
+              fileName={xmlFileName}
+              isSchema={isSchemaSource}
+              onFileLoad={handleFileLoad}
+              onSchemaLoad={handleSchemaLoad}
+            />
+            {schemaWarnings.length > 0 && (
+              <Alert className="mt-4">
+                <AlertTitle>Schema loaded with warnings</AlertTitle>
+                <AlertDescription>
+                  <ul className="list-disc list-inside space-y-1 font-mono text-xs max-h-40 overflow-auto">
+                    {schemaWarnings.map((warning, index) => (
+                      <li key={index}>{warning}</li>
+                    ))}
+                  </ul>
+                </AlertDescription>
+              </Alert>
+            )}
           </section>
 
           {/* Step 2: Select Format & View XML */}
-          <section className={!xmlContent ? 'opacity-50 pointer-events-none' : ''}>
+          <section className={!hasSource ? 'opacity-50 pointer-events-none' : ''}>
             <div className="flex items-center gap-2 mb-4">
               <div className={`flex items-center justify-center w-8 h-8 rounded-full text-sm font-bold ${
-                xmlContent ? 'bg-primary text-primary-foreground' : 'bg-muted text-muted-foreground'
+                hasSource ? 'bg-primary text-primary-foreground' : 'bg-muted text-muted-foreground'
               }`}>
                 2
               </div>
               <h2 className="text-xl font-semibold">Configure Output</h2>
-              {!xmlContent && (
+              {!hasSource && (
                 <span className="text-sm text-muted-foreground">(Upload XML first)</span>
               )}
             </div>
@@ -179,27 +342,45 @@ function App() {
               <FormatSelector
                 selectedFormat={outputFormat}
                 onFormatChange={setOutputFormat}
+                xsltVersion={mappings.xsltVersion}
+                onXsltVersionChange={handleXsltVersionChange}
+                csvDialect={mappings.csvDialect}
+                onCSVDialectChange={handleCSVDialectChange}
               />
               <XMLViewer xmlTree={xmlTree} paths={paths} />
             </div>
           </section>
 
           {/* Step 3: Map Fields */}
-          <section className={!xmlContent ? 'opacity-50 pointer-events-none' : ''}>
+          <section className={!hasSource ? 'opacity-50 pointer-events-none' : ''}>
             <div className="flex items-center gap-2 mb-4">
               <div className={`flex items-center justify-center w-8 h-8 rounded-full text-sm font-bold ${
-                xmlContent ? 'bg-primary text-primary-foreground' : 'bg-muted text-muted-foreground'
+                hasSource ? 'bg-primary text-primary-foreground' : 'bg-muted text-muted-foreground'
               }`}>
                 3
               </div>
               <h2 className="text-xl font-semibold">Map Fields</h2>
-              {!xmlContent && (
+              {!hasSource && (
                 <span className="text-sm text-muted-foreground">(Upload XML first)</span>
               )}
             </div>
+            {outputFormat === 'xml' && (
+              <div className="mb-6">
+                <TargetSchemaUpload
+                  fileName={targetSchema ? targetSchema.fileName : ''}
+                  warnings={targetSchema ? targetSchema.warnings : []}
+                  onSchemaLoad={handleTargetSchemaLoad}
+                  onClear={handleTargetSchemaClear}
+                />
+              </div>
+            )}
             <MappingInterface
               paths={paths}
+              targetNodes={targetSchema && outputFormat === 'xml' ? targetSchema.nodes : null}
+              xmlDoc={xmlDoc}
+              namespaces={namespaces}
               outputFormat={outputFormat}
+              mappings={mappings}
               onMappingsChange={setMappings}
             />
           </section>
@@ -215,16 +396,32 @@ function App() {
               <Zap className="w-5 h-5 mr-2" />
               Generate XSLT
             </Button>
-            {!canGenerate && xmlContent && (
+            {!canGenerate && hasSource && (
               <p className="text-sm text-muted-foreground">
                 Add at least one field mapping to generate XSLT
               </p>
             )}
-            {!xmlContent && (
+            {!hasSource && (
               <p className="text-sm text-muted-foreground">
                 Upload an XML file and add mappings to generate XSLT
               </p>
             )}
+            {unmappedTargets.length > 0 && (
+              <Alert className="w-full">
+                <AlertCircle className="w-4 h-4" />
+                <AlertTitle>
+                  {unmappedTargets.length} mandatory target node(s) have no mapping
+                </AlertTitle>
+                <AlertDescription>
+                  <p className="mb-2">The generated output will not be valid against the target schema until these are mapped:</p>
+                  <ul className="list-disc list-inside space-y-1 font-mono text-xs max-h-40 overflow-auto">
+                    {unmappedTargets.map((node) => (
+                      <li key={node.path}>{node.path}</li>
+                    ))}
+                  </ul>
+                </AlertDescription>
+              </Alert>
+            )}
           </section>
 
           {/* Step 4: Preview & Download */}
@@ -234,10 +431,11 @@ function App() {
                 <div className="flex items-center justify-center w-8 h-8 rounded-full bg-primary text-primary-foreground text-sm font-bold">
                   4
                 </div>
-                <h2 className="text-xl font-semibold">Download XSLT</h2>
+                <h2 className="text-xl font-semibold">Preview, Run &amp; Download</h2>
               </div>
               <XSLTPreview
                 xsltContent={xsltContent}
+                xmlContent={xmlContent}
                 filename={`transform-${outputFormat}.xslt`}
               />
             </section>
@@ -0,0 +1,114 @@
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { XPathInput } from './XPathInput';
+import { isValidQName } from '../utils/xmlParser';
+
+/**
+ * Get the value mode of a generator attribute ({ name, xpath } | { name, isHardcoded, value } | { name, isVariable, value })
+ */
+function getAttributeMode(attr) {
+  if (attr.isVariable) return 'variable';
+  if (attr.isHardcoded) return 'hardcoded';
+  return 'xpath';
+}
+
+/**
+ * Build a generator attribute from its name, value mode and value
+ */
+function createAttribute(name, mode, value) {
+  switch (mode) {
+    case 'variable':
+      return { name, isVariable: true, value };
+    case 'hardcoded':
+      return { name, isHardcoded: true, value };
+    default:
+      return { name, xpath: value };
+  }
+}
+
+/**
+ * Editor for the attributes written on an output element
+ * Values are an XPath (relative to the enclosing for-each), a fixed text or a variable reference
+ */
+export function AttributeEditor({ attributes, onChange }) {
+  const list = attributes || [];
+
+  const updateAttribute = (index, changes) => {
+    onChange(list.map((attr, i) => {
+      if (i !== index) return attr;
+      const mode = changes.mode || getAttributeMode(attr);
+      const value = changes.value !== undefined ? changes.value : (attr.xpath || attr.value || '');
+      return createAttribute(changes.name !== undefined ? changes.name : attr.name, mode, value);
+    }));
+  };
+
+  return (
+    <div className="space-y-2">
+      {list.map((attr, index) => {
+        const mode = getAttributeMode(attr);
+        const value = mode === 'xpath' ? attr.xpath || '' : attr.value || '';
+
+        return (
+          <div key={index} className="flex items-start gap-2">
+            <div className="w-40 flex-shrink-0">
+              <Input
+                placeholder="Attribute name"
+                value={attr.name}
+                onChange={(e) => updateAttribute(index, { name: e.target.value })}
+                className="font-mono text-sm"
+              />
+              {attr.name && !isValidQName(attr.name) && (
+                <p className="text-xs text-destructive mt-1">Not a valid XML name</p>
+              )}
+            </div>
+            <Select
+              value={mode}
+              onChange={(e) => updateAttribute(index, { mode: e.target.value })}
+              className="w-32 text-sm"
+            >
+              <option value="xpath">XPath</option>
+              <option value="hardcoded">Fixed value</option>
+              <option value="variable">Variable</option>
+            </Select>
+            <div className="flex-1 min-w-0">
+              {mode === 'xpath' ? (
+                <XPathInput
+                  placeholder="e.g., @id or Header/Version"
+                  value={value}
+                  onChange={(e) => updateAttribute(index, { value: e.target.value })}
+                  className="text-sm"
+                />
+              ) : (
+                <Input
+                  placeholder={mode === 'variable' ? 'Variable name (without $)' : 'Value'}
+                  value={value}
+                  list={mode === 'variable' ? 'mapping-variable-names' : undefined}
+                  onChange={(e) => updateAttribute(index, { value: e.target.value })}
+                  className={mode === 'variable' ? 'font-mono text-sm' : 'text-sm'}
+                />
+              )}
+            </div>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => onChange(list.filter((_, i) => i !== index))}
+              title="Remove attribute"
+            >
+              <Trash2 className="w-4 h-4 text-destructive" />
+            </Button>
+          </div>
+        );
+      })}
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...list, createAttribute('', 'xpath', '')])}
+      >
+        <Plus className="w-4 h-4 mr-2" />
+        Add Attribute
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { getCSVDialect, getCSVDialectError } from '../utils/csvDialect';
+
+const DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' },
+];
+
+/**
+ * Editor for the dialect of flat file output: delimiter (a preset or any other text), quote
+ * character, quoting policy, escape style and line terminator
+ * onChange receives the new dialect; empty settings take the defaults
+ */
+export function CSVDialectEditor({ dialect, onChange }) {
+  const value = getCSVDialect(dialect);
+  const error = getCSVDialectError(value);
+  const [otherSelected, setOtherSelected] = useState(false);
+  // Other is shown once selected and for delimiters without a preset (e.g. from an imported project)
+  const customDelimiter = otherSelected || !DELIMITERS.some((delimiter) => delimiter.value === value.delimiter);
+  const quotes = value.quoting !== 'never';
+
+  const update = (changes) => {
+    onChange({ ...dialect, ...changes });
+  };
+
+  const handleDelimiterPresetChange = (delimiter) => {
+    setOtherSelected(!delimiter);
+    if (delimiter) update({ delimiter });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="text-sm font-medium mb-2 block">
+          Delimiter
+        </label>
+        <div className="flex gap-2">
+          <Select
+            value={customDelimiter ? '' : value.delimiter}
+            onChange={(e) => handleDelimiterPresetChange(e.target.value)}
+            className="flex-1 text-sm"
+          >
+            {DELIMITERS.map((delimiter) => (
+              <option key={delimiter.label} value={delimiter.value}>
+                {delimiter.label}
+              </option>
+            ))}
+            <option value="">Other</option>
+          </Select>
+          {customDelimiter && (
+            <Input
+              placeholder="e.g. ~"
+              value={(dialect && dialect.delimiter) || ''}
+              onChange={(e) => update({ delimiter: e.target.value })}
+              className="w-24 font-mono text-sm"
+            />
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="text-sm font-medium mb-2 block">
+            Quoting
+          </label>
+          <Select
+            value={value.quoting}
+            onChange={(e) => update({ quoting: e.target.value })}
+            className="text-sm"
+          >
+            <option value="needed">When needed</option>
+            <option value="always">Always</option>
+            <option value="never">Never</option>
+          </Select>
+        </div>
+        <div>
+          <label className="text-sm font-medium mb-2 block">
+            Quote Character
+          </label>
+          <Input
+            placeholder='"'
+            value={dialect && dialect.quoteChar !== undefined ? dialect.quoteChar : value.quoteChar}
+            onChange={(e) => update({ quoteChar: e.target.value })}
+            disabled={!quotes}
+            maxLength={1}
+            className="font-mono text-sm"
+          />
+        </div>
+        <div>
+          <label className="text-sm font-medium mb-2 block">
+            Escape Quotes
+          </label>
+          <Select
+            value={value.escape}
+            onChange={(e) => update({ escape: e.target.value })}
+            disabled={!quotes}
+            className="text-sm"
+          >
+            <option value="double">Double them ("")</option>
+            <option value="backslash">Backslash (\")</option>
+          </Select>
+        </div>
+        <div>
+          <label className="text-sm font-medium mb-2 block">
+            Line Terminator
+          </label>
+          <Select
+            value={value.lineTerminator}
+            onChange={(e) => update({ lineTerminator: e.target.value })}
+            className="text-sm"
+          >
+            <option value="LF">LF (Unix)</option>
+            <option value="CRLF">CRLF (Windows, RFC 4180)</option>
+          </Select>
+        </div>
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        {quotes
+          ? 'Headers and values are quoted as set and quote characters inside them escaped'
+          : 'Values are written as they are; a delimiter or line break inside a value splits it'}
+      </p>
+      {error && (
+        <p className="text-xs text-destructive">{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { ArrowDown, ArrowUp, Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { XPathInput } from './XPathInput';
+
+/**
+ * Editor for the ordered parts of a concatenation mapping
+ * Parts are source XPaths or literal texts; the optional separator is written between them
+ * onChange receives the mapping properties to update ({ parts } or { separator })
+ */
+export function ConcatEditor({ parts, separator, onChange }) {
+  const list = parts || [];
+
+  const updatePart = (index, changes) => {
+    onChange({ parts: list.map((part, i) => (i === index ? { ...part, ...changes } : part)) });
+  };
+
+  const movePart = (index, offset) => {
+    const next = [...list];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange({ parts: next });
+  };
+
+  return (
+    <div className="space-y-2">
+      {list.map((part, index) => (
+        <div key={index} className="flex items-start gap-1">
+          <Select
+            value={part.type}
+            onChange={(e) => updatePart(index, { type: e.target.value })}
+            className="w-24 flex-shrink-0 text-sm"
+          >
+            <option value="xpath">XPath</option>
+            <option value="text">Text</option>
+          </Select>
+          <div className="flex-1 min-w-0">
+            {part.type === 'xpath' ? (
+              <XPathInput
+                placeholder="Select or type source XPath..."
+                list="mapping-source-paths"
+                value={part.value || ''}
+                onChange={(e) => updatePart(index, { value: e.target.value })}
+              />
+            ) : (
+              <Input
+                placeholder="Literal text, e.g. T or -"
+                value={part.value || ''}
+                onChange={(e) => updatePart(index, { value: e.target.value })}
+              />
+            )}
+          </div>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => movePart(index, -1)}
+            disabled={index === 0}
+            title="Move up"
+          >
+            <ArrowUp className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => movePart(index, 1)}
+            disabled={index === list.length - 1}
+            title="Move down"
+          >
+            <ArrowDown className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => onChange({ parts: list.filter((_, i) => i !== index) })}
+            title="Remove part"
+          >
+            <Trash2 className="w-4 h-4 text-destructive" />
+          </Button>
+        </div>
+      ))}
+      <div className="flex items-center gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onChange({ parts: [...list, { type: 'xpath', value: '' }] })}
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Add Part
+        </Button>
+        <Input
+          placeholder="Separator (optional)"
+          value={separator || ''}
+          onChange={(e) => onChange({ separator: e.target.value || undefined })}
+          className="w-44 text-sm"
+          title="Written between the parts; XSLT 2.0+ leaves out parts that select nothing"
+        />
+      </div>
+    </div>
+  );
+}
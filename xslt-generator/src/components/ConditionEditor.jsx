@@ -0,0 +1,89 @@
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { XPathInput } from './XPathInput';
+
+// What is written when the condition is false (see getOtherwiseValue)
+const OTHERWISE_SOURCES = [
+  { value: 'hardcoded', label: 'Constant' },
+  { value: 'xpath', label: 'XPath' },
+  { value: 'empty', label: 'Empty' },
+];
+
+/**
+ * Editor for the condition of a mapping and its optional otherwise branch
+ * The mapping is only written when the condition holds; an otherwise branch writes another
+ * value instead. Components have no value of their own, so they only get the condition.
+ * onChange receives the mapping properties to update ({ condition, otherwise })
+ */
+export function ConditionEditor({ condition, otherwise, allowOtherwise, skipLabel, emptyLabel, onChange }) {
+  const hasCondition = Boolean(condition && condition.trim());
+
+  const handleOtherwiseSourceChange = (valueType) => {
+    switch (valueType) {
+      case 'hardcoded':
+        onChange({ otherwise: { valueType, hardcodedValue: '' } });
+        break;
+      case 'xpath':
+        onChange({ otherwise: { valueType, sourcePath: '' } });
+        break;
+      case 'empty':
+        onChange({ otherwise: { valueType } });
+        break;
+      default:
+        onChange({ otherwise: undefined });
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <XPathInput
+        placeholder="Only when, e.g. Price > 20 or @status = 'A' (always when empty)"
+        list="mapping-source-paths"
+        value={condition || ''}
+        onChange={(e) => onChange({ condition: e.target.value || undefined })}
+        className="text-sm"
+      />
+      {hasCondition && allowOtherwise && (
+        <div className="flex items-start gap-2">
+          <span className="h-10 flex items-center text-xs text-muted-foreground">Otherwise</span>
+          <Select
+            value={otherwise ? otherwise.valueType : ''}
+            onChange={(e) => handleOtherwiseSourceChange(e.target.value)}
+            className="w-32 text-sm"
+          >
+            <option value="">{skipLabel}</option>
+            {OTHERWISE_SOURCES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </Select>
+          <div className="flex-1 min-w-0">
+            {otherwise && otherwise.valueType === 'hardcoded' && (
+              <Input
+                placeholder="Constant value"
+                value={otherwise.hardcodedValue || ''}
+                onChange={(e) => onChange({ otherwise: { ...otherwise, hardcodedValue: e.target.value } })}
+                className="text-sm"
+              />
+            )}
+            {otherwise && otherwise.valueType === 'xpath' && (
+              <XPathInput
+                placeholder="Select or type source XPath..."
+                list="mapping-source-paths"
+                value={otherwise.sourcePath || ''}
+                onChange={(e) => onChange({ otherwise: { ...otherwise, sourcePath: e.target.value } })}
+                className="text-sm"
+              />
+            )}
+            {otherwise && otherwise.valueType === 'empty' && (
+              <div className="h-10 px-3 flex items-center text-sm text-muted-foreground italic border rounded-md border-dashed">
+                {emptyLabel}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,10 +3,22 @@ import { Upload, FileText, X } from 'lucide-react';
 import { Button } from './ui/Button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/Card';
 import { Alert, AlertDescription } from './ui/Alert';
+import { isSchemaFile } from '../utils/xsdParser';
 
-export function FileUpload({ onFileLoad }) {
+/**
+ * Read a file as text
+ */
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error(`Error reading ${file.name}`));
+    reader.readAsText(file);
+  });
+}
+
+export function FileUpload({ fileName, isSchema, onFileLoad, onSchemaLoad }) {
   const [dragActive, setDragActive] = useState(false);
-  const [fileName, setFileName] = useState('');
   const [error, setError] = useState('');
 
   const handleDrag = (e) => {
@@ -26,7 +38,7 @@ export function FileUpload({ onFileLoad }) {
     setError('');
 
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFile(e.dataTransfer.files[0]);
+      handleFiles(Array.from(e.dataTransfer.files));
     }
   };
 
@@ -34,8 +46,31 @@ export function FileUpload({ onFileLoad }) {
     e.preventDefault();
     setError('');
     if (e.target.files && e.target.files[0]) {
-      handleFile(e.target.files[0]);
+      handleFiles(Array.from(e.target.files));
+    }
+  };
+
+  const handleFiles = (files) => {
+    const schemaFiles = files.filter(file => isSchemaFile(file.name));
+
+    if (schemaFiles.length === 0) {
+      handleFile(files[0]);
+      return;
+    }
+
+    // A schema may import or include others, so all selected schemas are loaded together
+    if (schemaFiles.length !== files.length) {
+      setError('Upload either one XML file or one or more XSD files, not both');
+      return;
     }
+
+    Promise.all(schemaFiles.map(readFileText))
+      .then(contents => {
+        onSchemaLoad(schemaFiles.map((file, index) => ({ fileName: file.name, content: contents[index] })));
+      })
+      .catch(err => {
+        setError('Error reading file: ' + err.message);
+      });
   };
 
   const handleFile = (file) => {
@@ -45,8 +80,6 @@ export function FileUpload({ onFileLoad }) {
       return;
     }
 
-    setFileName(file.name);
-
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
@@ -63,7 +96,6 @@ export function FileUpload({ onFileLoad }) {
   };
 
   const clearFile = () => {
-    setFileName('');
     setError('');
     onFileLoad(null, null);
   };
@@ -76,7 +108,7 @@ export function FileUpload({ onFileLoad }) {
           Upload XML File
         </CardTitle>
         <CardDescription>
-          Upload your XML file to begin generating XSLT transformations
+          Upload a sample XML file, or the XSD schema files describing it, to begin generating XSLT transformations
         </CardDescription>
       </CardHeader>
       <CardContent>
@@ -94,7 +126,8 @@ export function FileUpload({ onFileLoad }) {
           >
             <input
               type="file"
-              accept=".xml,text/xml"
+              accept=".xml,.xsd,text/xml"
+              multiple
               onChange={handleChange}
               className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
             />
@@ -107,7 +140,7 @@ export function FileUpload({ onFileLoad }) {
                   Drag and drop your XML file here, or click to browse
                 </p>
                 <p className="text-xs text-muted-foreground mt-1">
-                  Supports .xml files
+                  Supports .xml files, or .xsd files (select imported and included schemas together)
                 </p>
               </div>
             </div>
@@ -118,7 +151,9 @@ export function FileUpload({ onFileLoad }) {
               <FileText className="w-5 h-5 text-primary" />
               <div>
                 <p className="text-sm font-medium">{fileName}</p>
-                <p className="text-xs text-muted-foreground">XML file loaded</p>
+                <p className="text-xs text-muted-foreground">
+                  {isSchema ? 'XML Schema loaded' : 'XML file loaded'}
+                </p>
               </div>
             </div>
             <Button
@@ -0,0 +1,109 @@
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { XPathInput } from './XPathInput';
+import { getValueFormatError } from '../utils/valueTransforms';
+
+const NUMBER_TYPES = ['numeric', 'decimal', 'currency'];
+const DATE_TYPES = ['date', 'dateTime'];
+
+/**
+ * Editor for the output format of a mapping, by field type
+ * Numbers take a format-number() picture or a number of decimal places, currencies also a code
+ * (constant or source XPath) when allowCurrency is set, and dates a source and a target pattern
+ * onChange receives the new format, or undefined when every setting is empty
+ */
+export function FormatEditor({ format, fieldType, xsltVersion, allowCurrency, onChange }) {
+  const value = format || {};
+  const currency = value.currency || null;
+  const error = getValueFormatError(value, xsltVersion);
+
+  const update = (changes) => {
+    const next = { ...value, ...changes };
+    Object.keys(next).forEach(key => {
+      if (next[key] === undefined || next[key] === '') delete next[key];
+    });
+    onChange(Object.keys(next).length > 0 ? next : undefined);
+  };
+
+  const setCurrencySource = (valueType) => {
+    update({ currency: valueType ? { valueType, sourcePath: '', hardcodedValue: '' } : undefined });
+  };
+
+  return (
+    <div className="space-y-2">
+      {NUMBER_TYPES.includes(fieldType) && (
+        <div className="flex items-center gap-2">
+          <Input
+            placeholder="Number picture, e.g. #,##0.00"
+            title="format-number() picture: 0 and # are digits, ',' groups and '.' is the decimal point"
+            value={value.numberPicture || ''}
+            onChange={(e) => update({ numberPicture: e.target.value })}
+            className="w-56 font-mono text-sm"
+          />
+          <Input
+            placeholder="Decimals"
+            title="Decimal places, used without a number picture"
+            value={value.decimals === undefined ? '' : value.decimals}
+            onChange={(e) => update({ decimals: e.target.value })}
+            className="w-24 text-sm"
+          />
+        </div>
+      )}
+
+      {fieldType === 'currency' && allowCurrency && (
+        <div className="flex items-start gap-2">
+          <Select
+            value={currency ? currency.valueType : ''}
+            onChange={(e) => setCurrencySource(e.target.value)}
+            className="w-40 flex-shrink-0 text-sm"
+          >
+            <option value="">No currency code</option>
+            <option value="hardcoded">Code</option>
+            <option value="xpath">Code from XPath</option>
+          </Select>
+          {currency && currency.valueType === 'hardcoded' && (
+            <Input
+              placeholder="e.g. EUR"
+              value={currency.hardcodedValue || ''}
+              onChange={(e) => update({ currency: { ...currency, hardcodedValue: e.target.value } })}
+              className="w-32 font-mono text-sm"
+            />
+          )}
+          {currency && currency.valueType === 'xpath' && (
+            <div className="flex-1 min-w-0">
+              <XPathInput
+                placeholder="e.g. /Invoice/Amount/@currency"
+                list="mapping-source-paths"
+                value={currency.sourcePath || ''}
+                onChange={(e) => update({ currency: { ...currency, sourcePath: e.target.value } })}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {DATE_TYPES.includes(fieldType) && (
+        <div className="flex items-center gap-2">
+          <Input
+            placeholder="Source pattern, e.g. dd/MM/yyyy"
+            title="Positions of yyyy, yy, MM, dd, HH, mm and ss in the source text"
+            value={value.dateFrom || ''}
+            onChange={(e) => update({ dateFrom: e.target.value })}
+            className="w-56 font-mono text-sm"
+          />
+          <span className="text-xs text-muted-foreground">to</span>
+          <Input
+            placeholder="Target pattern, e.g. yyyy-MM-dd"
+            value={value.dateTo || ''}
+            onChange={(e) => update({ dateTo: e.target.value })}
+            className="w-56 font-mono text-sm"
+          />
+        </div>
+      )}
+
+      {error && (
+        <p className="text-xs text-destructive">{error}</p>
+      )}
+    </div>
+  );
+}
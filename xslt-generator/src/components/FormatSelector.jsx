@@ -1,8 +1,16 @@
 import { FileJson, FileCode, FileText } from 'lucide-react';
 import { Select } from './ui/Select';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/Card';
+import { CSVDialectEditor } from './CSVDialectEditor';
 
-export function FormatSelector({ selectedFormat, onFormatChange }) {
+// XSLT versions a stylesheet can declare; JSON output is bound to one version
+const XSLT_VERSIONS = ['1.0', '2.0', '3.0'];
+const FIXED_VERSIONS = {
+  json: '3.0',
+  json1: '1.0',
+};
+
+export function FormatSelector({ selectedFormat, onFormatChange, xsltVersion, onXsltVersionChange, csvDialect, onCSVDialectChange }) {
   const formats = [
     {
       value: 'xml',
@@ -16,6 +24,12 @@ export function FormatSelector({ selectedFormat, onFormatChange }) {
       icon: FileJson,
       description: 'Convert to JSON format (requires XSLT 3.0)',
     },
+    {
+      value: 'json1',
+      label: 'JSON (XSLT 1.0 compatible)',
+      icon: FileJson,
+      description: 'Write JSON as text with an XSLT 1.0 stylesheet, for processors such as Xalan',
+    },
     {
       value: 'flat',
       label: 'Flat File (CSV)',
@@ -26,6 +40,7 @@ export function FormatSelector({ selectedFormat, onFormatChange }) {
 
   const currentFormat = formats.find((f) => f.value === selectedFormat);
   const Icon = currentFormat?.icon || FileCode;
+  const fixedVersion = FIXED_VERSIONS[selectedFormat];
 
   return (
     <Card>
@@ -48,6 +63,35 @@ export function FormatSelector({ selectedFormat, onFormatChange }) {
           ))}
         </Select>
 
+        <div className="mt-4">
+          <label className="text-sm font-medium mb-2 block">
+            XSLT Version
+          </label>
+          <Select
+            value={fixedVersion || xsltVersion || '1.0'}
+            onChange={(e) => onXsltVersionChange(e.target.value)}
+            disabled={Boolean(fixedVersion)}
+            className="w-full"
+          >
+            {XSLT_VERSIONS.map((version) => (
+              <option key={version} value={version}>
+                XSLT {version}
+              </option>
+            ))}
+          </Select>
+          <p className="text-xs text-muted-foreground mt-1">
+            {fixedVersion
+              ? `${currentFormat.label} output is always generated as XSLT ${fixedVersion}`
+              : 'Decides which functions and instructions the generated stylesheet may use'}
+          </p>
+        </div>
+
+        {selectedFormat === 'flat' && (
+          <div className="mt-4">
+            <CSVDialectEditor dialect={csvDialect} onChange={onCSVDialectChange} />
+          </div>
+        )}
+
         {currentFormat && (
           <div className="mt-4 p-4 bg-muted/50 rounded-lg flex items-start gap-3">
             <Icon className="w-5 h-5 text-primary flex-shrink-0 mt-0.5" />
@@ -69,6 +113,9 @@ export function FormatSelector({ selectedFormat, onFormatChange }) {
             <li>
               <strong>JSON:</strong> Ideal for web APIs and modern applications
             </li>
+            <li>
+              <strong>JSON (XSLT 1.0):</strong> The same JSON for processors without XSLT 3.0
+            </li>
             <li>
               <strong>Flat File:</strong> Perfect for database imports and spreadsheets
             </li>
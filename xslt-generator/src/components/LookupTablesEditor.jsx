@@ -0,0 +1,185 @@
+import { useRef, useState } from 'react';
+import { Plus, Trash2, Upload, ArrowRight } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { Alert, AlertDescription } from './ui/Alert';
+import { createLookupTable, parseLookupCSV } from '../utils/lookupTables';
+
+/**
+ * Editor for the project lookup tables (mappings.lookupTables)
+ * Each table translates source values into other codes; entries can be typed or imported
+ * from a two-column CSV file (source value, written value)
+ */
+export function LookupTablesEditor({ tables, onChange }) {
+  const list = tables || [];
+  const [hasHeader, setHasHeader] = useState(true);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+  // Index of the table the next CSV import fills
+  const importTarget = useRef(null);
+
+  const updateTable = (index, changes) => {
+    onChange(list.map((table, i) => (i === index ? { ...table, ...changes } : table)));
+  };
+
+  const updateEntry = (tableIndex, entryIndex, changes) => {
+    const entries = list[tableIndex].entries || [];
+    updateTable(tableIndex, {
+      entries: entries.map((entry, i) => (i === entryIndex ? { ...entry, ...changes } : entry)),
+    });
+  };
+
+  const addTable = () => {
+    let counter = list.length + 1;
+    while (list.some((table) => table.name === `codes${counter}`)) counter++;
+    onChange([...list, createLookupTable(`codes${counter}`)]);
+  };
+
+  const startImport = (index) => {
+    importTarget.current = index;
+    fileInputRef.current?.click();
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files && e.target.files[0];
+    // Allow re-importing the same file
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        // Imported rows replace the entries of the table
+        updateTable(importTarget.current, { entries: parseLookupCSV(event.target.result, { hasHeader }) });
+      } catch (err) {
+        setError(`Failed to import ${file.name}: ${err.message}`);
+      }
+    };
+    reader.onerror = () => {
+      setError(`Error reading ${file.name}`);
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="space-y-3">
+      {list.map((table, index) => {
+        const entries = table.entries || [];
+
+        return (
+          <div key={index} className="p-3 border rounded-md bg-background space-y-2">
+            <div className="flex items-center gap-2">
+              <Input
+                placeholder="Table name"
+                value={table.name}
+                onChange={(e) => updateTable(index, { name: e.target.value })}
+                className="w-40 font-mono text-sm"
+              />
+              <Select
+                value={table.unmatched === 'default' ? 'default' : 'keep'}
+                onChange={(e) => updateTable(index, { unmatched: e.target.value })}
+                className="w-48 text-sm"
+                title="What is written for values that are not in the table"
+              >
+                <option value="keep">Unmatched: keep value</option>
+                <option value="default">Unmatched: default</option>
+              </Select>
+              {table.unmatched === 'default' && (
+                <Input
+                  placeholder="Default (empty when blank)"
+                  value={table.defaultValue || ''}
+                  onChange={(e) => updateTable(index, { defaultValue: e.target.value })}
+                  className="w-48 text-sm"
+                />
+              )}
+              <div className="flex-1" />
+              <Button variant="outline" size="sm" onClick={() => startImport(index)}>
+                <Upload className="w-4 h-4 mr-2" />
+                Import CSV
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => onChange(list.filter((_, i) => i !== index))}
+                title="Remove lookup table"
+              >
+                <Trash2 className="w-4 h-4 text-destructive" />
+              </Button>
+            </div>
+
+            <details>
+              <summary className="text-xs text-muted-foreground cursor-pointer">
+                {entries.length} {entries.length === 1 ? 'entry' : 'entries'}
+              </summary>
+              <div className="mt-2 space-y-2 max-h-72 overflow-auto">
+                {entries.map((entry, entryIndex) => (
+                  <div key={entryIndex} className="flex items-center gap-2">
+                    <Input
+                      placeholder="Source value"
+                      value={entry.from || ''}
+                      onChange={(e) => updateEntry(index, entryIndex, { from: e.target.value })}
+                      className="text-sm"
+                    />
+                    <ArrowRight className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                    <Input
+                      placeholder="Written value"
+                      value={entry.to || ''}
+                      onChange={(e) => updateEntry(index, entryIndex, { to: e.target.value })}
+                      className="text-sm"
+                    />
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => updateTable(index, { entries: entries.filter((_, i) => i !== entryIndex) })}
+                      title="Remove entry"
+                    >
+                      <Trash2 className="w-4 h-4 text-destructive" />
+                    </Button>
+                  </div>
+                ))}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => updateTable(index, { entries: [...entries, { from: '', to: '' }] })}
+                >
+                  <Plus className="w-4 h-4 mr-2" />
+                  Add Entry
+                </Button>
+              </div>
+            </details>
+          </div>
+        );
+      })}
+
+      <div className="flex items-center gap-3">
+        <Button variant="outline" size="sm" onClick={addTable}>
+          <Plus className="w-4 h-4 mr-2" />
+          Add Lookup Table
+        </Button>
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={hasHeader}
+            onChange={(e) => setHasHeader(e.target.checked)}
+          />
+          CSV files have a header row
+        </label>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,64 @@
-import { useState } from 'react';
-import { Plus, Trash2, ArrowRight, ChevronDown, ChevronRight, Info } from 'lucide-react';
+import { useMemo, useState } from 'react';
+import { Plus, Trash2, ArrowRight, ChevronDown, ChevronRight, Info, AlertTriangle, Crosshair, Check, CalendarClock, X } from 'lucide-react';
 import { Button } from './ui/Button';
 import { Input } from './ui/Input';
 import { Select } from './ui/Select';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/Card';
+import { XPathInput } from './XPathInput';
+import { NamespaceEditor } from './NamespaceEditor';
+import { AttributeEditor } from './AttributeEditor';
+import { VariablesEditor } from './VariablesEditor';
+import { TransformEditor } from './TransformEditor';
+import { ConditionEditor } from './ConditionEditor';
+import { LookupTablesEditor } from './LookupTablesEditor';
+import { ConcatEditor } from './ConcatEditor';
+import { SortKeyEditor } from './SortKeyEditor';
+import { FormatEditor } from './FormatEditor';
+import { matchMappingPaths } from '../utils/sampleMatcher';
+import { getMappedTargetPaths } from '../utils/xsdParser';
+import { getMappingValueSource, detectDateTimeFields, generateDateTimeCombination } from '../utils/xsltGenerator';
 
-export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
-  const [mappings, setMappings] = useState([]);
-  const [rootPath, setRootPath] = useState('');
-  const [recordPath, setRecordPath] = useState('');
+// Where a mapping takes its value from (see getMappingValueSource)
+const VALUE_SOURCES = [
+  { value: 'xpath', label: 'XPath' },
+  { value: 'hardcoded', label: 'Constant' },
+  { value: 'empty', label: 'Empty' },
+  { value: 'concat', label: 'Concatenate' },
+  { value: 'forEach', label: 'For each' },
+];
+
+// Field types with output format settings (see FormatEditor)
+const FORMATTED_TYPES = ['numeric', 'decimal', 'currency', 'date', 'dateTime'];
+
+// Aggregates of the nodes a source path selects (see generateAggregateInstructions)
+const AGGREGATES = [
+  { value: 'sum', label: 'Sum' },
+  { value: 'count', label: 'Count' },
+  { value: 'min', label: 'Minimum' },
+  { value: 'max', label: 'Maximum' },
+  { value: 'avg', label: 'Average' },
+];
+
+export function MappingInterface({ paths, targetNodes, xmlDoc, namespaces, outputFormat, mappings, onMappingsChange }) {
+  const fields = mappings.fields || [];
+  const rootPath = mappings.rootPath || '';
+  const recordPath = mappings.recordPath || '';
+  const recordGroupBy = mappings.recordGroupBy || '';
+  const recordFilter = mappings.recordFilter || '';
+  // JSON is written by an XSLT 3.0 stylesheet or, for 1.0 processors, as text (json1)
+  const isJSON = outputFormat === 'json' || outputFormat === 'json1';
+
+  // Live match counts of every source path against the loaded sample
+  const sampleMatches = useMemo(
+    () => (xmlDoc ? matchMappingPaths(xmlDoc, mappings, namespaces, outputFormat) : null),
+    [xmlDoc, mappings, namespaces, outputFormat]
+  );
+
+  // Target schema nodes already covered by a mapping
+  const mappedTargets = useMemo(
+    () => (targetNodes ? getMappedTargetPaths(mappings) : null),
+    [targetNodes, mappings]
+  );
 
   const addMapping = () => {
     const newMapping = {
@@ -22,62 +72,236 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
       required: true,
       expanded: false // For UI collapse/expand
     };
-    const updatedMappings = [...mappings, newMapping];
-    setMappings(updatedMappings);
-    updateParent(updatedMappings);
+    updateFields([...fields, newMapping]);
+  };
+
+  const addTargetMapping = (node) => {
+    updateFields([...fields, {
+      id: Date.now(),
+      sourcePath: '',
+      sourceType: 'element',
+      targetName: node.path,
+      targetPath: node.path,
+      fieldType: 'string',
+      occurs: node.occurs,
+      required: node.required,
+      expanded: false
+    }]);
   };
 
   const removeMapping = (id) => {
-    const updatedMappings = mappings.filter((m) => m.id !== id);
-    setMappings(updatedMappings);
-    updateParent(updatedMappings);
+    updateFields(fields.filter((m) => m.id !== id));
   };
 
   const updateMapping = (id, field, value) => {
-    const updatedMappings = mappings.map((m) =>
+    updateFields(fields.map((m) =>
       m.id === id ? { ...m, [field]: value } : m
-    );
-    setMappings(updatedMappings);
-    updateParent(updatedMappings);
+    ));
   };
 
   const updateMultipleFields = (id, updates) => {
-    const updatedMappings = mappings.map((m) =>
+    updateFields(fields.map((m) =>
       m.id === id ? { ...m, ...updates } : m
-    );
-    setMappings(updatedMappings);
-    updateParent(updatedMappings);
+    ));
   };
 
-  const updateParent = (currentMappings) => {
+  const updateFields = (updatedFields) => {
     onMappingsChange({
-      rootPath,
-      recordPath,
-      fields: currentMappings,
+      ...mappings,
+      fields: updatedFields,
     });
   };
 
+  const handleSourcePathChange = (id, value) => {
+    // Picking an extracted path takes its node type; schema paths also carry cardinality
+    const picked = paths && paths.find((path) => path.path === value);
+    const updates = { sourcePath: value };
+
+    if (picked) {
+      updates.sourceType = picked.type;
+      if (picked.occurs !== undefined) updates.occurs = picked.occurs;
+      if (picked.required !== undefined) updates.required = picked.required;
+    }
+
+    updateMultipleFields(id, updates);
+  };
+
+  const handleValueSourceChange = (mapping, valueSource) => {
+    switch (valueSource) {
+      case 'hardcoded':
+        updateMultipleFields(mapping.id, {
+          valueType: 'hardcoded',
+          hardcodedValue: mapping.hardcodedValue || '',
+          forEachPath: undefined,
+        });
+        break;
+      case 'empty':
+        updateMultipleFields(mapping.id, { valueType: 'empty', forEachPath: undefined });
+        break;
+      case 'concat':
+        // The current source path becomes the first part
+        updateMultipleFields(mapping.id, {
+          valueType: 'concat',
+          parts: mapping.parts || [{ type: 'xpath', value: mapping.sourcePath || '' }],
+          forEachPath: undefined,
+        });
+        break;
+      case 'forEach':
+        // The current source path becomes the iteration path, each node its own value
+        updateMultipleFields(mapping.id, {
+          valueType: undefined,
+          forEachPath: mapping.forEachPath || mapping.sourcePath || '',
+          sourcePath: mapping.forEachPath ? mapping.sourcePath : '',
+        });
+        break;
+      default:
+        updateMultipleFields(mapping.id, { valueType: undefined, forEachPath: undefined });
+    }
+  };
+
+  const getEmptyValueLabel = () => {
+    switch (outputFormat) {
+      case 'json':
+      case 'json1':
+        return 'null';
+      case 'flat':
+        return 'Empty column';
+      default:
+        return 'Empty element';
+    }
+  };
+
+  // Date and time mappings that could be written as one ISO dateTime, minus dismissed suggestions
+  const [dismissedPairs, setDismissedPairs] = useState([]);
+  const dateTimePairs = detectDateTimeFields(fields)
+    .filter((pair) => !dismissedPairs.includes(pair.combinedName));
+
+  const combineDateTimePair = ({ dateField, timeField, combinedName }) => {
+    // The combined mapping takes the place of the date mapping
+    updateFields(fields
+      .filter((field) => field !== timeField)
+      .map((field) => (field === dateField ? generateDateTimeCombination(dateField, timeField, combinedName) : field)));
+  };
+
+  const handleTargetPathChange = (id, value) => {
+    // Picking a target schema node takes its cardinality; the target decides what may repeat
+    const picked = targetNodes && targetNodes.find((node) => node.path === value);
+    const updates = { targetName: value, targetPath: value };
+
+    if (picked) {
+      updates.occurs = picked.occurs;
+      updates.required = picked.required;
+    }
+
+    updateMultipleFields(id, updates);
+  };
+
+  const formatCardinality = (min, max) => `[${min}..${max === 'unbounded' ? '*' : max}]`;
+
+  const getPathLabel = (path) => {
+    const type = path.type === 'attribute' ? 'attribute' : 'element';
+    if (path.minOccurs === undefined) return type;
+    return `${type} ${formatCardinality(path.minOccurs, path.maxOccurs)}`;
+  };
+
+  // Empty namespace maps are dropped so unconfigured output keeps its previous namespaces
+  const toNamespaceMap = (value) => (Object.keys(value).length > 0 ? value : undefined);
+
+  const rootElement = { name: 'root', attributes: [], ...mappings.rootElement };
+  const variables = mappings.variables || [];
+
+  const handleVariablesChange = (value) => {
+    onMappingsChange({
+      ...mappings,
+      variables: value.length > 0 ? value : undefined,
+    });
+  };
+
+  const lookupTables = mappings.lookupTables || [];
+
+  const handleLookupTablesChange = (value) => {
+    // A renamed table keeps the mappings that reference it
+    const renamed = value.length === lookupTables.length
+      ? lookupTables.find((table, index) => table.name !== value[index].name)
+      : null;
+    const newName = renamed && value[lookupTables.indexOf(renamed)].name;
+
+    onMappingsChange({
+      ...mappings,
+      lookupTables: value.length > 0 ? value : undefined,
+      fields: renamed
+        ? fields.map((field) => (field.lookupTable === renamed.name ? { ...field, lookupTable: newName } : field))
+        : fields,
+    });
+  };
+
+  const updateRootElement = (updates) => {
+    onMappingsChange({
+      ...mappings,
+      rootElement: { ...rootElement, ...updates },
+    });
+  };
+
+  const isComponent = (mapping) => {
+    if (mapping.fieldType === 'component') return true;
+    const targetPath = mapping.targetPath || mapping.targetName;
+    return Boolean(targetPath) && fields.some((other) =>
+      other !== mapping && (other.targetPath || other.targetName || '').startsWith(`${targetPath}/`));
+  };
+
   const handleRootPathChange = (value) => {
-    setRootPath(value);
     onMappingsChange({
+      ...mappings,
       rootPath: value,
-      recordPath,
-      fields: mappings,
     });
   };
 
   const handleRecordPathChange = (value) => {
-    setRecordPath(value);
     onMappingsChange({
-      rootPath,
+      ...mappings,
       recordPath: value,
-      fields: mappings,
     });
   };
 
+  const handleRecordGroupByChange = (value) => {
+    onMappingsChange({
+      ...mappings,
+      recordGroupBy: value || undefined,
+    });
+  };
+
+  const handleRecordFilterChange = (value) => {
+    onMappingsChange({
+      ...mappings,
+      recordFilter: value || undefined,
+    });
+  };
+
+  const handleRecordSortKeysChange = (sortKeys) => {
+    onMappingsChange({
+      ...mappings,
+      recordSortKeys: sortKeys.length > 0 ? sortKeys : undefined,
+    });
+  };
+
+  // XSLT version of the generated stylesheet: JSON output needs 3.0 and 1.0 JSON is 1.0, XML and
+  // flat files use the selected version
+  const getXSLTVersion = () => {
+    switch (outputFormat) {
+      case 'json':
+        return '3.0';
+      case 'xml':
+      case 'flat':
+        return mappings.xsltVersion || '1.0';
+      default:
+        return '1.0';
+    }
+  };
+
   const getTargetLabel = () => {
     switch (outputFormat) {
       case 'json':
+      case 'json1':
         return 'JSON Key';
       case 'flat':
         return 'Column Name';
@@ -87,10 +311,9 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
   };
 
   const toggleExpanded = (id) => {
-    const updatedMappings = mappings.map((m) =>
+    updateFields(fields.map((m) =>
       m.id === id ? { ...m, expanded: !m.expanded } : m
-    );
-    setMappings(updatedMappings);
+    ));
   };
 
   const getHierarchyLevel = (targetPath) => {
@@ -103,7 +326,7 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
       <CardHeader>
         <CardTitle>Field Mappings</CardTitle>
         <CardDescription>
-          Map XML paths to output {outputFormat.toUpperCase()} structure
+          Map XML paths to output {isJSON ? 'JSON' : outputFormat.toUpperCase()} structure
         </CardDescription>
       </CardHeader>
       <CardContent className="space-y-4">
@@ -114,7 +337,7 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
               <label className="text-sm font-medium mb-2 block">
                 Root Path (optional)
               </label>
-              <Input
+              <XPathInput
                 placeholder="e.g., /root or /*"
                 value={rootPath}
                 onChange={(e) => handleRootPathChange(e.target.value)}
@@ -124,7 +347,7 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
               <label className="text-sm font-medium mb-2 block">
                 Record Path (for iteration)
               </label>
-              <Input
+              <XPathInput
                 placeholder="e.g., /root/records/record or */record"
                 value={recordPath}
                 onChange={(e) => handleRecordPathChange(e.target.value)}
@@ -133,11 +356,109 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
                 The element that represents each row in the flat file
               </p>
             </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">
+                Group Records By (optional)
+              </label>
+              <XPathInput
+                placeholder="e.g., @publisher or customer/id"
+                value={recordGroupBy}
+                onChange={(e) => handleRecordGroupByChange(e.target.value)}
+              />
+              <p className="text-xs text-muted-foreground mt-1">
+                One row per distinct value, read from the first record of each group; aggregates sum, count... all records of the group
+              </p>
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">
+                Filter Records (optional)
+              </label>
+              <XPathInput
+                placeholder="e.g., @status = 'open' or amount > 0"
+                value={recordFilter}
+                onChange={(e) => handleRecordFilterChange(e.target.value)}
+              />
+              <p className="text-xs text-muted-foreground mt-1">
+                Only records for which the predicate is true are written
+              </p>
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">
+                Sort Records (optional)
+              </label>
+              <SortKeyEditor
+                sortKeys={mappings.recordSortKeys}
+                onChange={handleRecordSortKeysChange}
+              />
+              <p className="text-xs text-muted-foreground mt-1">
+                Rows are written in document order unless sort keys are given
+              </p>
+            </div>
           </div>
         )}
 
+        {/* Output root element: name, attributes and target namespaces */}
+        {outputFormat === 'xml' && (
+          <div className="space-y-3 p-4 bg-muted/50 rounded-lg">
+            <div>
+              <label className="text-sm font-medium mb-2 block">
+                Root Element
+              </label>
+              <Input
+                placeholder="e.g., Invoice or cbc:Invoice"
+                value={rootElement.name}
+                onChange={(e) => updateRootElement({ name: e.target.value })}
+                className="font-mono"
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">
+                Root Attributes
+              </label>
+              <AttributeEditor
+                attributes={rootElement.attributes}
+                onChange={(attributes) => updateRootElement({ attributes })}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-1 block">
+                Target Namespaces
+              </label>
+              <p className="text-xs text-muted-foreground mb-2">
+                Declared on the root element; use the prefixes in target paths, e.g. <code>cac:Party/cbc:Name</code>
+              </p>
+              <NamespaceEditor
+                namespaces={rootElement.namespaces}
+                onChange={(value) => updateRootElement({ namespaces: toNamespaceMap(value) })}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Stylesheet variables and parameters, referenced as $name in any XPath */}
+        <div className="p-4 bg-muted/50 rounded-lg">
+          <label className="text-sm font-medium mb-1 block">
+            Variables &amp; Parameters
+          </label>
+          <p className="text-xs text-muted-foreground mb-2">
+            Reference them as <code>$name</code> in source paths and attributes; parameter values can be set when running the stylesheet
+          </p>
+          <VariablesEditor variables={variables} onChange={handleVariablesChange} />
+        </div>
+
+        {/* Code lists that mappings use to translate their values */}
+        <div className="p-4 bg-muted/50 rounded-lg">
+          <label className="text-sm font-medium mb-1 block">
+            Lookup Tables
+          </label>
+          <p className="text-xs text-muted-foreground mb-2">
+            Translate values such as country names to ISO codes; pick a table in a mapping&apos;s options to use it
+          </p>
+          <LookupTablesEditor tables={lookupTables} onChange={handleLookupTablesChange} />
+        </div>
+
         {/* Hierarchy Info for XML output */}
-        {outputFormat === 'xml' && mappings.length === 0 && (
+        {outputFormat === 'xml' && fields.length === 0 && (
           <div className="p-4 bg-blue-50 dark:bg-blue-900/20 rounded-lg border border-blue-200 dark:border-blue-800">
             <div className="flex gap-2">
               <Info className="w-5 h-5 text-blue-600 dark:text-blue-400 flex-shrink-0 mt-0.5" />
@@ -151,10 +472,119 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
           </div>
         )}
 
+        {sampleMatches && sampleMatches.error && fields.length > 0 && (
+          <div className="flex items-center gap-2 text-sm text-amber-600 dark:text-amber-400">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            {sampleMatches.error}
+          </div>
+        )}
+
+        {/* Extracted source paths offered as suggestions for every source input */}
+        <datalist id="mapping-source-paths">
+          {paths &&
+            paths.map((path, idx) => (
+              <option key={idx} value={path.path}>
+                {getPathLabel(path)}
+              </option>
+            ))}
+          {variables.filter((variable) => variable.name).map((variable) => (
+            <option key={`$${variable.name}`} value={`$${variable.name}`}>
+              {variable.isParam ? 'parameter' : 'variable'}
+            </option>
+          ))}
+        </datalist>
+
+        {/* Variable names offered to attributes that take their value from a variable */}
+        <datalist id="mapping-variable-names">
+          {variables.filter((variable) => variable.name).map((variable) => (
+            <option key={variable.name} value={variable.name} />
+          ))}
+        </datalist>
+
+        {/* Target schema nodes offered as suggestions for every target input */}
+        {targetNodes && (
+          <datalist id="mapping-target-paths">
+            {targetNodes.map((node) => (
+              <option key={node.path} value={node.path}>
+                {`${node.type} ${formatCardinality(node.minOccurs, node.maxOccurs)}${node.required ? ' required' : ''}`}
+              </option>
+            ))}
+          </datalist>
+        )}
+
+        {/* Target Structure from the target schema */}
+        {targetNodes && (
+          <div className="p-4 bg-muted/50 rounded-lg">
+            <p className="text-sm font-medium mb-2">Target Structure</p>
+            <div className="max-h-64 overflow-auto font-mono text-xs space-y-0.5">
+              {targetNodes.map((node) => {
+                const isMapped = mappedTargets.has(node.path);
+                return (
+                  <div
+                    key={node.path}
+                    className="flex items-center gap-2"
+                    style={{ paddingLeft: `${node.depth * 16}px` }}
+                  >
+                    <span className={node.type === 'attribute' ? 'text-purple-600 dark:text-purple-400' : ''}>
+                      {node.name}
+                    </span>
+                    <span className="text-muted-foreground">
+                      {formatCardinality(node.minOccurs, node.maxOccurs)}
+                    </span>
+                    {node.required && !isMapped && (
+                      <span className="text-amber-600 dark:text-amber-400">required</span>
+                    )}
+                    {isMapped ? (
+                      <Check className="w-3 h-3 text-green-600 dark:text-green-400" />
+                    ) : (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-5 w-5"
+                        onClick={() => addTargetMapping(node)}
+                        title={`Add mapping for ${node.path}`}
+                      >
+                        <Plus className="w-3 h-3" />
+                      </Button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Suggested date + time merges */}
+        {dateTimePairs.map((pair) => (
+          <div
+            key={pair.combinedName}
+            className="flex items-center gap-3 p-3 bg-blue-50 dark:bg-blue-900/20 rounded-lg border border-blue-200 dark:border-blue-800"
+          >
+            <CalendarClock className="w-5 h-5 text-blue-600 dark:text-blue-400 flex-shrink-0" />
+            <div className="flex-1 text-sm text-blue-900 dark:text-blue-100">
+              <code>{pair.dateField.targetName}</code> and <code>{pair.timeField.targetName}</code> can be
+              combined into one ISO dateTime field <code>{pair.combinedName}</code>
+            </div>
+            <Button size="sm" variant="outline" onClick={() => combineDateTimePair(pair)}>
+              Combine
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => setDismissedPairs([...dismissedPairs, pair.combinedName])}
+              title="Dismiss suggestion"
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        ))}
+
         {/* Mappings List */}
         <div className="space-y-3">
-          {mappings.map((mapping, index) => {
+          {fields.map((mapping, index) => {
             const hierarchyLevel = getHierarchyLevel(mapping.targetPath || mapping.targetName);
+            const match = sampleMatches && sampleMatches.fields[mapping.id];
+            const valueSource = getMappingValueSource(mapping);
             
             return (
               <div
@@ -168,41 +598,84 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
                     {index + 1}
                   </span>
 
-                  {/* Expand/Collapse for XML format */}
-                  {outputFormat === 'xml' && (
-                    <Button
-                      variant="ghost"
-                      size="icon"
-                      className="h-6 w-6"
-                      onClick={() => toggleExpanded(mapping.id)}
-                      title={mapping.expanded ? 'Collapse' : 'Expand advanced options'}
-                    >
-                      {mapping.expanded ? (
-                        <ChevronDown className="w-4 h-4" />
-                      ) : (
-                        <ChevronRight className="w-4 h-4" />
-                      )}
-                    </Button>
-                  )}
-
-                  {/* Source Path */}
+                  {/* Expand/Collapse advanced options */}
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-6 w-6"
+                    onClick={() => toggleExpanded(mapping.id)}
+                    title={mapping.expanded ? 'Collapse' : 'Expand advanced options'}
+                  >
+                    {mapping.expanded ? (
+                      <ChevronDown className="w-4 h-4" />
+                    ) : (
+                      <ChevronRight className="w-4 h-4" />
+                    )}
+                  </Button>
+
+                  {/* Value Source */}
+                  <Select
+                    value={valueSource}
+                    onChange={(e) => handleValueSourceChange(mapping, e.target.value)}
+                    className="w-28 flex-shrink-0 text-sm"
+                    title="Where the value comes from"
+                  >
+                    {VALUE_SOURCES.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </Select>
+
+                  {/* Source (pick an extracted path or type any XPath expression, a constant or an iteration path) */}
                   <div className="flex-1 min-w-0">
-                    <Select
-                      value={mapping.sourcePath}
-                      onChange={(e) =>
-                        updateMapping(mapping.id, 'sourcePath', e.target.value)
-                      }
-                      className="w-full"
-                    >
-                      <option value="">Select source path...</option>
-                      {paths &&
-                        paths.map((path, idx) => (
-                          <option key={idx} value={path.path}>
-                            {path.path}
-                            {path.type === 'attribute' ? ' (attr)' : ''}
-                          </option>
-                        ))}
-                    </Select>
+                    {valueSource === 'xpath' && (
+                      <XPathInput
+                        placeholder="Select or type source XPath..."
+                        list="mapping-source-paths"
+                        value={mapping.sourcePath}
+                        onChange={(e) =>
+                          handleSourcePathChange(mapping.id, e.target.value)
+                        }
+                      />
+                    )}
+                    {valueSource === 'hardcoded' && (
+                      <Input
+                        placeholder="Constant value"
+                        value={mapping.hardcodedValue || ''}
+                        onChange={(e) => updateMapping(mapping.id, 'hardcodedValue', e.target.value)}
+                      />
+                    )}
+                    {valueSource === 'empty' && (
+                      <div className="h-10 px-3 flex items-center text-sm text-muted-foreground italic border rounded-md border-dashed">
+                        {getEmptyValueLabel()}
+                      </div>
+                    )}
+                    {valueSource === 'concat' && (
+                      <ConcatEditor
+                        parts={mapping.parts}
+                        separator={mapping.separator}
+                        onChange={(updates) => updateMultipleFields(mapping.id, updates)}
+                      />
+                    )}
+                    {valueSource === 'forEach' && (
+                      <div className="space-y-2">
+                        <XPathInput
+                          placeholder="Iterate over XPath, e.g. /Order/Items/Item"
+                          list="mapping-source-paths"
+                          value={mapping.forEachPath}
+                          onChange={(e) => updateMapping(mapping.id, 'forEachPath', e.target.value)}
+                        />
+                        <XPathInput
+                          placeholder="Value relative to each node (default: the node itself)"
+                          list="mapping-source-paths"
+                          value={mapping.sourcePath}
+                          onChange={(e) =>
+                            handleSourcePathChange(mapping.id, e.target.value)
+                          }
+                        />
+                      </div>
+                    )}
                   </div>
 
                   <ArrowRight className="w-4 h-4 text-muted-foreground flex-shrink-0" />
@@ -210,14 +683,12 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
                   {/* Target Name */}
                   <div className="flex-1 min-w-0">
                     <Input
-                      placeholder={outputFormat === 'xml' ? 'Target Path (e.g., Parent/Child)' : getTargetLabel()}
+                      placeholder={outputFormat === 'xml' ? 'Target Path (e.g., Parent/Child or Parent/@id)' : getTargetLabel()}
+                      list={targetNodes ? 'mapping-target-paths' : undefined}
                       value={mapping.targetName}
                       onChange={(e) => {
                         // Update both targetName and targetPath together
-                        updateMultipleFields(mapping.id, {
-                          targetName: e.target.value,
-                          targetPath: e.target.value
-                        });
+                        handleTargetPathChange(mapping.id, e.target.value);
                       }}
                     />
                   </div>
@@ -233,93 +704,323 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
                   </Button>
                 </div>
 
-                {/* Expanded Options (XML only) */}
-                {outputFormat === 'xml' && mapping.expanded && (
+                {/* Sample matches for the source path */}
+                {match && (
+                  <div
+                    className={`flex items-center gap-2 px-3 pb-2 text-xs ${
+                      match.warning || match.error ? 'text-amber-600 dark:text-amber-400' : 'text-muted-foreground'
+                    }`}
+                    title={match.expression ? `Evaluated as ${match.expression} per ${match.context}` : undefined}
+                  >
+                    {match.warning || match.error ? (
+                      <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                    ) : (
+                      <Crosshair className="w-3 h-3 flex-shrink-0" />
+                    )}
+                    {match.error ? (
+                      <span>Cannot evaluate in sample: {match.error}</span>
+                    ) : (
+                      <span className="truncate">
+                        {match.count} match{match.count === 1 ? '' : 'es'}
+                        {match.values.length > 0 && (
+                          <>
+                            {': '}
+                            <span className="font-mono">
+                              {match.values.map(value => JSON.stringify(value)).join(', ')}
+                              {match.count > match.values.length ? ', …' : ''}
+                            </span>
+                          </>
+                        )}
+                        {match.warning && ` — ${match.warning}`}
+                      </span>
+                    )}
+                  </div>
+                )}
+
+                {/* Expanded Options */}
+                {mapping.expanded && (
                   <div className="p-3 pt-0 border-t bg-muted/30">
-                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                      {/* Field Type */}
-                      <div>
+                    {outputFormat !== 'flat' && (
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        {/* Field Type */}
+                        <div>
+                          <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                            Field Type
+                          </label>
+                          <Select
+                            value={mapping.fieldType || 'string'}
+                            onChange={(e) =>
+                              updateMapping(mapping.id, 'fieldType', e.target.value)
+                            }
+                            className="w-full text-sm"
+                          >
+                            <option value="string">String</option>
+                            <option value="date">Date</option>
+                            <option value="dateTime">Date Time</option>
+                            <option value="time">Time</option>
+                            <option value="currency">Currency</option>
+                            <option value="numeric">Numeric</option>
+                            <option value="decimal">Decimal</option>
+                            <option value="boolean">Boolean</option>
+                            <option value="component">Component</option>
+                          </Select>
+                        </div>
+
+                        {/* Occurs */}
+                        <div>
+                          <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                            Occurs
+                          </label>
+                          <Input
+                            type="number"
+                            min="1"
+                            value={mapping.occurs || 1}
+                            onChange={(e) =>
+                              updateMapping(mapping.id, 'occurs', parseInt(e.target.value) || 1)
+                            }
+                            className="text-sm"
+                            placeholder="1"
+                          />
+                        </div>
+
+                        {/* Required */}
+                        <div>
+                          <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                            Required
+                          </label>
+                          <Select
+                            value={mapping.required === false ? 'false' : 'true'}
+                            onChange={(e) =>
+                              updateMapping(mapping.id, 'required', e.target.value === 'true')
+                            }
+                            className="w-full text-sm"
+                          >
+                            <option value="true">Yes</option>
+                            <option value="false">No (Optional)</option>
+                          </Select>
+                        </div>
+
+                        {/* Source Type */}
+                        <div>
+                          <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                            Source Type
+                          </label>
+                          <Select
+                            value={mapping.sourceType || 'element'}
+                            onChange={(e) =>
+                              updateMapping(mapping.id, 'sourceType', e.target.value)
+                            }
+                            className="w-full text-sm"
+                          >
+                            <option value="element">Element</option>
+                            <option value="attribute">Attribute</option>
+                          </Select>
+                        </div>
+
+                        {/* What optional JSON values are written as when their source path selects nothing */}
+                        {isJSON && mapping.required === false && ['xpath', 'forEach'].includes(valueSource) && !mapping.aggregate && (
+                          <div>
+                            <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                              Missing Value
+                            </label>
+                            <Select
+                              value={mapping.missingValue || ''}
+                              onChange={(e) =>
+                                updateMapping(mapping.id, 'missingValue', e.target.value || undefined)
+                              }
+                              className="w-full text-sm"
+                            >
+                              <option value="">Default (empty text, null otherwise)</option>
+                              <option value="empty">Empty string</option>
+                              <option value="null">null</option>
+                              <option value="absent">Leave out</option>
+                            </Select>
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Attributes written on this element (target attributes map to Parent/@name instead) */}
+                    {outputFormat === 'xml' && !(mapping.targetPath || mapping.targetName || '').split('/').pop().startsWith('@') && (
+                      <div className="mt-3">
+                        <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                          Element Attributes
+                        </label>
+                        <AttributeEditor
+                          attributes={mapping.attributes}
+                          onChange={(attributes) => updateMapping(mapping.id, 'attributes', attributes)}
+                        />
+                      </div>
+                    )}
+
+                    {/* Namespaces declared on this component element */}
+                    {outputFormat === 'xml' && isComponent(mapping) && (
+                      <div className="mt-3">
+                        <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                          Component Namespaces
+                        </label>
+                        <NamespaceEditor
+                          namespaces={mapping.namespaces}
+                          onChange={(value) => updateMapping(mapping.id, 'namespaces', toNamespaceMap(value))}
+                        />
+                      </div>
+                    )}
+
+                    {/* Value transformations, applied in order to values read from the source */}
+                    {['xpath', 'forEach', 'concat'].includes(valueSource) && (
+                      <div className="mt-3">
+                        <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                          Transformations
+                        </label>
+                        <TransformEditor
+                          transforms={mapping.transforms}
+                          xsltVersion={getXSLTVersion()}
+                          onChange={(transforms) => updateMapping(mapping.id, 'transforms', transforms.length > 0 ? transforms : undefined)}
+                        />
+                      </div>
+                    )}
+
+                    {/* Output format of numbers, currency amounts and dates, applied after the transformations */}
+                    {['xpath', 'forEach', 'concat'].includes(valueSource) && FORMATTED_TYPES.includes(mapping.fieldType) && (
+                      <div className="mt-3">
                         <label className="text-xs font-medium mb-1 block text-muted-foreground">
-                          Field Type
+                          Format
+                        </label>
+                        <FormatEditor
+                          format={mapping.format}
+                          fieldType={mapping.fieldType}
+                          xsltVersion={getXSLTVersion()}
+                          allowCurrency={outputFormat !== 'flat'}
+                          onChange={(format) => updateMapping(mapping.id, 'format', format)}
+                        />
+                      </div>
+                    )}
+
+                    {/* Lookup table translating the (transformed) value */}
+                    {['xpath', 'forEach', 'concat'].includes(valueSource) && (lookupTables.length > 0 || mapping.lookupTable) && (
+                      <div className="mt-3">
+                        <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                          Lookup Table
                         </label>
                         <Select
-                          value={mapping.fieldType || 'string'}
-                          onChange={(e) =>
-                            updateMapping(mapping.id, 'fieldType', e.target.value)
-                          }
-                          className="w-full text-sm"
+                          value={mapping.lookupTable || ''}
+                          onChange={(e) => updateMapping(mapping.id, 'lookupTable', e.target.value || undefined)}
+                          className="w-56 text-sm"
                         >
-                          <option value="string">String</option>
-                          <option value="date">Date</option>
-                          <option value="dateTime">Date Time</option>
-                          <option value="time">Time</option>
-                          <option value="currency">Currency</option>
-                          <option value="numeric">Numeric</option>
-                          <option value="decimal">Decimal</option>
-                          <option value="component">Component</option>
+                          <option value="">None</option>
+                          {mapping.lookupTable && !lookupTables.some((table) => table.name === mapping.lookupTable) && (
+                            <option value={mapping.lookupTable}>{mapping.lookupTable} (missing)</option>
+                          )}
+                          {lookupTables.filter((table) => table.name).map((table) => (
+                            <option key={table.name} value={table.name}>
+                              {table.name}
+                            </option>
+                          ))}
                         </Select>
                       </div>
+                    )}
 
-                      {/* Occurs */}
-                      <div>
+                    {/* Repeating mappings can be written once per distinct value of a key instead of once per node */}
+                    {(valueSource === 'forEach' || mapping.occurs > 1) && (
+                      <div className="mt-3">
                         <label className="text-xs font-medium mb-1 block text-muted-foreground">
-                          Occurs
+                          Group By
                         </label>
-                        <Input
-                          type="number"
-                          min="1"
-                          value={mapping.occurs || 1}
-                          onChange={(e) =>
-                            updateMapping(mapping.id, 'occurs', parseInt(e.target.value) || 1)
-                          }
+                        <XPathInput
+                          placeholder="Key relative to each node, e.g. @category (one per node when empty)"
+                          list="mapping-source-paths"
+                          value={mapping.groupBy || ''}
+                          onChange={(e) => updateMapping(mapping.id, 'groupBy', e.target.value || undefined)}
                           className="text-sm"
-                          placeholder="1"
                         />
+                        {mapping.groupBy && (
+                          <p className="text-xs text-muted-foreground mt-1">
+                            Paths below are read from the first node of each group; repeating paths and aggregates below select all its nodes
+                          </p>
+                        )}
                       </div>
+                    )}
 
-                      {/* Required */}
-                      <div>
+                    {/* Repeating mappings can skip nodes and order the ones they keep */}
+                    {(valueSource === 'forEach' || mapping.occurs > 1) && (
+                      <div className="mt-3">
                         <label className="text-xs font-medium mb-1 block text-muted-foreground">
-                          Required
+                          Filter
                         </label>
-                        <Select
-                          value={mapping.required === false ? 'false' : 'true'}
-                          onChange={(e) =>
-                            updateMapping(mapping.id, 'required', e.target.value === 'true')
-                          }
-                          className="w-full text-sm"
-                        >
-                          <option value="true">Yes</option>
-                          <option value="false">No (Optional)</option>
-                        </Select>
+                        <XPathInput
+                          placeholder="Predicate relative to each node, e.g. @type = 'billing' (all nodes when empty)"
+                          list="mapping-source-paths"
+                          value={mapping.filter || ''}
+                          onChange={(e) => updateMapping(mapping.id, 'filter', e.target.value || undefined)}
+                          className="text-sm"
+                        />
+                      </div>
+                    )}
+                    {(valueSource === 'forEach' || mapping.occurs > 1) && outputFormat !== 'flat' && (
+                      <div className="mt-3">
+                        <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                          Sort
+                        </label>
+                        <SortKeyEditor
+                          sortKeys={mapping.sortKeys}
+                          onChange={(sortKeys) => updateMapping(mapping.id, 'sortKeys', sortKeys.length > 0 ? sortKeys : undefined)}
+                        />
                       </div>
+                    )}
 
-                      {/* Source Type */}
-                      <div>
+                    {/* Aggregate of all the nodes the source path selects */}
+                    {valueSource === 'xpath' && (
+                      <div className="mt-3">
                         <label className="text-xs font-medium mb-1 block text-muted-foreground">
-                          Source Type
+                          Aggregate
                         </label>
                         <Select
-                          value={mapping.sourceType || 'element'}
-                          onChange={(e) =>
-                            updateMapping(mapping.id, 'sourceType', e.target.value)
-                          }
-                          className="w-full text-sm"
+                          value={mapping.aggregate || ''}
+                          onChange={(e) => updateMapping(mapping.id, 'aggregate', e.target.value || undefined)}
+                          className="w-56 text-sm"
                         >
-                          <option value="element">Element</option>
-                          <option value="attribute">Attribute</option>
+                          <option value="">None (value of the node)</option>
+                          {AGGREGATES.map((option) => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
                         </Select>
                       </div>
+                    )}
+
+                    {/* Condition deciding whether the mapping is written, with an optional otherwise value */}
+                    <div className="mt-3">
+                      <label className="text-xs font-medium mb-1 block text-muted-foreground">
+                        Condition
+                      </label>
+                      <ConditionEditor
+                        condition={mapping.condition}
+                        otherwise={mapping.otherwise}
+                        allowOtherwise={!isComponent(mapping)}
+                        skipLabel={outputFormat === 'flat' ? 'Leave empty' : 'Omit'}
+                        emptyLabel={getEmptyValueLabel()}
+                        onChange={(updates) => updateMultipleFields(mapping.id, updates)}
+                      />
                     </div>
 
                     {/* Help text */}
-                    <div className="mt-2 text-xs text-muted-foreground">
-                      {mapping.fieldType === 'currency' && '💰 Will add currencyID="USD" attribute and format to 2 decimals'}
-                      {mapping.fieldType === 'date' && '📅 Will use current-dateTime() as fallback if missing'}
-                      {mapping.fieldType === 'component' && '📦 Container for nested fields - use with hierarchy'}
-                      {mapping.occurs > 1 && `🔁 Will generate <xsl:for-each> for ${mapping.occurs} occurrences`}
-                      {mapping.required === false && '⚠️ Optional field - will add fallback comment'}
-                    </div>
+                    {isJSON && (
+                      <div className="mt-2 text-xs text-muted-foreground">
+                        {['numeric', 'decimal', 'currency'].includes(mapping.fieldType) && '🔢 Written as a JSON number (null when not numeric), or as text with a number picture'}
+                        {mapping.fieldType === 'boolean' && '✅ Written as true for "true" or "1", false otherwise'}
+                        {mapping.fieldType === 'currency' && ' - with a currency code as { "amount", "currency" }'}
+                      </div>
+                    )}
+                    {outputFormat === 'xml' && (
+                      <div className="mt-2 text-xs text-muted-foreground">
+                        {mapping.fieldType === 'currency' && '💰 Will add a currencyID attribute when a currency code is set'}
+                        {mapping.fieldType === 'date' && '📅 Reformatted when source and target date patterns are set'}
+                        {mapping.fieldType === 'component' && '📦 Container for nested fields - use with hierarchy'}
+                        {mapping.occurs > 1 && `🔁 Will generate <xsl:for-each> for ${mapping.occurs} occurrences`}
+                        {mapping.required === false && '⚠️ Optional field - will add fallback comment'}
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -333,14 +1034,14 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
           Add Field Mapping
         </Button>
 
-        {mappings.length === 0 && (
+        {fields.length === 0 && (
           <div className="text-center py-8 text-sm text-muted-foreground">
             No mappings yet. Click "Add Field Mapping" to start.
           </div>
         )}
 
         {/* Quick Add from Paths */}
-        {paths && paths.length > 0 && mappings.length === 0 && (
+        {paths && paths.length > 0 && fields.length === 0 && (
           <div className="pt-4 border-t">
             <p className="text-sm font-medium mb-2">Quick Actions:</p>
             <Button
@@ -354,12 +1055,11 @@ export function MappingInterface({ paths, outputFormat, onMappingsChange }) {
                   targetName: path.name,
                   targetPath: path.name,
                   fieldType: 'string',
-                  occurs: 1,
-                  required: true,
+                  occurs: path.occurs || 1,
+                  required: path.required !== false,
                   expanded: false
                 }));
-                setMappings(newMappings);
-                updateParent(newMappings);
+                updateFields(newMappings);
               }}
             >
               Auto-map first 5 fields
@@ -0,0 +1,75 @@
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { DEFAULT_NAMESPACE_PREFIX } from '../utils/xmlParser';
+
+/**
+ * Editor for a namespace map ({ default: uri, prefix: uri })
+ * An empty prefix stands for the default namespace
+ */
+export function NamespaceEditor({ namespaces, onChange }) {
+  const entries = Object.entries(namespaces || {});
+
+  const emit = (nextEntries) => {
+    onChange(Object.fromEntries(nextEntries));
+  };
+
+  const updatePrefix = (index, value) => {
+    // Keep only characters valid in a namespace prefix
+    const prefix = value.replace(/[^A-Za-z0-9_.-]/g, '') || 'default';
+    // Renaming onto another row's prefix would silently drop that row
+    if (entries.some(([key], i) => i !== index && key === prefix)) return;
+    emit(entries.map((entry, i) => (i === index ? [prefix, entry[1]] : entry)));
+  };
+
+  const updateUri = (index, value) => {
+    emit(entries.map((entry, i) => (i === index ? [entry[0], value] : entry)));
+  };
+
+  const addNamespace = () => {
+    let prefix = 'default' in (namespaces || {}) ? DEFAULT_NAMESPACE_PREFIX : 'default';
+    let counter = 1;
+    while (entries.some(([key]) => key === prefix)) {
+      prefix = `${DEFAULT_NAMESPACE_PREFIX}${counter++}`;
+    }
+    emit([...entries, [prefix, '']]);
+  };
+
+  const removeNamespace = (index) => {
+    emit(entries.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      {entries.map(([prefix, uri], index) => (
+        <div key={index} className="flex items-center gap-2">
+          <Input
+            placeholder="(default)"
+            value={prefix === 'default' ? '' : prefix}
+            onChange={(e) => updatePrefix(index, e.target.value)}
+            className="w-32 font-mono text-sm"
+            title="Prefix; leave empty for the default namespace"
+          />
+          <Input
+            placeholder="Namespace URI, e.g. urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+            value={uri}
+            onChange={(e) => updateUri(index, e.target.value)}
+            className="flex-1 font-mono text-sm"
+          />
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => removeNamespace(index)}
+            title="Remove namespace"
+          >
+            <Trash2 className="w-4 h-4 text-destructive" />
+          </Button>
+        </div>
+      ))}
+      <Button variant="outline" size="sm" onClick={addNamespace}>
+        <Plus className="w-4 h-4 mr-2" />
+        Add Namespace
+      </Button>
+    </div>
+  );
+}
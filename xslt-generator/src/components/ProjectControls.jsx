@@ -0,0 +1,125 @@
+import { useRef, useState } from 'react';
+import { FolderOpen, Save, FileCode } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/Card';
+import { Alert, AlertDescription, AlertTitle } from './ui/Alert';
+
+export function ProjectControls({ hasSample, onExport, onImport, onImportXSLT }) {
+  const [includeSample, setIncludeSample] = useState(true);
+  const [error, setError] = useState('');
+  const [importWarnings, setImportWarnings] = useState(null);
+  const projectInputRef = useRef(null);
+  const xsltInputRef = useRef(null);
+
+  const readFile = (e, onLoad, label) => {
+    const file = e.target.files && e.target.files[0];
+    // Allow re-importing the same file
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setImportWarnings(null);
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        onLoad(event.target.result, file.name);
+      } catch (err) {
+        setError(`Failed to import ${label}: ${err.message}`);
+      }
+    };
+    reader.onerror = () => {
+      setError(`Error reading ${label} file`);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleProjectChange = (e) => {
+    readFile(e, onImport, 'project');
+  };
+
+  const handleXSLTChange = (e) => {
+    readFile(e, (text, name) => {
+      const warnings = onImportXSLT(text, name);
+      setImportWarnings({ fileName: name, warnings });
+    }, 'stylesheet');
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-4">
+        <CardTitle className="text-lg">Project</CardTitle>
+        <CardDescription>
+          Save the complete mapping setup to a project file, load a previously saved project,
+          or rebuild mappings from an existing stylesheet
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-3">
+          <Button variant="outline" size="sm" onClick={() => projectInputRef.current?.click()}>
+            <FolderOpen className="w-4 h-4 mr-2" />
+            Import Project
+          </Button>
+          <input
+            ref={projectInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleProjectChange}
+            className="hidden"
+          />
+          <Button variant="outline" size="sm" onClick={() => xsltInputRef.current?.click()}>
+            <FileCode className="w-4 h-4 mr-2" />
+            Import XSLT
+          </Button>
+          <input
+            ref={xsltInputRef}
+            type="file"
+            accept=".xsl,.xslt,application/xml,text/xml"
+            onChange={handleXSLTChange}
+            className="hidden"
+          />
+          <Button size="sm" onClick={() => onExport(includeSample && hasSample)}>
+            <Save className="w-4 h-4 mr-2" />
+            Export Project
+          </Button>
+          <label className={`flex items-center gap-2 text-sm ${hasSample ? '' : 'text-muted-foreground'}`}>
+            <input
+              type="checkbox"
+              checked={includeSample && hasSample}
+              disabled={!hasSample}
+              onChange={(e) => setIncludeSample(e.target.checked)}
+            />
+            Include sample XML
+          </label>
+        </div>
+
+        {error && (
+          <Alert variant="destructive" className="mt-4">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {importWarnings && (
+          <Alert variant={importWarnings.warnings.length > 0 ? 'default' : 'success'} className="mt-4">
+            <AlertTitle>Imported {importWarnings.fileName}</AlertTitle>
+            <AlertDescription>
+              {importWarnings.warnings.length === 0 ? (
+                'All constructs were converted to editable mappings.'
+              ) : (
+                <>
+                  <p className="mb-2">
+                    {importWarnings.warnings.length} construct(s) could not be represented and need manual review:
+                  </p>
+                  <ul className="list-disc list-inside space-y-1 font-mono text-xs max-h-40 overflow-auto">
+                    {importWarnings.warnings.map((warning, index) => (
+                      <li key={index}>{warning}</li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,90 @@
+import { ArrowDown, ArrowUp, Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Select } from './ui/Select';
+import { XPathInput } from './XPathInput';
+
+/**
+ * Editor for the ordered sort keys of a repeating mapping or of the flat file records
+ * Each key is an XPath relative to the sorted nodes, compared as text or as numbers
+ * onChange receives the new list of keys
+ */
+export function SortKeyEditor({ sortKeys, onChange }) {
+  const list = sortKeys || [];
+
+  const updateKey = (index, changes) => {
+    onChange(list.map((sortKey, i) => (i === index ? { ...sortKey, ...changes } : sortKey)));
+  };
+
+  const moveKey = (index, offset) => {
+    const next = [...list];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      {list.map((sortKey, index) => (
+        <div key={index} className="flex items-start gap-1">
+          <div className="flex-1 min-w-0">
+            <XPathInput
+              placeholder="Key relative to each node, e.g. @date or price"
+              list="mapping-source-paths"
+              value={sortKey.select || ''}
+              onChange={(e) => updateKey(index, { select: e.target.value })}
+            />
+          </div>
+          <Select
+            value={sortKey.dataType || 'text'}
+            onChange={(e) => updateKey(index, { dataType: e.target.value })}
+            className="w-24 flex-shrink-0 text-sm"
+          >
+            <option value="text">Text</option>
+            <option value="number">Number</option>
+          </Select>
+          <Select
+            value={sortKey.order || 'ascending'}
+            onChange={(e) => updateKey(index, { order: e.target.value })}
+            className="w-32 flex-shrink-0 text-sm"
+          >
+            <option value="ascending">Ascending</option>
+            <option value="descending">Descending</option>
+          </Select>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => moveKey(index, -1)}
+            disabled={index === 0}
+            title="Move up"
+          >
+            <ArrowUp className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => moveKey(index, 1)}
+            disabled={index === list.length - 1}
+            title="Move down"
+          >
+            <ArrowDown className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => onChange(list.filter((_, i) => i !== index))}
+            title="Remove sort key"
+          >
+            <Trash2 className="w-4 h-4 text-destructive" />
+          </Button>
+        </div>
+      ))}
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...list, { select: '', dataType: 'text', order: 'ascending' }])}
+      >
+        <Plus className="w-4 h-4 mr-2" />
+        Add Sort Key
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { useRef, useState } from 'react';
+import { FileCheck, X } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/Card';
+import { Alert, AlertDescription, AlertTitle } from './ui/Alert';
+
+export function TargetSchemaUpload({ fileName, warnings = [], onSchemaLoad, onClear }) {
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  const handleChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    // Allow re-loading the same files
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setError('');
+    Promise.all(files.map(file => new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (event) => resolve({ fileName: file.name, content: event.target.result });
+      reader.onerror = () => reject(new Error(`Error reading ${file.name}`));
+      reader.readAsText(file);
+    })))
+      .then(schemaFiles => onSchemaLoad(schemaFiles))
+      .catch(err => setError(`Failed to load target schema: ${err.message}`));
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-4">
+        <CardTitle className="text-lg">Target Schema</CardTitle>
+        <CardDescription>
+          Load the XSD of the output format to pick target paths from its structure
+          and check that every mandatory element and attribute is mapped
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-3">
+          <Button variant="outline" size="sm" onClick={() => inputRef.current?.click()}>
+            <FileCheck className="w-4 h-4 mr-2" />
+            {fileName ? 'Replace Target XSD' : 'Load Target XSD'}
+          </Button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".xsd"
+            multiple
+            onChange={handleChange}
+            className="hidden"
+          />
+          {fileName && (
+            <div className="flex items-center gap-2 text-sm">
+              <span className="font-medium">{fileName}</span>
+              <Button variant="ghost" size="icon" className="h-6 w-6" onClick={onClear} title="Remove target schema">
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <Alert variant="destructive" className="mt-4">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {warnings.length > 0 && (
+          <Alert className="mt-4">
+            <AlertTitle>Target schema loaded with warnings</AlertTitle>
+            <AlertDescription>
+              <ul className="list-disc list-inside space-y-1 font-mono text-xs max-h-40 overflow-auto">
+                {warnings.map((warning, index) => (
+                  <li key={index}>{warning}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,106 @@
+import { ArrowDown, ArrowUp, Trash2 } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { VALUE_TRANSFORMS, createValueTransform, getValueTransformError } from '../utils/valueTransforms';
+
+/**
+ * Editor for the ordered value transformations of a mapping
+ * Each transformation is applied to the result of the one above it; problems such as
+ * missing settings or functions the XSLT version lacks are shown next to the row
+ */
+export function TransformEditor({ transforms, xsltVersion, onChange }) {
+  const list = transforms || [];
+
+  const updateTransform = (index, changes) => {
+    onChange(list.map((transform, i) => (i === index ? { ...transform, ...changes } : transform)));
+  };
+
+  const moveTransform = (index, offset) => {
+    const next = [...list];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      {list.map((transform, index) => {
+        const definition = VALUE_TRANSFORMS[transform.type];
+        const error = getValueTransformError(transform, xsltVersion);
+
+        return (
+          <div key={index}>
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-muted-foreground w-4">{index + 1}</span>
+              <Select
+                value={transform.type}
+                // A different type starts from empty settings
+                onChange={(e) => onChange(list.map((item, i) => (i === index ? createValueTransform(e.target.value) : item)))}
+                className="w-44 text-sm"
+                title={definition ? definition.description : undefined}
+              >
+                {Object.entries(VALUE_TRANSFORMS).map(([type, option]) => (
+                  <option key={type} value={type}>
+                    {option.label}
+                  </option>
+                ))}
+              </Select>
+              {definition && definition.params.map((param) => (
+                <Input
+                  key={param.name}
+                  placeholder={param.placeholder || param.label}
+                  title={param.label}
+                  value={transform[param.name] || ''}
+                  onChange={(e) => updateTransform(index, { [param.name]: e.target.value })}
+                  className={param.numeric ? 'w-20 text-sm' : 'w-32 font-mono text-sm'}
+                />
+              ))}
+              <div className="flex-1" />
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => moveTransform(index, -1)}
+                disabled={index === 0}
+                title="Apply earlier"
+              >
+                <ArrowUp className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => moveTransform(index, 1)}
+                disabled={index === list.length - 1}
+                title="Apply later"
+              >
+                <ArrowDown className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => onChange(list.filter((_, i) => i !== index))}
+                title="Remove transformation"
+              >
+                <Trash2 className="w-4 h-4 text-destructive" />
+              </Button>
+            </div>
+            {error && (
+              <p className="ml-6 mt-1 text-xs text-destructive">{error}</p>
+            )}
+          </div>
+        );
+      })}
+      <Select
+        value=""
+        onChange={(e) => e.target.value && onChange([...list, createValueTransform(e.target.value)])}
+        className="w-56 text-sm"
+      >
+        <option value="">Add transformation…</option>
+        {Object.entries(VALUE_TRANSFORMS).map(([type, option]) => (
+          <option key={type} value={type}>
+            {option.label}
+          </option>
+        ))}
+      </Select>
+    </div>
+  );
+}
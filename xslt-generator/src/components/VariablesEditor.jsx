@@ -0,0 +1,108 @@
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { XPathInput } from './XPathInput';
+
+/**
+ * Build a generator variable from its name, kind, value mode and value
+ * Variables are { name, xpath } or { name, value }; parameters add isParam
+ */
+function createVariable(name, isParam, mode, value) {
+  const variable = mode === 'xpath' ? { name, xpath: value } : { name, value };
+  return isParam ? { ...variable, isParam: true } : variable;
+}
+
+/**
+ * Editor for the stylesheet variables and parameters (mappings.variables)
+ * Variables hold a fixed text or an XPath evaluated against the source document;
+ * parameters are the same with a default value that can be overridden at run time
+ */
+export function VariablesEditor({ variables, onChange }) {
+  const list = variables || [];
+
+  const updateVariable = (index, changes) => {
+    onChange(list.map((variable, i) => {
+      if (i !== index) return variable;
+      const current = {
+        name: variable.name,
+        isParam: Boolean(variable.isParam),
+        mode: variable.xpath !== undefined ? 'xpath' : 'text',
+        value: variable.xpath !== undefined ? variable.xpath : variable.value || ''
+      };
+      const next = { ...current, ...changes };
+      return createVariable(next.name, next.isParam, next.mode, next.value);
+    }));
+  };
+
+  const addVariable = () => {
+    let counter = list.length + 1;
+    while (list.some((variable) => variable.name === `var${counter}`)) counter++;
+    onChange([...list, createVariable(`var${counter}`, false, 'text', '')]);
+  };
+
+  return (
+    <div className="space-y-2">
+      {list.map((variable, index) => {
+        const mode = variable.xpath !== undefined ? 'xpath' : 'text';
+
+        return (
+          <div key={index} className="flex items-start gap-2">
+            <Input
+              placeholder="Name"
+              value={variable.name}
+              // Keep only characters valid in a variable name
+              onChange={(e) => updateVariable(index, { name: e.target.value.replace(/[^A-Za-z0-9_.-]/g, '') })}
+              className="w-40 font-mono text-sm"
+            />
+            <Select
+              value={variable.isParam ? 'param' : 'variable'}
+              onChange={(e) => updateVariable(index, { isParam: e.target.value === 'param' })}
+              className="w-32 text-sm"
+            >
+              <option value="variable">Variable</option>
+              <option value="param">Parameter</option>
+            </Select>
+            <Select
+              value={mode}
+              onChange={(e) => updateVariable(index, { mode: e.target.value })}
+              className="w-28 text-sm"
+            >
+              <option value="text">Text</option>
+              <option value="xpath">XPath</option>
+            </Select>
+            <div className="flex-1 min-w-0">
+              {mode === 'xpath' ? (
+                <XPathInput
+                  placeholder="e.g., /Order/Header/Currency or count(//Item)"
+                  value={variable.xpath}
+                  onChange={(e) => updateVariable(index, { value: e.target.value })}
+                  className="text-sm"
+                />
+              ) : (
+                <Input
+                  placeholder={variable.isParam ? 'Default value' : 'Value'}
+                  value={variable.value || ''}
+                  onChange={(e) => updateVariable(index, { value: e.target.value })}
+                  className="text-sm"
+                />
+              )}
+            </div>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => onChange(list.filter((_, i) => i !== index))}
+              title="Remove variable"
+            >
+              <Trash2 className="w-4 h-4 text-destructive" />
+            </Button>
+          </div>
+        );
+      })}
+      <Button variant="outline" size="sm" onClick={addVariable}>
+        <Plus className="w-4 h-4 mr-2" />
+        Add Variable
+      </Button>
+    </div>
+  );
+}
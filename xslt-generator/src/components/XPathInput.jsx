@@ -0,0 +1,38 @@
+import { useMemo } from 'react';
+import { Input } from './ui/Input';
+import { cn } from '../utils/cn';
+import { validateXPath } from '../utils/xpathParser';
+
+/**
+ * Text input for XPath expressions with inline syntax errors
+ * Empty values are not reported; required checks are left to the caller
+ */
+export function XPathInput({ value, className, ...props }) {
+  const validation = useMemo(
+    () => (value && value.trim() ? validateXPath(value) : null),
+    [value]
+  );
+  const error = validation && !validation.valid ? validation.error : null;
+
+  return (
+    <div className="w-full">
+      <Input
+        value={value}
+        spellCheck={false}
+        aria-invalid={error ? 'true' : undefined}
+        className={cn('font-mono', error && 'border-destructive focus-visible:ring-destructive', className)}
+        {...props}
+      />
+      {error && (
+        <div className="mt-1 text-xs text-destructive">
+          <pre className="font-mono whitespace-pre overflow-x-auto">
+            {value}
+            {'\n'}
+            {' '.repeat(error.index)}^
+          </pre>
+          <p>{error.message} (position {error.position})</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,43 @@
-import { useState, useEffect } from 'react';
-import { Download, Copy, CheckCircle2, Code } from 'lucide-react';
+import { useState, useEffect, useMemo } from 'react';
+import { Download, Copy, CheckCircle2, Code, Play, Clock, Braces, AlertCircle } from 'lucide-react';
 import { Button } from './ui/Button';
+import { Input } from './ui/Input';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/Card';
 import { Alert, AlertDescription, AlertTitle } from './ui/Alert';
+import { runXSLT, canRunInBrowser, getStylesheetVersion, getStylesheetParameters } from '../utils/xsltRunner';
+import { evaluateJSONStylesheet, isJSONStylesheet } from '../utils/jsonXsltEvaluator';
+import { checkXSLTCompatibility } from '../utils/xsltCompatibility';
 
-export function XSLTPreview({ xsltContent, filename = 'transform.xslt' }) {
+const OUTPUT_TYPE_LABELS = { xml: 'XML', text: 'Text', json: 'JSON' };
+
+export function XSLTPreview({ xsltContent, xmlContent, filename = 'transform.xslt' }) {
   const [copied, setCopied] = useState(false);
+  const [activeTab, setActiveTab] = useState('xslt');
+  const [runResult, setRunResult] = useState(null);
+  // Run-time values for the stylesheet parameters; empty values keep the default
+  const [parameterValues, setParameterValues] = useState({});
+
+  // A new stylesheet or document invalidates the previous run
+  useEffect(() => {
+    setRunResult(null);
+  }, [xsltContent, xmlContent]);
+
+  const jsonStylesheet = isJSONStylesheet(xsltContent);
+  const stylesheetParameters = useMemo(() => getStylesheetParameters(xsltContent), [xsltContent]);
+  // Constructs the declared XSLT version does not have, reported before the stylesheet is downloaded
+  const compatibility = useMemo(() => checkXSLTCompatibility(xsltContent), [xsltContent]);
+
+  const parameters = useMemo(() => Object.fromEntries(
+    stylesheetParameters
+      .filter(param => parameterValues[param.name])
+      .map(param => [param.name, parameterValues[param.name]])
+  ), [stylesheetParameters, parameterValues]);
+
+  // JSON stylesheets need XSLT 3.0, so they are previewed with the built-in evaluator
+  const jsonPreview = useMemo(() => {
+    if (!jsonStylesheet || !xmlContent) return null;
+    return evaluateJSONStylesheet(xsltContent, xmlContent, parameters);
+  }, [jsonStylesheet, xsltContent, xmlContent, parameters]);
 
   useEffect(() => {
     if (copied) {
@@ -39,7 +71,16 @@ export function XSLTPreview({ xsltContent, filename = 'transform.xslt' }) {
     }
   };
 
+  const handleRun = () => {
+    setRunResult(
+      jsonStylesheet
+        ? evaluateJSONStylesheet(xsltContent, xmlContent, parameters)
+        : runXSLT(xsltContent, xmlContent, parameters)
+    );
+  };
+
   const lineCount = xsltContent.split('\n').length;
+  const runnable = jsonStylesheet || canRunInBrowser(xsltContent);
 
   return (
     <Card>
@@ -81,26 +122,158 @@ export function XSLTPreview({ xsltContent, filename = 'transform.xslt' }) {
         </div>
       </CardHeader>
       <CardContent>
-        <Alert variant="success" className="mb-4">
-          <AlertTitle>XSLT Generated Successfully</AlertTitle>
-          <AlertDescription>
-            Your XSLT transformation is ready. You can copy it or download it as a file.
-          </AlertDescription>
-        </Alert>
-
-        <div className="relative">
-          <pre className="p-4 bg-muted rounded-lg overflow-x-auto max-h-[500px] text-xs font-mono border">
-            <code>{xsltContent}</code>
-          </pre>
+        {compatibility.issues.length > 0 ? (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="w-4 h-4" />
+            <AlertTitle>
+              {compatibility.issues.length} construct(s) are not available in XSLT {compatibility.version}
+            </AlertTitle>
+            <AlertDescription>
+              <p className="mb-2">Processors for the declared version will reject the stylesheet. Select a later XSLT version or change these mappings:</p>
+              <ul className="list-disc list-inside space-y-1 font-mono text-xs max-h-40 overflow-auto">
+                {compatibility.issues.map((issue) => (
+                  <li key={issue.construct}>{issue.message}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        ) : (
+          <Alert variant="success" className="mb-4">
+            <AlertTitle>XSLT Generated Successfully</AlertTitle>
+            <AlertDescription>
+              Your XSLT transformation is ready. You can copy it or download it as a file.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex gap-1 mb-4 border-b">
+          {[
+            { value: 'xslt', label: 'XSLT', icon: Code },
+            { value: 'run', label: 'Run', icon: Play },
+          ].map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => setActiveTab(tab.value)}
+              className={`flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                activeTab === tab.value
+                  ? 'border-primary text-foreground'
+                  : 'border-transparent text-muted-foreground hover:text-foreground'
+              }`}
+            >
+              <tab.icon className="w-4 h-4" />
+              {tab.label}
+            </button>
+          ))}
         </div>
 
+        {activeTab === 'xslt' && (
+          <div className={jsonPreview ? 'grid md:grid-cols-2 gap-4' : ''}>
+            <div className="relative min-w-0">
+              <pre className="p-4 bg-muted rounded-lg overflow-x-auto max-h-[500px] text-xs font-mono border">
+                <code>{xsltContent}</code>
+              </pre>
+            </div>
+
+            {jsonPreview && (
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 mb-2 text-xs text-muted-foreground">
+                  <Braces className="w-3 h-3" />
+                  JSON preview (built-in evaluator) • {jsonPreview.duration.toFixed(1)} ms
+                </div>
+                {jsonPreview.error ? (
+                  <Alert variant="destructive">
+                    <AlertTitle>Preview Error</AlertTitle>
+                    <AlertDescription className="whitespace-pre-wrap font-mono text-xs">
+                      {jsonPreview.error}
+                    </AlertDescription>
+                  </Alert>
+                ) : (
+                  <pre className="p-4 bg-muted rounded-lg overflow-x-auto max-h-[470px] text-xs font-mono border">
+                    <code>{jsonPreview.output}</code>
+                  </pre>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {activeTab === 'run' && (
+          <div className="space-y-4">
+            {runnable ? (
+              <div className="flex items-center justify-between gap-4">
+                <p className="text-sm text-muted-foreground">
+                  {jsonStylesheet
+                    ? 'Evaluate the JSON stylesheet against the uploaded XML with the built-in XSLT 3.0 evaluator.'
+                    : 'Apply the stylesheet to the uploaded XML using the browser\'s XSLT 1.0 processor.'}
+                </p>
+                <Button size="sm" onClick={handleRun} disabled={!xmlContent}>
+                  <Play className="w-4 h-4 mr-2" />
+                  Run
+                </Button>
+              </div>
+            ) : (
+              <Alert>
+                <AlertTitle>Browser run not available</AlertTitle>
+                <AlertDescription>
+                  {typeof XSLTProcessor === 'undefined'
+                    ? 'This browser does not provide an XSLT processor.'
+                    : `The browser can only run XSLT 1.0 stylesheets. This stylesheet declares version ${getStylesheetVersion(xsltContent)}.`}
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {runnable && stylesheetParameters.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium">Parameters</p>
+                {stylesheetParameters.map(param => (
+                  <div key={param.name} className="flex items-center gap-2">
+                    <span className="w-40 font-mono text-sm truncate" title={param.name}>${param.name}</span>
+                    <Input
+                      placeholder={param.select ? `Default: ${param.select}` : 'Default value'}
+                      value={parameterValues[param.name] || ''}
+                      onChange={(e) => setParameterValues(prev => ({ ...prev, [param.name]: e.target.value }))}
+                      className="flex-1 text-sm"
+                    />
+                  </div>
+                ))}
+                <p className="text-xs text-muted-foreground">
+                  Values are passed as strings; leave a parameter empty to use its default.
+                </p>
+              </div>
+            )}
+
+            {runResult && (
+              <>
+                <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                  <Clock className="w-3 h-3" />
+                  {runResult.success ? 'Completed' : 'Failed'} in {runResult.duration.toFixed(1)} ms
+                  {runResult.success && ` • ${OUTPUT_TYPE_LABELS[runResult.outputType]} output`}
+                </div>
+
+                {runResult.error ? (
+                  <Alert variant="destructive">
+                    <AlertTitle>Transformation Error</AlertTitle>
+                    <AlertDescription className="whitespace-pre-wrap font-mono text-xs">
+                      {runResult.error}
+                    </AlertDescription>
+                  </Alert>
+                ) : (
+                  <pre className="p-4 bg-muted rounded-lg overflow-x-auto max-h-[500px] text-xs font-mono border">
+                    <code>{runResult.output || '(empty result)'}</code>
+                  </pre>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
         <div className="mt-4 text-sm text-muted-foreground">
           <p className="font-medium mb-2">Usage Instructions:</p>
           <ul className="list-disc list-inside space-y-1 ml-2">
             <li>Save the XSLT file with a .xslt or .xsl extension</li>
             <li>Use an XSLT processor (like Saxon, Xalan, or browser APIs) to apply the transformation</li>
             <li>Ensure your XML and XSLT are in the same encoding</li>
-            <li>For JSON output, you'll need an XSLT 3.0 compatible processor</li>
+            <li>For JSON output, you'll need an XSLT 3.0 compatible processor (the in-app preview evaluates the generated subset only)</li>
           </ul>
         </div>
       </CardContent>
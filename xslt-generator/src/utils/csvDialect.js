@@ -0,0 +1,83 @@
+/**
+ * CSV Dialect Utility
+ * Settings that decide how flat file values are separated, quoted and escaped (RFC 4180 by default)
+ */
+
+/**
+ * Default dialect: comma separated, values quoted with " when needed and quotes doubled
+ */
+export const DEFAULT_CSV_DIALECT = {
+  delimiter: ',',
+  quoteChar: '"',
+  quoting: 'needed',
+  escape: 'double',
+  lineTerminator: 'LF',
+};
+
+/**
+ * Characters written at the end of every row, by line terminator
+ */
+export const LINE_TERMINATORS = {
+  LF: '\n',
+  CRLF: '\r\n',
+};
+
+/**
+ * Get a complete dialect from saved settings, missing settings taking the defaults
+ */
+export function getCSVDialect(dialect) {
+  const settings = { ...DEFAULT_CSV_DIALECT };
+  Object.entries(dialect || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') settings[key] = value;
+  });
+  return settings;
+}
+
+/**
+ * Get the problem with a dialect, or null when stylesheets can be generated with it
+ */
+export function getCSVDialectError(dialect) {
+  const { delimiter, quoteChar, quoting, escape } = getCSVDialect(dialect);
+
+  if (/[\r\n]/.test(delimiter)) {
+    return 'The delimiter cannot contain line breaks';
+  }
+  if (quoting === 'never') return null;
+  if (quoteChar.length !== 1 || /[\r\n]/.test(quoteChar)) {
+    return 'The quote character must be a single character other than a line break';
+  }
+  if (delimiter.includes(quoteChar)) {
+    return 'The quote character cannot be part of the delimiter';
+  }
+  if (escape === 'backslash' && quoteChar === '\\') {
+    return 'The quote character cannot be a backslash when quotes are escaped with backslashes';
+  }
+  return null;
+}
+
+/**
+ * Check whether a value has to be quoted: it contains the delimiter, the quote character or a line break
+ */
+export function needsCSVQuotes(value, dialect) {
+  const { delimiter, quoteChar } = getCSVDialect(dialect);
+  return [delimiter, quoteChar, '\n', '\r'].some(text => String(value).includes(text));
+}
+
+/**
+ * Write a value known when the stylesheet is generated (such as a header) as a field of the dialect
+ * Quote characters are doubled, or prefixed with a backslash (as backslashes are) for the backslash style
+ */
+export function quoteCSVField(value, dialect) {
+  const settings = getCSVDialect(dialect);
+  const text = String(value);
+
+  if (settings.quoting === 'never' || (settings.quoting === 'needed' && !needsCSVQuotes(text, settings))) {
+    return text;
+  }
+
+  const { quoteChar } = settings;
+  const escaped = settings.escape === 'backslash'
+    ? text.replace(/\\/g, '\\\\').split(quoteChar).join(`\\${quoteChar}`)
+    : text.split(quoteChar).join(quoteChar + quoteChar);
+  return quoteChar + escaped + quoteChar;
+}
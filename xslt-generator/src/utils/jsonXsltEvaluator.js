@@ -0,0 +1,668 @@
+/**
+ * JSON XSLT Evaluator
+ * Interprets the XSLT 3.0 subset emitted by generateJSONTransform so JSON
+ * mappings can be previewed in the browser, which only ships an XSLT 1.0 processor.
+ *
+ * Supported instructions: top-level xsl:variable and xsl:param, xsl:template match="/",
+ * xsl:map, xsl:map-entry, xsl:for-each, xsl:for-each-group (group-by), xsl:sort,
+ * xsl:if, xsl:choose, xsl:value-of, xsl:sequence, xsl:text and local xsl:variable.
+ * XPath expressions are evaluated with document.evaluate (XPath 1.0), which has no
+ * variable bindings: variable references are replaced by their values before evaluation,
+ * and current-group() by a union of the paths of the group members. Local variables hold
+ * item sequences and are only read by the array { $name } constructors of JSON arrays.
+ * The XPath 2.0 and XSLT functions in EMULATED_FUNCTIONS and SEQUENCE_FUNCTIONS are evaluated here the same way.
+ */
+
+import { parseXML } from './xmlParser';
+import { parseXPath, qualifyNameTests, substituteVariables, toXPathLiteral, walkXPath } from './xpathParser';
+
+const XSL_NS = 'http://www.w3.org/1999/XSL/Transform';
+const DEFAULT_NS_PREFIX = '__default';
+
+/**
+ * XPath 2.0 functions the preview evaluates itself, by name
+ * Each receives the string values of its arguments and returns a string, number or boolean
+ */
+const EMULATED_FUNCTIONS = {
+  'upper-case': ([value]) => value.toUpperCase(),
+  'lower-case': ([value]) => value.toLowerCase(),
+  'ends-with': ([value, suffix]) => value.endsWith(suffix),
+  'matches': ([value, pattern, flags = '']) => toRegExp(pattern, flags).test(value),
+  'replace': ([value, pattern, replacement, flags = '']) =>
+    value.replace(toRegExp(pattern, flags + 'g'), (...match) => expandReplacement(replacement, match)),
+  'format-number': ([value, picture]) => formatNumber(Number(value), picture),
+  'round-half-to-even': ([value, precision = '0']) => roundHalfToEven(Number(value), Number(precision)),
+  'format-date': ([value, picture]) => formatDateTime(value, picture),
+  'format-dateTime': ([value, picture]) => formatDateTime(value, picture),
+  // Constructors check their argument and keep its ISO text
+  'xs:date': ([value]) => checkDateTime(value, false),
+  'xs:dateTime': ([value]) => checkDateTime(value, true)
+};
+
+/**
+ * XPath 2.0 functions over sequences the preview evaluates itself, by name
+ * Each receives, per argument, the string values of all its items
+ */
+const SEQUENCE_FUNCTIONS = {
+  'string-join': ([items, [separator = ''] = []]) => items.join(separator),
+  // Aggregates of no items are the empty sequence, written as an empty string
+  'avg': ([items]) => (items.length > 0 ? String(items.reduce((sum, item) => sum + Number(item), 0) / items.length) : ''),
+  'min': ([items]) => (items.length > 0 ? String(Math.min(...items.map(Number))) : ''),
+  'max': ([items]) => (items.length > 0 ? String(Math.max(...items.map(Number))) : '')
+};
+
+/**
+ * Convert an XPath regular expression and its flags (s, m, i, x) to a RegExp
+ */
+function toRegExp(pattern, flags) {
+  // The x flag ignores whitespace in the pattern
+  const source = flags.includes('x') ? pattern.replace(/\s+/g, '') : pattern;
+  return new RegExp(source, flags.replace('x', ''));
+}
+
+/**
+ * Expand the $N group references and \$ / \\ escapes of an XPath replacement string
+ */
+function expandReplacement(replacement, match) {
+  return replacement.replace(/\\([\\$])|\$(\d)/g, (_, escaped, group) =>
+    escaped || (typeof match[group] === 'string' ? match[group] : ''));
+}
+
+/**
+ * Format a number with a format-number() picture such as #,##0.00
+ * Supports the 0 and # digits, grouping separators, the decimal point and text before and after
+ */
+function formatNumber(value, picture) {
+  if (Number.isNaN(value)) return 'NaN';
+
+  const [positive] = picture.split(';');
+  const first = positive.search(/[0#,.]/);
+  const last = Math.max(positive.lastIndexOf('0'), positive.lastIndexOf('#'), positive.lastIndexOf('.'));
+  const prefix = first < 0 ? positive : positive.substring(0, first);
+  const suffix = first < 0 ? '' : positive.substring(last + 1);
+  const [integerPicture, fractionPicture = ''] = positive.substring(first, last + 1).split('.');
+
+  const minFraction = (fractionPicture.match(/0/g) || []).length;
+  const maxFraction = minFraction + (fractionPicture.match(/#/g) || []).length;
+  const minInteger = (integerPicture.match(/0/g) || []).length;
+  const grouping = integerPicture.includes(',') ? integerPicture.length - integerPicture.lastIndexOf(',') - 1 : 0;
+
+  let [integer, fraction = ''] = Math.abs(value).toFixed(maxFraction).split('.');
+  while (fraction.length > minFraction && fraction.endsWith('0')) {
+    fraction = fraction.substring(0, fraction.length - 1);
+  }
+  integer = integer.replace(/^0+/, '').padStart(minInteger, '0');
+  if (grouping > 0) {
+    integer = integer.replace(new RegExp(`\\B(?=(\\d{${grouping}})+$)`, 'g'), ',');
+  }
+
+  const sign = value < 0 && Number(integer + fraction) !== 0 ? '-' : '';
+  return `${sign}${prefix}${integer}${fraction ? `.${fraction}` : ''}${suffix}`;
+}
+
+/**
+ * Round a number to a number of decimal places, halves to the even neighbour
+ */
+function roundHalfToEven(value, precision) {
+  if (!Number.isFinite(value)) return value;
+
+  const factor = 10 ** precision;
+  // Keep 15 significant digits so decimals such as 2.675 are not rounded from 267.49999...
+  const scaled = Number((value * factor).toPrecision(15));
+  const floor = Math.floor(scaled);
+  const difference = scaled - floor;
+  const rounded = difference === 0.5 ? (floor % 2 === 0 ? floor : floor + 1) : Math.round(scaled);
+  return rounded / factor;
+}
+
+/**
+ * Check the ISO text of an xs:date (yyyy-MM-dd) or xs:dateTime (yyyy-MM-ddTHH:mm:ss)
+ */
+function checkDateTime(value, withTime) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?$/.exec(value);
+  const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+  const valid = match && Boolean(match[4]) === withTime &&
+    date.getUTCMonth() === match[2] - 1 && date.getUTCDate() === Number(match[3]) &&
+    (!withTime || (match[4] < 24 && match[5] < 60 && match[6] < 60));
+  if (!valid) {
+    throw new Error(`Invalid ${withTime ? 'xs:dateTime' : 'xs:date'} "${value}"`);
+  }
+  return value;
+}
+
+/**
+ * Format the ISO text of a date or dateTime with a format-date() picture
+ * Supports the [Y0001], [Y01], [M01], [D01], [H01], [m01] and [s01] components and [[ ]] escapes
+ */
+function formatDateTime(value, picture) {
+  const [, year, month, day, hour, minute, second] =
+    /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/.exec(value) || [];
+  const components = {
+    Y0001: year, Y01: year && year.substring(2), M01: month, D01: day, H01: hour, m01: minute, s01: second
+  };
+
+  return picture.replace(/\[\[|\]\]|\[([^\]]*)\]/g, (token, component) => {
+    if (token === '[[') return '[';
+    if (token === ']]') return ']';
+    if (components[component] === undefined) {
+      throw new Error(`Date picture component [${component}] cannot be previewed`);
+    }
+    return components[component];
+  });
+}
+
+/**
+ * Error raised when the stylesheet cannot be evaluated
+ */
+class EvaluationError extends Error {
+  constructor(message, element) {
+    const location = element ? ` (in <${element.nodeName}>)` : '';
+    super(message + location);
+    this.name = 'EvaluationError';
+  }
+}
+
+/**
+ * Check whether a stylesheet is a JSON stylesheet this evaluator can preview
+ */
+export function isJSONStylesheet(xsltString) {
+  if (!xsltString) return false;
+  return /<xsl:output[^>]*\smethod="json"/.test(xsltString);
+}
+
+/**
+ * Evaluate an XSLT 3.0 JSON stylesheet against an XML string
+ * parameters (name -> string) override the defaults of top-level xsl:param declarations.
+ * Returns the serialized JSON, any error and the run time in ms
+ */
+export function evaluateJSONStylesheet(xsltString, xmlString, parameters = {}) {
+  const start = performance.now();
+  const result = {
+    success: false,
+    output: '',
+    outputType: 'json',
+    error: null,
+    duration: 0
+  };
+
+  try {
+    if (!xmlString) {
+      throw new Error('No XML document loaded');
+    }
+
+    const xsltDoc = parseXML(xsltString);
+    const xmlDoc = parseXML(xmlString);
+    const stylesheet = xsltDoc.documentElement;
+
+    if (stylesheet.namespaceURI !== XSL_NS || stylesheet.localName !== 'stylesheet') {
+      throw new EvaluationError('Root element must be xsl:stylesheet');
+    }
+
+    const evaluator = createEvaluator(stylesheet, xmlDoc);
+    getXSLChildren(stylesheet)
+      .filter(el => el.localName === 'variable' || el.localName === 'param')
+      .forEach(el => evaluator.bindGlobalVariable(el, parameters));
+
+    const template = getXSLChildren(stylesheet).find(el =>
+      el.localName === 'template' && el.getAttribute('match') === '/'
+    );
+
+    if (!template) {
+      throw new EvaluationError('No <xsl:template match="/"> found');
+    }
+
+    const items = evaluator.evaluateSequenceConstructor(template, xmlDoc);
+    result.output = serializeJSON(toJSONValue(items, template));
+    result.success = true;
+  } catch (err) {
+    result.error = err.message || String(err);
+  }
+
+  result.duration = performance.now() - start;
+  return result;
+}
+
+/**
+ * Get the XSLT instruction children of an element
+ */
+function getXSLChildren(element) {
+  return Array.from(element.children).filter(child => child.namespaceURI === XSL_NS);
+}
+
+/**
+ * Create an evaluator bound to the stylesheet namespaces and source document
+ */
+function createEvaluator(stylesheet, xmlDoc) {
+  const namespaces = {};
+
+  Array.from(stylesheet.attributes).forEach(attr => {
+    if (attr.name.startsWith('xmlns:')) {
+      namespaces[attr.name.substring(6)] = attr.value;
+    }
+  });
+
+  const xpathDefaultNS = stylesheet.getAttribute('xpath-default-namespace');
+  if (xpathDefaultNS) {
+    namespaces[DEFAULT_NS_PREFIX] = xpathDefaultNS;
+  }
+
+  const resolver = (prefix) => namespaces[prefix] || null;
+  // Variable name -> XPath text that replaces its references
+  const variables = {};
+  // Members of the group of the innermost xsl:for-each-group
+  let currentGroup = null;
+  // Local variable name -> its items (maps, arrays, nodes or atomic values)
+  const localVariables = new Map();
+
+  const evaluateXPath = (expr, contextNode, resultType, element) => {
+    try {
+      const substituted = inlineEmulatedCalls(substituteCurrentGroup(substituteVariables(expr, variables)), contextNode, element);
+      // XPath 1.0 has no default element namespace, so xpath-default-namespace is emulated with a prefix
+      const qualified = xpathDefaultNS ? qualifyNameTests(substituted, DEFAULT_NS_PREFIX) : substituted;
+      return xmlDoc.evaluate(qualified, contextNode, resolver, resultType, null);
+    } catch (err) {
+      throw new EvaluationError(`Cannot evaluate XPath "${expr}": ${err.message}`, element);
+    }
+  };
+
+  // Replace current-group() calls by a union selecting the members of the current group
+  const substituteCurrentGroup = (expr) => {
+    if (!expr.includes('current-group')) return expr;
+
+    const calls = [];
+    walkXPath(parseXPath(expr), node => {
+      if (node.type === 'FunctionCall' && !node.prefix && node.name === 'current-group') calls.push(node);
+    });
+    if (calls.length === 0) return expr;
+    if (!currentGroup) {
+      throw new Error('current-group() is only available inside xsl:for-each-group');
+    }
+
+    const union = `(${currentGroup.map(getNodePath).join(' | ')})`;
+    return calls
+      .sort((a, b) => b.start - a.start)
+      .reduce((result, call) => result.substring(0, call.start) + union + result.substring(call.end), expr);
+  };
+
+  // Replace calls to emulated functions by their result for the context node
+  // Calls inside paths or predicates would need a different context node per step, so they are refused
+  const inlineEmulatedCalls = (expr, contextNode, element) => {
+    let ast;
+    try {
+      ast = parseXPath(expr);
+    } catch {
+      // Malformed expressions are reported by document.evaluate
+      return expr;
+    }
+
+    const calls = [];
+    const collect = (node, scoped) => {
+      if (Array.isArray(node)) {
+        node.forEach(child => collect(child, scoped));
+        return;
+      }
+      // xs: constructors are the only prefixed functions the preview knows
+      if (node.type === 'FunctionCall' && (!node.prefix || node.prefix === 'xs') && (EMULATED_FUNCTIONS[node.name] || SEQUENCE_FUNCTIONS[node.name])) {
+        if (scoped) {
+          throw new Error(`${node.name}() inside a path or predicate cannot be previewed`);
+        }
+        calls.push(node);
+        return;
+      }
+      const innerScoped = scoped || ['Path', 'Filter', 'For', 'Quantified'].includes(node.type);
+      Object.entries(node).forEach(([key, value]) => {
+        if (key !== 'type' && value && typeof value === 'object') collect(value, innerScoped);
+      });
+    };
+    collect(ast, false);
+
+    return calls
+      .sort((a, b) => b.start - a.start)
+      .reduce((result, call) => {
+        const value = SEQUENCE_FUNCTIONS[call.name]
+          ? SEQUENCE_FUNCTIONS[call.name](call.args.map(arg => selectSequence(expr, arg, contextNode, element)))
+          : EMULATED_FUNCTIONS[call.name](call.args.map(arg =>
+            atomize(selectItems(expr.substring(arg.start, arg.end), contextNode, element))[0] || ''
+          ));
+        return result.substring(0, call.start) + toXPathLiteral(value) + result.substring(call.end);
+      }, expr);
+  };
+
+  // Evaluate an argument to the string values of its items; "(a, b)" sequences are evaluated item by item
+  const selectSequence = (expr, arg, contextNode, element) => {
+    const inner = arg.type === 'Parenthesized' ? arg.expr : arg;
+    if (arg.type === 'EmptySequence') return [];
+    const items = inner.type === 'Sequence' ? inner.items : [inner];
+    return items.flatMap(item => atomize(selectItems(expr.substring(item.start, item.end), contextNode, element)));
+  };
+
+  const selectNodes = (expr, contextNode, element) => {
+    const snapshot = evaluateXPath(expr, contextNode, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, element);
+    const nodes = [];
+    for (let i = 0; i < snapshot.snapshotLength; i++) {
+      nodes.push(snapshot.snapshotItem(i));
+    }
+    return nodes;
+  };
+
+  // Evaluate an expression to a sequence of items (nodes or atomic values)
+  const selectItems = (expr, contextNode, element) => {
+    const value = evaluateXPath(expr, contextNode, XPathResult.ANY_TYPE, element);
+
+    switch (value.resultType) {
+      case XPathResult.NUMBER_TYPE:
+        return [value.numberValue];
+      case XPathResult.STRING_TYPE:
+        return [value.stringValue];
+      case XPathResult.BOOLEAN_TYPE:
+        return [value.booleanValue];
+      default:
+        return selectNodes(expr, contextNode, element);
+    }
+  };
+
+  // Order items by the xsl:sort children of element; getKeyContext binds the context node of an item's keys
+  const sortItems = (element, items, getKeyContext) => {
+    const sortKeys = getXSLChildren(element).filter(child => child.localName === 'sort');
+    if (sortKeys.length === 0) return items;
+
+    const keyed = items.map(item => ({
+      item,
+      keys: sortKeys.map(sortKey => {
+        const value = atomize(selectItems(sortKey.getAttribute('select') || '.', getKeyContext(item), sortKey))[0];
+        return sortKey.getAttribute('data-type') === 'number' ? Number(value) : String(value === undefined ? '' : value);
+      })
+    }));
+
+    // Array.prototype.sort is stable, so equal keys keep document order
+    return keyed.sort((a, b) => {
+      for (let i = 0; i < sortKeys.length; i++) {
+        const order = sortKeys[i].getAttribute('order') === 'descending' ? -1 : 1;
+        const result = compareSortKeys(a.keys[i], b.keys[i]);
+        if (result !== 0) return result * order;
+      }
+      return 0;
+    }).map(entry => entry.item);
+  };
+
+  // Evaluate the test attribute of xsl:if or xsl:when as a boolean
+  const evaluateTest = (element, contextNode) => {
+    const expr = element.getAttribute('test');
+    if (!expr) {
+      throw new EvaluationError(`xsl:${element.localName} requires a test attribute`, element);
+    }
+    return evaluateXPath(expr, contextNode, XPathResult.BOOLEAN_TYPE, element).booleanValue;
+  };
+
+  const evaluateInstruction = (element, contextNode) => {
+    switch (element.localName) {
+      case 'map': {
+        const map = new Map();
+        evaluateSequenceConstructor(element, contextNode).forEach(item => {
+          if (!(item instanceof Map)) {
+            throw new EvaluationError('xsl:map content must be a sequence of maps', element);
+          }
+          item.forEach((value, key) => {
+            if (map.has(key)) {
+              throw new EvaluationError(`Duplicate map key '${key}'`, element);
+            }
+            map.set(key, value);
+          });
+        });
+        return [map];
+      }
+
+      case 'map-entry': {
+        const keyExpr = element.getAttribute('key');
+        if (!keyExpr) {
+          throw new EvaluationError('xsl:map-entry requires a key attribute', element);
+        }
+        const key = atomize(selectItems(keyExpr, contextNode, element)).join('');
+        const items = element.hasAttribute('select')
+          ? selectItems(element.getAttribute('select'), contextNode, element)
+          : evaluateSequenceConstructor(element, contextNode);
+        return [new Map([[key, toJSONValue(items, element)]])];
+      }
+
+      case 'for-each': {
+        const nodes = selectNodes(element.getAttribute('select'), contextNode, element);
+        return sortItems(element, nodes, node => node).flatMap(node => evaluateSequenceConstructor(element, node));
+      }
+
+      case 'for-each-group': {
+        const groupBy = element.getAttribute('group-by');
+        if (!groupBy) {
+          throw new EvaluationError('xsl:for-each-group requires a group-by attribute', element);
+        }
+
+        // Groups in order of first appearance, by the string values of their group-by keys
+        const groups = new Map();
+        selectNodes(element.getAttribute('select'), contextNode, element).forEach(node => {
+          atomize(selectItems(groupBy, node, element)).forEach(key => {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(node);
+          });
+        });
+
+        const outerGroup = currentGroup;
+        try {
+          // Sort keys are evaluated for the first member, with current-group() bound to the group
+          const sorted = sortItems(element, Array.from(groups.values()), members => {
+            currentGroup = members;
+            return members[0];
+          });
+          return sorted.flatMap(members => {
+            currentGroup = members;
+            return evaluateSequenceConstructor(element, members[0]);
+          });
+        } finally {
+          currentGroup = outerGroup;
+        }
+      }
+
+      case 'if':
+        return evaluateTest(element, contextNode) ? evaluateSequenceConstructor(element, contextNode) : [];
+
+      case 'choose': {
+        const branch = getXSLChildren(element).find(child =>
+          child.localName === 'otherwise' || (child.localName === 'when' && evaluateTest(child, contextNode))
+        );
+        return branch ? evaluateSequenceConstructor(branch, contextNode) : [];
+      }
+
+      case 'value-of': {
+        // XSLT 2.0+ semantics: all selected items are joined with the separator
+        const separator = element.hasAttribute('separator') ? element.getAttribute('separator') : ' ';
+        const values = element.hasAttribute('select')
+          ? atomize(selectItems(element.getAttribute('select'), contextNode, element))
+          : atomize(evaluateSequenceConstructor(element, contextNode));
+        return [xmlDoc.createTextNode(values.join(element.hasAttribute('select') ? separator : ''))];
+      }
+
+      case 'sequence': {
+        const select = element.getAttribute('select');
+        // document.evaluate has no empty sequence
+        if (select.trim() === '()') return [];
+
+        // document.evaluate has no array constructors either: every item of the variable is a member
+        const array = select.match(/^\s*array\s*\{\s*\$([^\s{}]+)\s*\}\s*$/);
+        if (array) {
+          if (!localVariables.has(array[1])) {
+            throw new EvaluationError(`Unknown local variable $${array[1]} in ${select.trim()}`, element);
+          }
+          return [localVariables.get(array[1]).map(item => toJSONValue([item], element))];
+        }
+        return selectItems(select, contextNode, element);
+      }
+
+      case 'text':
+        return [xmlDoc.createTextNode(element.textContent)];
+
+      case 'sort':
+        // Applied by the enclosing xsl:for-each or xsl:for-each-group
+        return [];
+
+      default:
+        throw new EvaluationError(`Unsupported instruction xsl:${element.localName}`, element);
+    }
+  };
+
+  const evaluateSequenceConstructor = (parent, contextNode) => {
+    const items = [];
+    // Local variables are in scope for the following siblings only; shadowed bindings are restored
+    const shadowed = [];
+
+    try {
+      Array.from(parent.childNodes).forEach(child => {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          if (child.namespaceURI !== XSL_NS) {
+            throw new EvaluationError(`Literal result element <${child.nodeName}> cannot be serialized as JSON`, parent);
+          }
+          if (child.localName === 'variable') {
+            const name = child.getAttribute('name');
+            shadowed.push([name, localVariables.get(name)]);
+            localVariables.set(name, child.hasAttribute('select')
+              ? selectItems(child.getAttribute('select'), contextNode, child)
+              : evaluateSequenceConstructor(child, contextNode));
+            return;
+          }
+          items.push(...evaluateInstruction(child, contextNode));
+        } else if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
+          items.push(xmlDoc.createTextNode(child.textContent));
+        }
+      });
+    } finally {
+      shadowed.reverse().forEach(([name, previous]) =>
+        (previous === undefined ? localVariables.delete(name) : localVariables.set(name, previous))
+      );
+    }
+
+    return items;
+  };
+
+  // Bind a top-level xsl:variable or xsl:param, evaluated against the document node
+  const bindGlobalVariable = (element, parameters) => {
+    const name = element.getAttribute('name');
+    if (!name) {
+      throw new EvaluationError('Variables require a name attribute', element);
+    }
+
+    if (element.localName === 'param' && parameters[name] !== undefined) {
+      variables[name] = toXPathLiteral(parameters[name]);
+      return;
+    }
+
+    const expr = element.getAttribute('select');
+    if (!expr) {
+      variables[name] = toXPathLiteral(atomize(evaluateSequenceConstructor(element, xmlDoc)).join(''));
+      return;
+    }
+
+    const items = selectItems(expr, xmlDoc, element);
+    if (items.length === 1 && !items[0].nodeType) {
+      variables[name] = toXPathLiteral(items[0]);
+    } else if (expr.trim().startsWith('/')) {
+      // Absolute node-sets select the same nodes wherever they are referenced
+      variables[name] = `(${substituteVariables(expr.trim(), variables)})`;
+    } else {
+      variables[name] = toXPathLiteral(items.length > 0 ? items[0].textContent : '');
+    }
+  };
+
+  return { evaluateSequenceConstructor, bindGlobalVariable };
+}
+
+/**
+ * Compare two sort key values; numbers that are NaN sort before all other numbers as in XSLT
+ */
+function compareSortKeys(a, b) {
+  if (typeof a === 'number') {
+    if (Number.isNaN(a) || Number.isNaN(b)) return (Number.isNaN(a) ? 0 : 1) - (Number.isNaN(b) ? 0 : 1);
+    return a - b;
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Get an absolute XPath that selects an element by its position among its siblings
+ */
+function getNodePath(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    throw new Error('Groups of non-element nodes cannot be previewed');
+  }
+
+  const steps = [];
+  for (let current = node; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentNode) {
+    let position = 1;
+    for (let sibling = current.previousSibling; sibling; sibling = sibling.previousSibling) {
+      if (sibling.nodeType === Node.ELEMENT_NODE) position++;
+    }
+    steps.unshift(`*[${position}]`);
+  }
+  return `/${steps.join('/')}`;
+}
+
+/**
+ * Convert items to their string values
+ */
+function atomize(items) {
+  return items.map(item => {
+    if (typeof item === 'string') return item;
+    if (typeof item === 'number' || typeof item === 'boolean') return String(item);
+    if (item && item.nodeType) return item.textContent;
+    throw new Error('Maps and arrays cannot be atomized');
+  });
+}
+
+/**
+ * Convert a sequence of items to the value the JSON output method would serialize
+ * Follows the XSLT 3.0 serialization rules: () is null, a single item is itself,
+ * longer sequences are a serialization error (SERE0023)
+ */
+function toJSONValue(items, element) {
+  if (items.length === 0) return null;
+
+  if (items.length > 1) {
+    throw new EvaluationError(`JSON output cannot serialize a sequence of ${items.length} items (SERE0023)`, element);
+  }
+
+  const item = items[0];
+
+  if (item && item.nodeType) {
+    // Nodes are serialized with the XML output method, as json-node-output-method="xml" does,
+    // so text is escaped and elements keep their markup; attributes cannot be serialized
+    if (item.nodeType === Node.ATTRIBUTE_NODE) {
+      throw new EvaluationError(`JSON output cannot serialize the attribute node @${item.name} (SENR0001)`, element);
+    }
+    return new XMLSerializer().serializeToString(item);
+  }
+
+  if (typeof item === 'number' && !Number.isFinite(item)) {
+    throw new EvaluationError('JSON output cannot serialize NaN or Infinity (SERE0020)', element);
+  }
+
+  return item;
+}
+
+/**
+ * Serialize evaluated values as indented JSON, keeping map entry order
+ */
+function serializeJSON(value, indent = '') {
+  if (value instanceof Map) {
+    if (value.size === 0) return '{}';
+    const inner = indent + '  ';
+    const entries = Array.from(value.entries()).map(([key, entry]) =>
+      `${inner}${JSON.stringify(key)}: ${serializeJSON(entry, inner)}`
+    );
+    return `{\n${entries.join(',\n')}\n${indent}}`;
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    const inner = indent + '  ';
+    const members = value.map(member => inner + serializeJSON(member, inner));
+    return `[\n${members.join(',\n')}\n${indent}]`;
+  }
+
+  return JSON.stringify(value);
+}
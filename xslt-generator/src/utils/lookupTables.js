@@ -0,0 +1,116 @@
+/**
+ * Lookup Tables Utility
+ * Project-level code lists ({ name, entries: [{ from, to }], unmatched, defaultValue }) that
+ * translate mapped values, e.g. country names to ISO codes. unmatched is 'keep' (write the
+ * value itself) or 'default' (write defaultValue, nothing when it is empty).
+ */
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Create an empty lookup table
+ */
+export function createLookupTable(name) {
+  return { name, entries: [], unmatched: 'keep', defaultValue: '' };
+}
+
+/**
+ * Get the entries of a table that take part in the lookup (rows left completely blank are ignored)
+ */
+export function getLookupEntries(table) {
+  return (table.entries || []).filter(entry => (entry.from || '') !== '' || (entry.to || '') !== '');
+}
+
+/**
+ * Pick the delimiter of a CSV text from its first line (comma, semicolon or tab)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return CSV_DELIMITERS.reduce((best, delimiter) =>
+    (firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best), ',');
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Quoted cells may contain delimiters, line breaks and doubled quotes
+ */
+function parseCSVRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted value');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read lookup entries from CSV text: the first column is the source value, the second the
+ * value written instead. Empty lines are skipped; hasHeader skips the first row.
+ */
+export function parseLookupCSV(text, { hasHeader = false } = {}) {
+  const rows = parseCSVRows(text, detectDelimiter(text))
+    .filter(row => row.some(cell => cell.trim() !== ''));
+
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  if (dataRows.length === 0) {
+    throw new Error('CSV contains no lookup rows');
+  }
+
+  return dataRows.map(([from, to = '']) => ({ from, to }));
+}
+
+/**
+ * Check the table definitions and return the problems found
+ * Every table needs a unique name so mappings can reference it
+ */
+export function validateLookupTables(tables) {
+  const errors = [];
+  const names = new Set();
+
+  (tables || []).forEach((table, index) => {
+    if (!table.name || !table.name.trim()) {
+      errors.push(`Lookup table ${index + 1} needs a name`);
+    } else if (names.has(table.name)) {
+      errors.push(`Lookup table name "${table.name}" is used more than once`);
+    }
+    names.add(table.name);
+  });
+
+  return errors;
+}
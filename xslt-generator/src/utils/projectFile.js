@@ -0,0 +1,148 @@
+/**
+ * Project File Utility
+ * Serializes complete mapping projects to a versioned JSON document and restores them
+ */
+
+export const PROJECT_FILE_TYPE = 'xslt-generator-project';
+export const PROJECT_FILE_VERSION = 1;
+
+/**
+ * Mapping properties stored in a project file
+ */
+const PROJECT_MAPPING_KEYS = ['rootPath', 'recordPath', 'recordGroupBy', 'recordFilter', 'recordSortKeys', 'rootElement', 'variables', 'lookupTables', 'xsltVersion', 'csvDialect', 'fields'];
+
+/**
+ * Field properties that only describe UI state and are not saved
+ */
+const UI_ONLY_FIELD_KEYS = ['expanded'];
+
+const OUTPUT_FORMATS = ['xml', 'json', 'json1', 'flat'];
+
+/**
+ * Build a project document from the current application state
+ */
+export function createProject({ mappings, outputFormat, sample = null }) {
+  const mapping = {};
+
+  PROJECT_MAPPING_KEYS.forEach(key => {
+    if (mappings[key] !== undefined) {
+      mapping[key] = mappings[key];
+    }
+  });
+
+  mapping.fields = (mappings.fields || []).map(field => {
+    const saved = { ...field };
+    UI_ONLY_FIELD_KEYS.forEach(key => delete saved[key]);
+    return saved;
+  });
+
+  const project = {
+    type: PROJECT_FILE_TYPE,
+    version: PROJECT_FILE_VERSION,
+    savedAt: new Date().toISOString(),
+    outputFormat,
+    mapping
+  };
+
+  if (sample && sample.content) {
+    project.sample = {
+      fileName: sample.fileName || 'sample.xml',
+      content: sample.content
+    };
+  }
+
+  return project;
+}
+
+/**
+ * Serialize a project document to JSON text
+ */
+export function serializeProject(state) {
+  return JSON.stringify(createProject(state), null, 2);
+}
+
+/**
+ * Parse and validate project JSON text
+ * Returns { mappings, outputFormat, sample } ready to be loaded into the app
+ */
+export function parseProject(text) {
+  let project;
+
+  try {
+    project = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Project file is not valid JSON: ' + err.message);
+  }
+
+  if (!project || typeof project !== 'object' || project.type !== PROJECT_FILE_TYPE) {
+    throw new Error('Not an XSLT Generator project file');
+  }
+
+  if (typeof project.version !== 'number' || project.version < 1) {
+    throw new Error('Project file has no valid version');
+  }
+
+  if (project.version > PROJECT_FILE_VERSION) {
+    throw new Error(
+      `Project file version ${project.version} was created by a newer release (supported up to ${PROJECT_FILE_VERSION})`
+    );
+  }
+
+  const mapping = project.mapping || {};
+
+  if (mapping.fields !== undefined && !Array.isArray(mapping.fields)) {
+    throw new Error('Project file "mapping.fields" must be an array');
+  }
+
+  if (project.outputFormat && !OUTPUT_FORMATS.includes(project.outputFormat)) {
+    throw new Error(`Unsupported output format in project file: ${project.outputFormat}`);
+  }
+
+  const mappings = {
+    rootPath: '',
+    recordPath: '',
+    fields: []
+  };
+
+  PROJECT_MAPPING_KEYS.forEach(key => {
+    if (mapping[key] !== undefined) {
+      mappings[key] = mapping[key];
+    }
+  });
+
+  // Field ids are only used as React keys, so make sure every field has a unique one
+  const usedIds = new Set();
+  mappings.fields = mappings.fields.map((field, index) => {
+    let id = field.id;
+    if (id === undefined || usedIds.has(id)) {
+      id = Date.now() + index + Math.random();
+    }
+    usedIds.add(id);
+    return { ...field, id, expanded: false };
+  });
+
+  const sample = project.sample && typeof project.sample.content === 'string'
+    ? { fileName: project.sample.fileName || 'sample.xml', content: project.sample.content }
+    : null;
+
+  return {
+    mappings,
+    outputFormat: project.outputFormat || 'xml',
+    sample
+  };
+}
+
+/**
+ * Download a project document as a .json file
+ */
+export function downloadProject(state, filename = 'xslt-project.json') {
+  const blob = new Blob([serializeProject(state)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
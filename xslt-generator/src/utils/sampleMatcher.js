@@ -0,0 +1,250 @@
+/**
+ * Sample Matcher Utility
+ * Evaluates mapping XPaths against the loaded sample document so the mapping
+ * screen can show how many nodes each path selects and what their values are
+ */
+
+import { normalizeXPath, expandDottedPath, qualifyXPath, getMappingValueSource } from './xsltGenerator';
+import { validateXPath, relativizeXPath, substituteVariables, toXPathLiteral } from './xpathParser';
+
+/**
+ * Number of sample values shown per mapping
+ */
+export const SAMPLE_VALUE_LIMIT = 3;
+
+/**
+ * Create a namespace resolver for document.evaluate from a prefix -> URI map
+ */
+export function createNamespaceResolver(namespaces = {}) {
+  return (prefix) => namespaces[prefix] || null;
+}
+
+/**
+ * Evaluate an expression and return its result as a list of items (nodes or atomic values)
+ */
+function evaluateItems(xmlDoc, expr, contextNode, resolver) {
+  const result = xmlDoc.evaluate(expr, contextNode, resolver, XPathResult.ANY_TYPE, null);
+
+  switch (result.resultType) {
+    case XPathResult.NUMBER_TYPE:
+      return [result.numberValue];
+    case XPathResult.STRING_TYPE:
+      return [result.stringValue];
+    case XPathResult.BOOLEAN_TYPE:
+      return [result.booleanValue];
+    default: {
+      const nodes = [];
+      let node = result.iterateNext();
+      while (node) {
+        nodes.push(node);
+        node = result.iterateNext();
+      }
+      return nodes;
+    }
+  }
+}
+
+/**
+ * Resolve stylesheet variables and parameters to XPath text for substituteVariables
+ * document.evaluate has no variable bindings, so every $name is replaced before evaluation.
+ * Variables are evaluated in declaration order against the document like top-level
+ * xsl:variable; atomic results and fixed values become literals, absolute node-sets stay
+ * expressions. Parameter values in parameters override the declared defaults.
+ */
+export function resolveVariableExpressions(xmlDoc, variables, namespaces, resolver, parameters = {}) {
+  const replacements = {};
+
+  (variables || []).filter(variable => variable.name).forEach(variable => {
+    if (variable.isParam && parameters[variable.name] !== undefined) {
+      replacements[variable.name] = toXPathLiteral(parameters[variable.name]);
+      return;
+    }
+    if (!variable.xpath) {
+      replacements[variable.name] = toXPathLiteral(variable.value || '');
+      return;
+    }
+
+    const expr = substituteVariables(qualifyXPath(variable.xpath.trim(), namespaces), replacements);
+    try {
+      const items = evaluateItems(xmlDoc, expr, xmlDoc, resolver);
+      if (items.length === 1 && !items[0].nodeType) {
+        replacements[variable.name] = toXPathLiteral(items[0]);
+      } else if (expr.startsWith('/')) {
+        replacements[variable.name] = `(${expr})`;
+      } else {
+        // A relative node-set only means something at the document node: keep its string value
+        replacements[variable.name] = toXPathLiteral(items.length > 0 ? items[0].textContent : '');
+      }
+    } catch {
+      // References to this variable are reported when the field paths are evaluated
+    }
+  });
+
+  return replacements;
+}
+
+/**
+ * Resolve the nodes mappings are evaluated against
+ * The root path selects the starting nodes; a record path selects the records
+ * below them, the same way the flat file stylesheet applies its record template.
+ * Returns { nodes, label, path } where path is the XPath source paths are made relative to
+ */
+export function resolveContextNodes(xmlDoc, mappings, namespaces, resolver) {
+  let nodes = [xmlDoc];
+  let label = 'document';
+  let path = null;
+
+  const rootPath = qualifyXPath((mappings.rootPath || '').trim(), namespaces);
+  if (rootPath) {
+    path = normalizeXPath(rootPath);
+    nodes = evaluateItems(xmlDoc, path, xmlDoc, resolver).filter(item => item && item.nodeType);
+    label = 'root';
+  }
+
+  const recordPath = qualifyXPath((mappings.recordPath || '').trim(), namespaces);
+  if (recordPath && nodes.length > 0) {
+    const expr = recordPath.startsWith('/') ? recordPath : `descendant-or-self::${recordPath}`;
+    nodes = evaluateItems(xmlDoc, expr, nodes[0], resolver).filter(item => item && item.nodeType);
+    label = 'record';
+    path = normalizeXPath(recordPath);
+  }
+
+  return { nodes, label, path };
+}
+
+/**
+ * Normalize and namespace-qualify a source path the way the generators do
+ * Relative paths are read below the context's record path when it has one (flat files)
+ */
+function normalizeSourcePath(sourcePath, context, namespaces) {
+  return normalizeXPath(qualifyXPath(expandDottedPath(sourcePath), namespaces), context.recordPath);
+}
+
+/**
+ * Get the repeating component a field is nested in: the closest mapping with a for-each path or
+ * occurs > 1 whose target path contains the field's, or null
+ */
+function getEnclosingComponent(field, fields) {
+  const getTargetPath = (mapping) => mapping.targetPath || mapping.targetName || '';
+  const targetPath = getTargetPath(field);
+
+  return fields
+    .filter(other => other !== field && (other.forEachPath || other.occurs > 1) && getTargetPath(other) &&
+      targetPath.startsWith(`${getTargetPath(other)}/`))
+    .reduce((closest, other) =>
+      (!closest || getTargetPath(other).length > getTargetPath(closest).length ? other : closest), null);
+}
+
+/**
+ * Resolve the context a field is evaluated in, the way the generators nest their iterations:
+ * the nodes of its enclosing repeating component (read per node of the component around it),
+ * or the root/record context when it has none
+ */
+function resolveFieldContext(xmlDoc, field, fields, context, namespaces, resolver, variables) {
+  const component = getEnclosingComponent(field, fields);
+  if (!component) return context;
+
+  const outer = resolveFieldContext(xmlDoc, component, fields, context, namespaces, resolver, variables);
+  const path = normalizeSourcePath(component.forEachPath || component.sourcePath || '.', context, namespaces);
+  const expression = substituteVariables(relativizeXPath(path, outer.path), variables);
+
+  return {
+    ...outer,
+    nodes: outer.nodes.flatMap(node => evaluateItems(xmlDoc, expression, node, resolver)).filter(item => item && item.nodeType),
+    label: component.targetName || 'component',
+    path
+  };
+}
+
+/**
+ * Evaluate a single source path against a context { nodes, label, path, recordPath }
+ * The path is normalized, namespace-qualified and made relative to the context path
+ * the same way the generators do it, then read from every context node; variables (from
+ * resolveVariableExpressions) are substituted only for evaluation.
+ * Returns { expression, context, count, maxCount, values } where maxCount is the most nodes
+ * read from one context node and at most SAMPLE_VALUE_LIMIT values are kept
+ */
+export function matchSourcePath(xmlDoc, sourcePath, context, namespaces, resolver, variables = {}) {
+  const expression = relativizeXPath(normalizeSourcePath(sourcePath, context, namespaces), context.path);
+  const results = context.nodes.map(node =>
+    evaluateItems(xmlDoc, substituteVariables(expression, variables), node, resolver)
+  );
+  const items = results.flat();
+
+  return {
+    expression,
+    context: context.label,
+    count: items.length,
+    maxCount: results.reduce((max, result) => Math.max(max, result.length), 0),
+    values: items.slice(0, SAMPLE_VALUE_LIMIT).map(item =>
+      item && item.nodeType ? item.textContent.trim() : String(item)
+    )
+  };
+}
+
+/**
+ * Evaluate the source path of every mapping field against the sample document
+ * Fields with an explicit iteration path are matched by that path; constant and empty
+ * fields read nothing from the source and are left out. Fields below a repeating component
+ * are read from each of its nodes, and occurs is checked per node. Relative paths of flat
+ * file fields (outputFormat 'flat') are read below the record.
+ * Returns { context: { label, count }, error, fields: { [fieldId]: match } } where a match is
+ * { expression, context, count, values, warning } or { error } when the path cannot be evaluated
+ */
+export function matchMappingPaths(xmlDoc, mappings, namespaces = {}, outputFormat = 'xml') {
+  const resolver = createNamespaceResolver(namespaces);
+  const summary = { context: { label: 'document', count: 1 }, error: null, fields: {} };
+
+  let context;
+  try {
+    const resolved = resolveContextNodes(xmlDoc, mappings, namespaces, resolver);
+    summary.context = { label: resolved.label, count: resolved.nodes.length };
+    context = {
+      nodes: resolved.nodes.slice(0, 1),
+      label: resolved.label,
+      path: resolved.path,
+      recordPath: outputFormat === 'flat' ? resolved.path : null
+    };
+  } catch (err) {
+    summary.error = `Cannot evaluate root/record path: ${err.message}`;
+    return summary;
+  }
+
+  if (context.nodes.length === 0) {
+    summary.error = `The ${summary.context.label} path matches nothing in the sample`;
+    return summary;
+  }
+
+  const variables = resolveVariableExpressions(xmlDoc, mappings.variables, namespaces, resolver);
+  const fields = mappings.fields || [];
+
+  fields.forEach(field => {
+    const valueSource = getMappingValueSource(field);
+    // Constant, empty and concatenated values have no single source path to match
+    if (valueSource === 'hardcoded' || valueSource === 'empty' || valueSource === 'concat') return;
+
+    const sourcePath = valueSource === 'forEach' ? field.forEachPath : field.sourcePath;
+    // Invalid expressions already show a syntax error next to the input
+    if (!sourcePath || !validateXPath(sourcePath).valid) return;
+
+    try {
+      const fieldContext = resolveFieldContext(xmlDoc, field, fields, context, namespaces, resolver, variables);
+      const { maxCount, ...match } = matchSourcePath(xmlDoc, sourcePath, fieldContext, namespaces, resolver, variables);
+      const occurs = field.occurs || 1;
+
+      if (match.count === 0) {
+        match.warning = 'Matches no nodes in the sample';
+      } else if (valueSource === 'xpath' && !field.aggregate && maxCount > occurs) {
+        match.warning = fieldContext === context
+          ? `Matches ${maxCount} nodes but occurs allows ${occurs}`
+          : `Matches ${maxCount} nodes in one ${fieldContext.label} but occurs allows ${occurs}`;
+      }
+
+      summary.fields[field.id] = match;
+    } catch (err) {
+      summary.fields[field.id] = { error: err.message };
+    }
+  });
+
+  return summary;
+}
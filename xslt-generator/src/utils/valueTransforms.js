@@ -0,0 +1,472 @@
+/**
+ * Value Transforms Utility
+ * Compiles the ordered list of value transformations of a mapping (trimming, case changes,
+ * substrings, character translation, regex replacement, padding...) into one XPath
+ * expression wrapped around the path that selects the value, and the mapping's output
+ * format (number picture or source -> target date pattern) around that
+ */
+
+import { parseXPath, toXPathLiteral } from './xpathParser';
+
+const LOWER_CASE = 'abcdefghijklmnopqrstuvwxyz';
+const UPPER_CASE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Functions that always return a single string, so their result needs no [1]
+const SINGLE_STRING_FUNCTIONS = [
+  'concat', 'string', 'string-join', 'normalize-space', 'upper-case', 'lower-case', 'substring',
+  'substring-before', 'substring-after', 'translate', 'replace', 'format-number'
+];
+
+/**
+ * Date pattern letters: every token stands for as many characters of the source text as it has
+ * letters; picture is the XSLT 2.0 format-date() component it is written with
+ */
+const DATE_TOKENS = {
+  yyyy: { label: 'year', picture: '[Y0001]' },
+  yy: { label: 'two-digit year', picture: '[Y01]' },
+  MM: { label: 'month', picture: '[M01]' },
+  dd: { label: 'day', picture: '[D01]' },
+  HH: { label: 'hour', picture: '[H01]' },
+  mm: { label: 'minute', picture: '[m01]' },
+  ss: { label: 'second', picture: '[s01]' }
+};
+const DATE_TOKEN_PATTERN = /yyyy|yy|MM|dd|HH|mm|ss/g;
+
+/**
+ * Available transformations by type
+ * params are the settings stored on a transform ({ type, ...params }); minVersion is the
+ * first XSLT version that can express the transformation
+ */
+export const VALUE_TRANSFORMS = {
+  trim: {
+    label: 'Trim',
+    description: 'Remove leading and trailing whitespace (XSLT 1.0 also collapses inner whitespace)',
+    params: []
+  },
+  normalizeSpace: {
+    label: 'Normalize spaces',
+    description: 'Trim and collapse whitespace runs into single spaces',
+    params: []
+  },
+  upperCase: { label: 'Upper case', description: 'Convert to upper case (a-z only in XSLT 1.0)', params: [] },
+  lowerCase: { label: 'Lower case', description: 'Convert to lower case (A-Z only in XSLT 1.0)', params: [] },
+  substring: {
+    label: 'Substring',
+    description: 'Characters from a 1-based start position',
+    params: [
+      { name: 'start', label: 'Start', placeholder: '1', numeric: true },
+      { name: 'length', label: 'Length', placeholder: 'to end', numeric: true, optional: true }
+    ]
+  },
+  substringBefore: {
+    label: 'Substring before',
+    description: 'Text before the first occurrence of a separator',
+    params: [{ name: 'text', label: 'Separator', placeholder: 'e.g. -' }]
+  },
+  substringAfter: {
+    label: 'Substring after',
+    description: 'Text after the first occurrence of a separator',
+    params: [{ name: 'text', label: 'Separator', placeholder: 'e.g. -' }]
+  },
+  translate: {
+    label: 'Translate characters',
+    description: 'Replace each character of "from" by the character at the same position in "to" (removed when "to" is shorter)',
+    params: [
+      { name: 'from', label: 'From', placeholder: 'e.g. -/' },
+      { name: 'to', label: 'To', placeholder: 'e.g. __', optional: true }
+    ]
+  },
+  replace: {
+    label: 'Replace (regex)',
+    description: 'Replace every match of a regular expression; $1... refer to groups',
+    minVersion: '2.0',
+    params: [
+      { name: 'pattern', label: 'Pattern', placeholder: 'e.g. [^0-9]' },
+      { name: 'replacement', label: 'Replacement', placeholder: 'e.g. $1', optional: true },
+      { name: 'flags', label: 'Flags', placeholder: 'i, m, s, x', optional: true }
+    ]
+  },
+  padLeft: {
+    label: 'Pad left',
+    description: 'Pad on the left to a minimum length',
+    params: [
+      { name: 'length', label: 'Length', placeholder: 'e.g. 10', numeric: true },
+      { name: 'char', label: 'Character', placeholder: 'space', optional: true }
+    ]
+  },
+  padRight: {
+    label: 'Pad right',
+    description: 'Pad on the right to a minimum length',
+    params: [
+      { name: 'length', label: 'Length', placeholder: 'e.g. 10', numeric: true },
+      { name: 'char', label: 'Character', placeholder: 'space', optional: true }
+    ]
+  },
+  prepend: {
+    label: 'Prepend text',
+    description: 'Add text before the value',
+    params: [{ name: 'text', label: 'Text' }]
+  },
+  append: {
+    label: 'Append text',
+    description: 'Add text after the value',
+    params: [{ name: 'text', label: 'Text' }]
+  }
+};
+
+/**
+ * Create a transform of the given type with empty settings
+ */
+export function createValueTransform(type) {
+  const definition = VALUE_TRANSFORMS[type];
+  return definition.params.reduce((transform, param) => ({ ...transform, [param.name]: '' }), { type });
+}
+
+/**
+ * Write a value as an XPath literal that can be placed in a select attribute
+ */
+function literal(value) {
+  return toXPathLiteral(String(value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read a numeric setting; whole numbers only for lengths
+ */
+function readNumber(transform, param, integer) {
+  const text = String(transform[param.name] || '').trim();
+  if (!text && param.optional) return null;
+
+  const value = Number(text);
+  if (!text || Number.isNaN(value) || (integer && (!Number.isInteger(value) || value < 0))) {
+    throw new Error(`${VALUE_TRANSFORMS[transform.type].label}: ${param.label} must be ${integer ? 'a whole number' : 'a number'}`);
+  }
+  return value;
+}
+
+/**
+ * Read a text setting; required settings may not be empty
+ */
+function readText(transform, param) {
+  const value = transform[param.name] || '';
+  if (value === '' && !param.optional) {
+    throw new Error(`${VALUE_TRANSFORMS[transform.type].label}: ${param.label} is required`);
+  }
+  return value;
+}
+
+/**
+ * Wrap an expression in a single transformation
+ */
+function compileTransform(expr, transform, xpath2) {
+  const definition = VALUE_TRANSFORMS[transform.type];
+  if (!definition) {
+    throw new Error(`Unknown value transformation "${transform.type}"`);
+  }
+  if (definition.minVersion && !xpath2) {
+    throw new Error(`${definition.label} requires XSLT ${definition.minVersion} or later`);
+  }
+
+  const [first, second] = definition.params;
+
+  switch (transform.type) {
+    case 'trim':
+      return xpath2 ? `replace(${expr}, '^\\s+|\\s+$', '')` : `normalize-space(${expr})`;
+
+    case 'normalizeSpace':
+      return `normalize-space(${expr})`;
+
+    case 'upperCase':
+      return xpath2 ? `upper-case(${expr})` : `translate(${expr}, '${LOWER_CASE}', '${UPPER_CASE}')`;
+
+    case 'lowerCase':
+      return xpath2 ? `lower-case(${expr})` : `translate(${expr}, '${UPPER_CASE}', '${LOWER_CASE}')`;
+
+    case 'substring': {
+      const start = readNumber(transform, first, false);
+      const length = readNumber(transform, second, true);
+      return length === null ? `substring(${expr}, ${start})` : `substring(${expr}, ${start}, ${length})`;
+    }
+
+    case 'substringBefore':
+      return `substring-before(${expr}, ${literal(readText(transform, first))})`;
+
+    case 'substringAfter':
+      return `substring-after(${expr}, ${literal(readText(transform, first))})`;
+
+    case 'translate':
+      return `translate(${expr}, ${literal(readText(transform, first))}, ${literal(readText(transform, second))})`;
+
+    case 'replace': {
+      const pattern = readText(transform, first);
+      const flags = (transform.flags || '').trim();
+      if (!/^[smix]*$/.test(flags)) {
+        throw new Error(`${definition.label}: flags may only contain s, m, i and x`);
+      }
+      const args = [expr, literal(pattern), literal(transform.replacement || '')];
+      if (flags) args.push(literal(flags));
+      return `replace(${args.join(', ')})`;
+    }
+
+    case 'padLeft':
+    case 'padRight': {
+      const length = readNumber(transform, first, true);
+      const char = transform.char || ' ';
+      if (char.length !== 1) {
+        throw new Error(`${definition.label}: ${second.label} must be a single character`);
+      }
+      // Longer values are kept: substring() with a negative length is empty
+      const padding = `substring(${literal(char.repeat(length))}, 1, ${length} - string-length(${expr}))`;
+      return transform.type === 'padLeft' ? `concat(${padding}, ${expr})` : `concat(${expr}, ${padding})`;
+    }
+
+    case 'prepend':
+      return `concat(${literal(readText(transform, first))}, ${expr})`;
+
+    case 'append':
+      return `concat(${expr}, ${literal(readText(transform, first))})`;
+
+    default:
+      return expr;
+  }
+}
+
+/**
+ * Check whether an XSLT version has the XPath 2.0 function library
+ */
+function isXPath2(xsltVersion) {
+  return parseFloat(xsltVersion || '1.0') >= 2;
+}
+
+/**
+ * Check whether an expression is known to return exactly one item
+ */
+function isSingleItem(expr) {
+  if (expr === '.') return true;
+  try {
+    // Literals in the expression may already be escaped for the select attribute
+    const ast = parseXPath(expr.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&amp;/g, '&'));
+    return ast.type === 'FunctionCall' && !ast.prefix && SINGLE_STRING_FUNCTIONS.includes(ast.name);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Apply an ordered list of transformations to the expression that selects a value
+ * Each transformation wraps the result of the previous one; XSLT 1.0 gets XPath 1.0
+ * equivalents (translate() instead of upper-case()...). Literals are escaped for a
+ * select attribute. Throws when a transformation is incomplete or not available in the version.
+ */
+export function applyValueTransforms(expr, transforms, xsltVersion = '1.0') {
+  if (!transforms || transforms.length === 0) return expr;
+
+  const xpath2 = isXPath2(xsltVersion);
+  // XPath 2.0 string functions reject sequences, so the first node is used as XPath 1.0 does
+  const value = xpath2 && !isSingleItem(expr) ? `(${expr})[1]` : expr;
+  return transforms.reduce((result, transform) => compileTransform(result, transform, xpath2), value);
+}
+
+/**
+ * Get the problem with a single transformation for an XSLT version, or null when it compiles
+ */
+export function getValueTransformError(transform, xsltVersion = '1.0') {
+  try {
+    compileTransform('.', transform, isXPath2(xsltVersion));
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Split a date pattern such as dd/MM/yyyy into tokens and literal texts
+ * Returns [{ token, text, start }] where start is the 1-based position of the part in matching text
+ */
+function parseDatePattern(pattern) {
+  const parts = [];
+  let position = 0;
+
+  const addText = (text) => {
+    if (text) parts.push({ token: null, text, start: position + 1 });
+    position += text.length;
+  };
+
+  let match;
+  DATE_TOKEN_PATTERN.lastIndex = 0;
+  while ((match = DATE_TOKEN_PATTERN.exec(pattern)) !== null) {
+    addText(pattern.substring(position, match.index));
+    parts.push({ token: match[0], text: match[0], start: match.index + 1 });
+    position = match.index + match[0].length;
+  }
+  addText(pattern.substring(position));
+
+  return parts;
+}
+
+/**
+ * Check whether a source date pattern has the parts of an xs:date (and of an xs:dateTime)
+ */
+function getDatePatternType(source) {
+  const tokens = source.map(part => part.token);
+  if (!['yyyy', 'MM', 'dd'].every(token => tokens.includes(token))) return null;
+  return tokens.includes('HH') && tokens.includes('mm') ? 'dateTime' : 'date';
+}
+
+/**
+ * Reformat a date read with the source pattern (dateFrom) into the target pattern (dateTo)
+ * XSLT 2.0+ builds an xs:date or xs:dateTime from the source parts and writes it with
+ * format-date() or format-dateTime(), which also rejects impossible dates; XSLT 1.0, and source
+ * patterns without a full date, rearrange the parts with substring()
+ */
+function compileDateFormat(expr, format, xpath2) {
+  const source = parseDatePattern(format.dateFrom);
+  const target = parseDatePattern(format.dateTo);
+  const starts = {};
+  source.filter(part => part.token).forEach(part => {
+    starts[part.token] = part.start;
+  });
+
+  const readPart = (token) => {
+    if (starts[token]) return `substring(${expr}, ${starts[token]}, ${token.length})`;
+    // A two-digit year is the end of a four-digit one
+    if (token === 'yy' && starts.yyyy) return `substring(${expr}, ${starts.yyyy + 2}, 2)`;
+    throw new Error(`Date format: the source pattern has no ${DATE_TOKENS[token].label} (${token})`);
+  };
+
+  const type = getDatePatternType(source);
+  if (xpath2 && type) {
+    const time = type === 'dateTime'
+      ? [`'T'`, readPart('HH'), `':'`, readPart('mm'), `':'`, starts.ss ? readPart('ss') : `'00'`]
+      : [];
+    const iso = `concat(${[readPart('yyyy'), `'-'`, readPart('MM'), `'-'`, readPart('dd'), ...time].join(', ')})`;
+    const picture = target.map(part => {
+      if (!part.token) return part.text.replace(/\[/g, '[[').replace(/\]/g, ']]');
+      if (type === 'date' && ['HH', 'mm', 'ss'].includes(part.token)) {
+        throw new Error(`Date format: the source pattern has no ${DATE_TOKENS[part.token].label} (${part.token})`);
+      }
+      return DATE_TOKENS[part.token].picture;
+    }).join('');
+    return type === 'dateTime'
+      ? `format-dateTime(xs:dateTime(${iso}), ${literal(picture)})`
+      : `format-date(xs:date(${iso}), ${literal(picture)})`;
+  }
+
+  const parts = target.map(part => (part.token ? readPart(part.token) : literal(part.text)));
+  return parts.length === 1 ? parts[0] : `concat(${parts.join(', ')})`;
+}
+
+/**
+ * Get the format-number() picture of a format: its number picture, else one with the number
+ * of decimal places, or null when numbers are not formatted
+ */
+export function getNumberPicture(format) {
+  if (!format) return null;
+
+  const picture = (format.numberPicture || '').trim();
+  if (picture) {
+    if (!/[0#]/.test(picture)) {
+      throw new Error('Number picture must contain a 0 or # digit');
+    }
+    return picture;
+  }
+
+  const places = getDecimalPlaces(format);
+  if (places === null) return null;
+  return places > 0 ? `0.${'0'.repeat(places)}` : '0';
+}
+
+/**
+ * Get the number of decimal places of a format, or null when it has none
+ */
+function getDecimalPlaces(format) {
+  const decimals = String(format.decimals === undefined ? '' : format.decimals).trim();
+  if (!decimals) return null;
+  const places = Number(decimals);
+  if (!Number.isInteger(places) || places < 0) {
+    throw new Error('Decimal places must be a whole number');
+  }
+  return places;
+}
+
+/**
+ * Check whether a format reformats dates (both patterns are set)
+ */
+function hasDateFormat(format) {
+  return Boolean(format && format.dateFrom && format.dateFrom.trim() && format.dateTo && format.dateTo.trim());
+}
+
+/**
+ * Check whether a format changes how values are written
+ */
+export function hasValueFormat(format) {
+  return hasDateFormat(format) || getNumberPicture(format) !== null;
+}
+
+/**
+ * Check whether the compiled format of a mapping uses xs:date or xs:dateTime, so the stylesheet
+ * must bind the xs prefix to the XML Schema namespace
+ */
+export function usesSchemaTypes(format, xsltVersion = '1.0') {
+  return isXPath2(xsltVersion) && hasDateFormat(format) && Boolean(getDatePatternType(parseDatePattern(format.dateFrom)));
+}
+
+/**
+ * Apply a mapping's output format to the expression that selects its (transformed) value
+ * A format is { numberPicture, decimals, dateFrom, dateTo }: dates are reformatted when both
+ * patterns are set, numbers otherwise written with format-number(). Literals are escaped for a
+ * select attribute. Throws when the format is incomplete or does not fit the patterns.
+ */
+export function applyValueFormat(expr, format, xsltVersion = '1.0') {
+  const xpath2 = isXPath2(xsltVersion);
+  // XPath 2.0 functions reject sequences, so the first node is used as XPath 1.0 does
+  const value = xpath2 && !isSingleItem(expr) ? `(${expr})[1]` : expr;
+
+  if (hasDateFormat(format)) {
+    return compileDateFormat(value, format, xpath2);
+  }
+
+  const picture = getNumberPicture(format);
+  if (!picture) return expr;
+  // format-number() only takes numbers in XPath 2.0; number() reads the first node in both versions
+  return `format-number(number(${value}), ${literal(picture)})`;
+}
+
+/**
+ * Compile the expression that reads a (transformed) value as a number, rounded to the decimal
+ * places of the format; values that are not numbers give NaN. Number pictures are not applied.
+ * XPath 1.0 has no round-half-to-even(), so halves are rounded up with round().
+ */
+export function compileNumberValue(expr, format, xsltVersion = '1.0') {
+  const xpath2 = isXPath2(xsltVersion);
+  // XPath 2.0 functions reject sequences, so the first node is used as XPath 1.0 does
+  const number = `number(${xpath2 && !isSingleItem(expr) ? `(${expr})[1]` : expr})`;
+  const places = format ? getDecimalPlaces(format) : null;
+
+  if (places === null) return number;
+  if (xpath2) return `round-half-to-even(${number}, ${places})`;
+  return places > 0 ? `round(${number} * ${10 ** places}) div ${10 ** places}` : `round(${number})`;
+}
+
+/**
+ * Compile the expression that reads a (transformed) value as a boolean: true for the
+ * xs:boolean true values "true" and "1", false otherwise
+ */
+export function compileBooleanValue(expr, xsltVersion = '1.0') {
+  const value = `normalize-space(${isXPath2(xsltVersion) && !isSingleItem(expr) ? `(${expr})[1]` : expr})`;
+  return `${value} = 'true' or ${value} = '1'`;
+}
+
+/**
+ * Get the problem with a format for an XSLT version, or null when it compiles
+ */
+export function getValueFormatError(format, xsltVersion = '1.0') {
+  try {
+    applyValueFormat('.', format, xsltVersion);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
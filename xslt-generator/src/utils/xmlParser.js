@@ -3,6 +3,28 @@
  * Parses XML files and extracts structure information
  */
 
+/**
+ * Prefix assigned to a default (unprefixed) namespace so it can be addressed from XPath 1.0
+ */
+export const DEFAULT_NAMESPACE_PREFIX = 'ns';
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+// Prefixes that cannot be bound to source namespaces in a generated stylesheet
+export const RESERVED_PREFIXES = ['default', 'xml', 'xmlns', 'xsl'];
+
+// XML names without a colon (NCName), approximated to the common Unicode ranges
+const NCNAME = '[A-Za-z_\\u00C0-\\u02FF\\u0370-\\u1FFF\\u2070-\\uFFFD][\\w.\\-\\u00B7\\u00C0-\\u02FF\\u0370-\\u1FFF\\u2070-\\uFFFD]*';
+const QNAME_PATTERN = new RegExp(`^${NCNAME}(?::${NCNAME})?$`);
+
+/**
+ * Check whether a text is a valid (optionally prefixed) XML element or attribute name
+ */
+export function isValidQName(name) {
+  return QNAME_PATTERN.test(name || '');
+}
+
 /**
  * Parse XML string and return DOM document
  */
@@ -21,37 +43,46 @@ export function parseXML(xmlString) {
 
 /**
  * Extract all unique paths from XML document
+ * Names are qualified with the prefixes assigned by extractNamespaces, so paths
+ * also select elements in default or nested namespaces
  */
-export function extractPaths(xmlDoc) {
+export function extractPaths(xmlDoc, namespaces = extractNamespaces(xmlDoc)) {
   const paths = new Set();
   const pathsWithInfo = [];
+  const prefixByUri = {};
+  
+  Object.entries(namespaces).forEach(([prefix, uri]) => {
+    if (prefix !== 'default') {
+      prefixByUri[uri] = prefix;
+    }
+  });
   
   function traverse(node, currentPath = '') {
     if (node.nodeType === Node.ELEMENT_NODE) {
-      const nodeName = node.nodeName;
+      const nodeName = getQualifiedName(node, prefixByUri);
       const newPath = currentPath ? `${currentPath}/${nodeName}` : nodeName;
       
       // Add element path
       const pathInfo = {
         path: newPath,
         type: 'element',
-        name: nodeName,
+        name: node.localName,
         hasText: false,
         hasChildren: false,
         attributes: [],
         sampleValue: ''
       };
       
-      // Check for attributes
-      if (node.attributes.length > 0) {
-        Array.from(node.attributes).forEach(attr => {
+      // Check for attributes (namespace declarations are not attributes in XPath)
+      Array.from(node.attributes)
+        .filter(attr => attr.namespaceURI !== XMLNS_NAMESPACE && attr.name !== 'xmlns' && !attr.name.startsWith('xmlns:'))
+        .forEach(attr => {
           pathInfo.attributes.push({
-            name: attr.name,
+            name: attr.localName,
             value: attr.value,
-            path: `${newPath}/@${attr.name}`
+            path: `${newPath}/@${getQualifiedName(attr, prefixByUri)}`
           });
         });
-      }
       
       // Check for text content
       const textContent = Array.from(node.childNodes)
@@ -155,24 +186,79 @@ export function validateXML(xmlString) {
 
 /**
  * Get namespace information from XML
+ * Collects every namespace declared or used anywhere in the document and assigns each URI
+ * one stable prefix: the first prefix it was declared with, or a synthetic one for default
+ * namespaces and clashing prefixes. The document element's default namespace is also kept
+ * under the "default" key.
  */
 export function extractNamespaces(xmlDoc) {
   const namespaces = {};
+  const prefixByUri = {};
   const root = xmlDoc.documentElement;
-  
-  // Get all attributes
-  Array.from(root.attributes).forEach(attr => {
-    if (attr.name.startsWith('xmlns:')) {
-      const prefix = attr.name.substring(6);
-      namespaces[prefix] = attr.value;
-    } else if (attr.name === 'xmlns') {
-      namespaces['default'] = attr.value;
+
+  const assign = (preferredPrefix, uri) => {
+    if (!uri || uri === XML_NAMESPACE || prefixByUri[uri]) return;
+
+    const base = preferredPrefix || DEFAULT_NAMESPACE_PREFIX;
+    let prefix = base;
+    let counter = 1;
+    while (prefix in namespaces || RESERVED_PREFIXES.includes(prefix)) {
+      prefix = `${base}${counter++}`;
     }
-  });
-  
+
+    namespaces[prefix] = uri;
+    prefixByUri[uri] = prefix;
+  };
+
+  function traverse(element) {
+    // Declarations first so declared prefixes win over synthetic ones
+    Array.from(element.attributes).forEach(attr => {
+      if (attr.name.startsWith('xmlns:')) {
+        assign(attr.name.substring(6), attr.value);
+      } else if (attr.name === 'xmlns') {
+        assign(null, attr.value);
+      }
+    });
+
+    assign(element.prefix, element.namespaceURI);
+
+    Array.from(element.attributes).forEach(attr => {
+      if (attr.namespaceURI !== XMLNS_NAMESPACE) {
+        assign(attr.prefix, attr.namespaceURI);
+      }
+    });
+
+    Array.from(element.children).forEach(traverse);
+  }
+
+  traverse(root);
+
+  if (root.namespaceURI && !root.prefix) {
+    namespaces['default'] = root.namespaceURI;
+  }
+
   return namespaces;
 }
 
+/**
+ * Get the prefix assigned to the document element's default namespace, if any
+ */
+export function getDefaultNamespacePrefix(namespaces = {}) {
+  if (!namespaces.default) return null;
+  return Object.keys(namespaces).find(prefix => prefix !== 'default' && namespaces[prefix] === namespaces.default) || null;
+}
+
+/**
+ * Get the name of a node as it appears in generated XPaths, qualified with its assigned prefix
+ */
+function getQualifiedName(node, prefixByUri) {
+  if (node.namespaceURI === XML_NAMESPACE) {
+    return `xml:${node.localName}`;
+  }
+  const prefix = node.namespaceURI ? prefixByUri[node.namespaceURI] : null;
+  return prefix ? `${prefix}:${node.localName}` : node.localName;
+}
+
 /**
  * Get XPath expression for a path
  */
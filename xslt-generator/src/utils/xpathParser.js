@@ -0,0 +1,968 @@
+/**
+ * XPath Parser Utility
+ * Tokenizes and parses XPath 1.0/2.0 expressions so mapping paths can be
+ * validated with an exact error position before they reach a stylesheet
+ */
+
+/**
+ * Error raised for malformed expressions
+ * index is the 0-based offset of the offending character, position the 1-based column
+ */
+export class XPathSyntaxError extends Error {
+  constructor(message, index) {
+    super(`${message} at position ${index + 1}`);
+    this.name = 'XPathSyntaxError';
+    this.reason = message;
+    this.index = index;
+    this.position = index + 1;
+  }
+}
+
+/**
+ * Functions known to the XPath/XSLT function library, with the first version that defines them
+ */
+export const XPATH_FUNCTIONS = {
+  // XPath 1.0 core library
+  'last': '1.0', 'position': '1.0', 'count': '1.0', 'id': '1.0', 'local-name': '1.0',
+  'namespace-uri': '1.0', 'name': '1.0', 'string': '1.0', 'concat': '1.0', 'starts-with': '1.0',
+  'contains': '1.0', 'substring-before': '1.0', 'substring-after': '1.0', 'substring': '1.0',
+  'string-length': '1.0', 'normalize-space': '1.0', 'translate': '1.0', 'boolean': '1.0',
+  'not': '1.0', 'true': '1.0', 'false': '1.0', 'lang': '1.0', 'number': '1.0', 'sum': '1.0',
+  'floor': '1.0', 'ceiling': '1.0', 'round': '1.0',
+  // XSLT 1.0 additions
+  'document': '1.0', 'key': '1.0', 'format-number': '1.0', 'current': '1.0',
+  'unparsed-entity-uri': '1.0', 'generate-id': '1.0', 'system-property': '1.0',
+  'element-available': '1.0', 'function-available': '1.0',
+  // XPath 2.0 functions and operators
+  'abs': '2.0', 'adjust-date-to-timezone': '2.0', 'adjust-dateTime-to-timezone': '2.0',
+  'adjust-time-to-timezone': '2.0', 'avg': '2.0', 'base-uri': '2.0', 'codepoint-equal': '2.0',
+  'codepoints-to-string': '2.0', 'collection': '2.0', 'compare': '2.0', 'current-date': '2.0',
+  'current-dateTime': '2.0', 'current-time': '2.0', 'data': '2.0', 'dateTime': '2.0',
+  'day-from-date': '2.0', 'day-from-dateTime': '2.0', 'days-from-duration': '2.0',
+  'deep-equal': '2.0', 'default-collation': '2.0', 'distinct-values': '2.0', 'doc': '2.0',
+  'doc-available': '2.0', 'document-uri': '2.0', 'empty': '2.0', 'encode-for-uri': '2.0',
+  'ends-with': '2.0', 'error': '2.0', 'escape-html-uri': '2.0', 'exactly-one': '2.0',
+  'exists': '2.0', 'hours-from-dateTime': '2.0', 'hours-from-duration': '2.0',
+  'hours-from-time': '2.0', 'implicit-timezone': '2.0', 'in-scope-prefixes': '2.0',
+  'index-of': '2.0', 'insert-before': '2.0', 'iri-to-uri': '2.0', 'lower-case': '2.0',
+  'matches': '2.0', 'max': '2.0', 'min': '2.0', 'minutes-from-dateTime': '2.0',
+  'minutes-from-duration': '2.0', 'minutes-from-time': '2.0', 'month-from-date': '2.0',
+  'month-from-dateTime': '2.0', 'months-from-duration': '2.0', 'namespace-uri-for-prefix': '2.0',
+  'namespace-uri-from-QName': '2.0', 'nilled': '2.0', 'node-name': '2.0', 'normalize-unicode': '2.0',
+  'one-or-more': '2.0', 'prefix-from-QName': '2.0', 'QName': '2.0', 'remove': '2.0',
+  'replace': '2.0', 'resolve-QName': '2.0', 'resolve-uri': '2.0', 'reverse': '2.0', 'root': '2.0',
+  'round-half-to-even': '2.0', 'seconds-from-dateTime': '2.0', 'seconds-from-duration': '2.0',
+  'seconds-from-time': '2.0', 'static-base-uri': '2.0', 'string-join': '2.0',
+  'string-to-codepoints': '2.0', 'subsequence': '2.0', 'timezone-from-date': '2.0',
+  'timezone-from-dateTime': '2.0', 'timezone-from-time': '2.0', 'tokenize': '2.0', 'trace': '2.0',
+  'unordered': '2.0', 'upper-case': '2.0', 'year-from-date': '2.0', 'year-from-dateTime': '2.0',
+  'years-from-duration': '2.0', 'zero-or-one': '2.0', 'local-name-from-QName': '2.0',
+  // XSLT 2.0 additions
+  'current-group': '2.0', 'current-grouping-key': '2.0', 'format-date': '2.0',
+  'format-dateTime': '2.0', 'format-time': '2.0', 'regex-group': '2.0', 'type-available': '2.0',
+  'unparsed-text': '2.0', 'unparsed-text-available': '2.0',
+  // XPath 3.0/3.1 and XSLT 3.0 additions
+  'head': '3.0', 'tail': '3.0', 'has-children': '3.0', 'innermost': '3.0', 'outermost': '3.0',
+  'path': '3.0', 'format-integer': '3.0',
+  'parse-json': '3.0', 'json-doc': '3.0', 'json-to-xml': '3.0', 'xml-to-json': '3.0',
+  'serialize': '3.0', 'parse-xml': '3.0', 'parse-xml-fragment': '3.0', 'analyze-string': '3.0',
+  'unparsed-text-lines': '3.0', 'environment-variable': '3.0', 'available-environment-variables': '3.0',
+  'for-each': '3.0', 'filter': '3.0', 'fold-left': '3.0', 'fold-right': '3.0', 'for-each-pair': '3.0',
+  'sort': '3.0', 'apply': '3.0', 'function-lookup': '3.0', 'function-name': '3.0',
+  'function-arity': '3.0', 'copy-of': '3.0', 'snapshot': '3.0', 'current-merge-group': '3.0',
+  'current-merge-key': '3.0', 'current-output-uri': '3.0', 'accumulator-before': '3.0',
+  'accumulator-after': '3.0', 'available-system-properties': '3.0', 'stream-available': '3.0',
+  'random-number-generator': '3.0', 'contains-token': '3.0', 'default-language': '3.0',
+  'collation-key': '3.0', 'load-xquery-module': '3.0', 'transform': '3.0'
+};
+
+/**
+ * Node kind tests: these names followed by "(" are node tests, not function calls
+ */
+const KIND_TESTS = [
+  'node', 'text', 'comment', 'processing-instruction', 'document-node', 'element',
+  'attribute', 'schema-element', 'schema-attribute', 'namespace-node', 'item'
+];
+
+const AXES = [
+  'ancestor', 'ancestor-or-self', 'attribute', 'child', 'descendant', 'descendant-or-self',
+  'following', 'following-sibling', 'namespace', 'parent', 'preceding', 'preceding-sibling', 'self'
+];
+
+const COMPARISON_OPERATORS = ['=', '!=', '<', '<=', '>', '>=', '<<', '>>'];
+const VALUE_COMPARISON_OPERATORS = ['eq', 'ne', 'lt', 'le', 'gt', 'ge', 'is'];
+
+const NAME_START = /[A-Za-z_À-ÖØ-öø-˿Ͱ-ͽͿ-῿‌-‍⁰-↏Ⰰ-⿯、-퟿豈-﷏ﷰ-�]/;
+const NAME_CHAR = /[\w.\-·À-ÖØ-öø-ͽͿ-῿‌-‍‿-⁀⁰-↏Ⰰ-⿯、-퟿豈-﷏ﷰ-�]/;
+
+const SYMBOLS = ['::', '//', '..', '!=', '<=', '>=', '<<', '>>', '/', '.', '(', ')', '[', ']', ',', '@', '|', '+', '-', '*', '=', '<', '>', '?'];
+
+/**
+ * Split an XPath expression into tokens
+ * Each token is { type, value, start, end } with type literal, number, name, variable or symbol;
+ * name tokens also carry prefix and localName
+ */
+export function tokenizeXPath(expr) {
+  const tokens = [];
+  let i = 0;
+
+  const readNCName = (from) => {
+    if (!NAME_START.test(expr[from] || '')) return null;
+    let end = from + 1;
+    while (end < expr.length && NAME_CHAR.test(expr[end])) end++;
+    return { value: expr.substring(from, end), end };
+  };
+
+  while (i < expr.length) {
+    const ch = expr[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // XPath 2.0 comments (: ... :), which may nest
+    if (ch === '(' && expr[i + 1] === ':') {
+      let depth = 1;
+      let j = i + 2;
+      while (j < expr.length && depth > 0) {
+        if (expr[j] === '(' && expr[j + 1] === ':') { depth++; j += 2; }
+        else if (expr[j] === ':' && expr[j + 1] === ')') { depth--; j += 2; }
+        else j++;
+      }
+      if (depth > 0) throw new XPathSyntaxError('Unterminated comment', i);
+      i = j;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let value = '';
+      for (;;) {
+        if (j >= expr.length) throw new XPathSyntaxError('Unterminated string literal', i);
+        if (expr[j] === ch) {
+          // XPath 2.0 escapes a quote by doubling it
+          if (expr[j + 1] === ch) {
+            value += ch;
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += expr[j++];
+      }
+      tokens.push({ type: 'literal', value, start: i, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(expr[i + 1] || ''))) {
+      const match = expr.substring(i).match(/^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/);
+      const end = i + match[0].length;
+      if (NAME_START.test(expr[end] || '')) {
+        throw new XPathSyntaxError(`Invalid number "${expr.substring(i, end + 1)}"`, i);
+      }
+      tokens.push({ type: 'number', value: match[0], start: i, end });
+      i = end;
+      continue;
+    }
+
+    if (ch === '$') {
+      const name = readNCName(i + 1);
+      if (!name) throw new XPathSyntaxError('Expected a variable name after "$"', i);
+      let end = name.end;
+      let value = name.value;
+      if (expr[end] === ':' && expr[end + 1] !== ':') {
+        const local = readNCName(end + 1);
+        if (!local) throw new XPathSyntaxError('Expected a local name after the prefix', end + 1);
+        value += ':' + local.value;
+        end = local.end;
+      }
+      tokens.push({ type: 'variable', value, start: i, end });
+      i = end;
+      continue;
+    }
+
+    // Wildcard with namespace: *:local (XPath 2.0)
+    if (ch === '*' && expr[i + 1] === ':' && NAME_START.test(expr[i + 2] || '')) {
+      const local = readNCName(i + 2);
+      tokens.push({ type: 'name', value: '*:' + local.value, prefix: '*', localName: local.value, start: i, end: local.end });
+      i = local.end;
+      continue;
+    }
+
+    const name = readNCName(i);
+    if (name) {
+      let end = name.end;
+      let prefix = null;
+      let localName = name.value;
+
+      if (expr[end] === ':' && expr[end + 1] !== ':') {
+        if (expr[end + 1] === '*') {
+          prefix = name.value;
+          localName = '*';
+          end += 2;
+        } else {
+          const local = readNCName(end + 1);
+          if (!local) throw new XPathSyntaxError(`Expected a local name after "${name.value}:"`, end + 1);
+          prefix = name.value;
+          localName = local.value;
+          end = local.end;
+        }
+      }
+
+      tokens.push({ type: 'name', value: expr.substring(i, end), prefix, localName, start: i, end });
+      i = end;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(s => expr.startsWith(s, i));
+    if (!symbol) {
+      throw new XPathSyntaxError(`Unexpected character "${ch}"`, i);
+    }
+
+    tokens.push({ type: 'symbol', value: symbol, start: i, end: i + symbol.length });
+    i += symbol.length;
+  }
+
+  tokens.push({ type: 'eof', value: '', start: expr.length, end: expr.length });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser for the XPath 2.0 grammar (a superset of XPath 1.0)
+ */
+class Parser {
+  constructor(expr) {
+    this.expr = expr;
+    this.tokens = tokenizeXPath(expr);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  isSymbol(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'symbol' && token.value === value;
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'name' && !token.prefix && token.value === value;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new XPathSyntaxError(message, token.start);
+  }
+
+  describe(token) {
+    return token.type === 'eof' ? 'end of expression' : `"${token.value}"`;
+  }
+
+  expectSymbol(value, context) {
+    if (!this.isSymbol(value)) {
+      this.fail(`Expected "${value}"${context ? ' ' + context : ''} but found ${this.describe(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  expectKeyword(value, context) {
+    if (!this.isKeyword(value)) {
+      this.fail(`Expected "${value}"${context ? ' ' + context : ''} but found ${this.describe(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  parse() {
+    if (this.peek().type === 'eof') {
+      this.fail('Expression is empty');
+    }
+    const ast = this.parseExpr();
+    if (this.peek().type !== 'eof') {
+      this.fail(`Unexpected ${this.describe(this.peek())}`);
+    }
+    return ast;
+  }
+
+  node(type, start, props) {
+    const previous = this.tokens[this.pos - 1];
+    return { type, start, end: previous ? previous.end : start, ...props };
+  }
+
+  parseExpr() {
+    const start = this.peek().start;
+    const items = [this.parseExprSingle()];
+    while (this.isSymbol(',')) {
+      this.next();
+      items.push(this.parseExprSingle());
+    }
+    return items.length === 1 ? items[0] : this.node('Sequence', start, { items });
+  }
+
+  parseExprSingle() {
+    const token = this.peek();
+
+    if ((this.isKeyword('for') || this.isKeyword('some') || this.isKeyword('every')) && this.peek(1).type === 'variable') {
+      return this.parseBindingExpr();
+    }
+
+    if (this.isKeyword('if') && this.isSymbol('(', 1)) {
+      this.next();
+      this.next();
+      const condition = this.parseExpr();
+      this.expectSymbol(')', 'to close the if condition');
+      this.expectKeyword('then', 'after the if condition');
+      const thenExpr = this.parseExprSingle();
+      this.expectKeyword('else', 'in if expression');
+      const elseExpr = this.parseExprSingle();
+      return this.node('If', token.start, { condition, then: thenExpr, else: elseExpr });
+    }
+
+    return this.parseOrExpr();
+  }
+
+  parseBindingExpr() {
+    const start = this.peek().start;
+    const kind = this.next().value;
+    const bindings = [];
+
+    do {
+      if (bindings.length > 0) this.next();
+      const variable = this.next();
+      if (variable.type !== 'variable') this.fail('Expected a variable binding', variable);
+      this.expectKeyword('in', `after $${variable.value}`);
+      bindings.push({ name: variable.value, expr: this.parseExprSingle() });
+    } while (this.isSymbol(','));
+
+    this.expectKeyword(kind === 'for' ? 'return' : 'satisfies', `in ${kind} expression`);
+    const body = this.parseExprSingle();
+
+    return kind === 'for'
+      ? this.node('For', start, { bindings, body })
+      : this.node('Quantified', start, { quantifier: kind, bindings, body });
+  }
+
+  parseBinary(parseOperand, operators) {
+    const start = this.peek().start;
+    let left = parseOperand();
+
+    for (;;) {
+      const token = this.peek();
+      const isOperator = token.type === 'symbol'
+        ? operators.includes(token.value)
+        : token.type === 'name' && !token.prefix && operators.includes(token.value);
+      if (!isOperator) return left;
+
+      this.next();
+      const right = parseOperand();
+      left = this.node('Binary', start, { operator: token.value, left, right });
+    }
+  }
+
+  parseOrExpr() {
+    return this.parseBinary(() => this.parseAndExpr(), ['or']);
+  }
+
+  parseAndExpr() {
+    return this.parseBinary(() => this.parseComparisonExpr(), ['and']);
+  }
+
+  parseComparisonExpr() {
+    return this.parseBinary(() => this.parseRangeExpr(), [...COMPARISON_OPERATORS, ...VALUE_COMPARISON_OPERATORS]);
+  }
+
+  parseRangeExpr() {
+    return this.parseBinary(() => this.parseAdditiveExpr(), ['to']);
+  }
+
+  parseAdditiveExpr() {
+    return this.parseBinary(() => this.parseMultiplicativeExpr(), ['+', '-']);
+  }
+
+  parseMultiplicativeExpr() {
+    return this.parseBinary(() => this.parseUnionExpr(), ['*', 'div', 'idiv', 'mod']);
+  }
+
+  parseUnionExpr() {
+    return this.parseBinary(() => this.parseIntersectExceptExpr(), ['|', 'union']);
+  }
+
+  parseIntersectExceptExpr() {
+    return this.parseBinary(() => this.parseTypeExpr(), ['intersect', 'except']);
+  }
+
+  // instance of, treat as, castable as, cast as
+  parseTypeExpr() {
+    const start = this.peek().start;
+    let expr = this.parseUnaryExpr();
+
+    const typeOperators = [['instance', 'of'], ['treat', 'as'], ['castable', 'as'], ['cast', 'as']];
+    for (;;) {
+      const operator = typeOperators.find(([first, second]) => this.isKeyword(first) && this.isKeyword(second, 1));
+      if (!operator) return expr;
+      this.next();
+      this.next();
+      const sequenceType = this.parseSequenceType();
+      expr = this.node('TypeExpr', start, { operator: operator.join(' '), expr, sequenceType });
+    }
+  }
+
+  parseSequenceType() {
+    const token = this.peek();
+
+    if (this.isKeyword('empty-sequence') && this.isSymbol('(', 1)) {
+      this.next();
+      this.next();
+      this.expectSymbol(')', 'after empty-sequence(');
+      return 'empty-sequence()';
+    }
+
+    let type;
+    if (token.type === 'name' && this.isSymbol('(', 1) && KIND_TESTS.includes(token.value)) {
+      type = this.parseKindTest().kind + '()';
+    } else if (token.type === 'name') {
+      this.next();
+      type = token.value;
+    } else {
+      this.fail(`Expected a type name but found ${this.describe(token)}`);
+    }
+
+    if (this.isSymbol('?') || this.isSymbol('*') || this.isSymbol('+')) {
+      type += this.next().value;
+    }
+    return type;
+  }
+
+  parseUnaryExpr() {
+    const token = this.peek();
+    if (this.isSymbol('-') || this.isSymbol('+')) {
+      this.next();
+      const operand = this.parseUnaryExpr();
+      return this.node('Unary', token.start, { operator: token.value, operand });
+    }
+    return this.parsePathExpr();
+  }
+
+  // Whether the current token can begin a step of a relative path
+  startsStep() {
+    const token = this.peek();
+    if (token.type === 'name' || token.type === 'literal' || token.type === 'number' || token.type === 'variable') {
+      return true;
+    }
+    return token.type === 'symbol' && ['@', '.', '..', '*', '('].includes(token.value);
+  }
+
+  parsePathExpr() {
+    const token = this.peek();
+    let absolute = null;
+
+    if (this.isSymbol('/') || this.isSymbol('//')) {
+      absolute = this.next().value;
+      if (!this.startsStep()) {
+        if (absolute === '//') this.fail('Expected a step after "//"');
+        return this.node('Path', token.start, { absolute, steps: [] });
+      }
+    } else if (!this.startsStep()) {
+      this.fail(`Unexpected ${this.describe(token)}; expected an expression`);
+    }
+
+    const steps = [{ separator: null, expr: this.parseStepExpr() }];
+
+    while (this.isSymbol('/') || this.isSymbol('//')) {
+      const separator = this.next().value;
+      if (!this.startsStep()) this.fail(`Expected a step after "${separator}"`);
+      steps.push({ separator, expr: this.parseStepExpr() });
+    }
+
+    if (!absolute && steps.length === 1 && steps[0].expr.type !== 'Step') {
+      return steps[0].expr;
+    }
+
+    return this.node('Path', token.start, { absolute, steps });
+  }
+
+  parseStepExpr() {
+    const token = this.peek();
+
+    if (token.type === 'literal' || token.type === 'number' || token.type === 'variable' || this.isSymbol('(')) {
+      return this.parseFilterExpr();
+    }
+
+    if (this.isSymbol('.')) {
+      this.next();
+      const primary = this.node('ContextItem', token.start, {});
+      return this.withPredicates(primary, token.start);
+    }
+
+    if (this.isSymbol('..')) {
+      this.next();
+      return this.node('Step', token.start, { axis: 'parent', nodeTest: this.node('KindTest', token.start, { kind: 'node' }), predicates: [] });
+    }
+
+    if (token.type === 'name' && this.isSymbol('(', 1) && !KIND_TESTS.includes(token.value)) {
+      return this.parseFilterExpr();
+    }
+
+    return this.parseAxisStep();
+  }
+
+  parseAxisStep() {
+    const token = this.peek();
+    let axis = 'child';
+
+    if (this.isSymbol('@')) {
+      this.next();
+      axis = 'attribute';
+    } else if (token.type === 'name' && this.isSymbol('::', 1)) {
+      if (token.prefix || !AXES.includes(token.value)) {
+        this.fail(`Unknown axis "${token.value}"`);
+      }
+      axis = token.value;
+      this.next();
+      this.next();
+    }
+
+    const nodeTest = this.parseNodeTest(axis);
+    const step = this.node('Step', token.start, { axis, nodeTest, predicates: [] });
+    step.predicates = this.parsePredicates();
+    step.end = this.tokens[this.pos - 1].end;
+    return step;
+  }
+
+  parseNodeTest(axis) {
+    const token = this.peek();
+
+    if (token.type === 'name' && this.isSymbol('(', 1)) {
+      if (!KIND_TESTS.includes(token.value) || token.prefix) {
+        this.fail(`"${token.value}()" is not a node test`);
+      }
+      return this.parseKindTest();
+    }
+
+    if (token.type === 'name') {
+      this.next();
+      return this.node('NameTest', token.start, { prefix: token.prefix, localName: token.localName, axis });
+    }
+
+    if (this.isSymbol('*')) {
+      this.next();
+      return this.node('NameTest', token.start, { prefix: null, localName: '*', axis });
+    }
+
+    return this.fail(`Expected a node test but found ${this.describe(token)}`);
+  }
+
+  parseKindTest() {
+    const token = this.next();
+    this.expectSymbol('(', `after ${token.value}`);
+    const args = [];
+    while (!this.isSymbol(')')) {
+      // document-node() may test its document element: document-node(element(a))
+      if (token.value === 'document-node' && args.length === 0 && this.isSymbol('(', 1) &&
+          ['element', 'schema-element'].includes(this.peek().value)) {
+        args.push(this.parseKindTest());
+        continue;
+      }
+      const arg = this.next();
+      if (arg.type === 'eof') this.fail(`Expected ")" to close ${token.value}(`, arg);
+      if (!(arg.type === 'symbol' && arg.value === ',')) args.push(arg.value);
+    }
+    this.next();
+    return this.node('KindTest', token.start, { kind: token.value, args });
+  }
+
+  parseFilterExpr() {
+    const start = this.peek().start;
+    return this.withPredicates(this.parsePrimaryExpr(), start);
+  }
+
+  withPredicates(primary, start) {
+    const predicates = this.parsePredicates();
+    return predicates.length > 0 ? this.node('Filter', start, { primary, predicates }) : primary;
+  }
+
+  parsePredicates() {
+    const predicates = [];
+    while (this.isSymbol('[')) {
+      const open = this.next();
+      if (this.isSymbol(']')) this.fail('Predicate is empty');
+      predicates.push(this.parseExpr());
+      if (!this.isSymbol(']')) {
+        this.fail(`Expected "]" to close the predicate opened at position ${open.start + 1} but found ${this.describe(this.peek())}`);
+      }
+      this.next();
+    }
+    return predicates;
+  }
+
+  parsePrimaryExpr() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'literal':
+        return this.node('Literal', token.start, { value: token.value });
+      case 'number':
+        return this.node('Number', token.start, { value: Number(token.value) });
+      case 'variable':
+        return this.node('VariableRef', token.start, { name: token.value });
+      case 'name': {
+        this.expectSymbol('(', `after function name ${token.value}`);
+        const args = [];
+        if (!this.isSymbol(')')) {
+          args.push(this.parseExprSingle());
+          while (this.isSymbol(',')) {
+            this.next();
+            args.push(this.parseExprSingle());
+          }
+        }
+        if (!this.isSymbol(')')) {
+          this.fail(`Expected "," or ")" in call to ${token.value}() but found ${this.describe(this.peek())}`);
+        }
+        this.next();
+        return this.node('FunctionCall', token.start, { name: token.value, prefix: token.prefix, localName: token.localName, args });
+      }
+      default:
+        if (token.type === 'symbol' && token.value === '(') {
+          if (this.isSymbol(')')) {
+            this.next();
+            return this.node('EmptySequence', token.start, {});
+          }
+          const expr = this.parseExpr();
+          if (!this.isSymbol(')')) {
+            this.fail(`Expected ")" to close the parenthesis opened at position ${token.start + 1} but found ${this.describe(this.peek())}`);
+          }
+          this.next();
+          return this.node('Parenthesized', token.start, { expr });
+        }
+        return this.fail(`Unexpected ${this.describe(token)}`, token);
+    }
+  }
+}
+
+/**
+ * Parse an XPath expression into an AST
+ * Every node has { type, start, end }; throws XPathSyntaxError when the expression is malformed
+ */
+export function parseXPath(expr) {
+  return new Parser(expr).parse();
+}
+
+/**
+ * Visit every node of an XPath AST depth-first
+ */
+export function walkXPath(node, visitor) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach(child => walkXPath(child, visitor));
+    return;
+  }
+
+  if (node.type) visitor(node);
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key !== 'type' && value && typeof value === 'object') {
+      walkXPath(value, visitor);
+    }
+  });
+}
+
+/**
+ * Validate an XPath expression
+ * Returns { valid, error } where error is { message, position, index } or null.
+ * Besides syntax, unprefixed calls to functions that do not exist are reported.
+ */
+export function validateXPath(expr) {
+  if (!expr || !expr.trim()) {
+    return { valid: false, error: { message: 'Expression is empty', position: 1, index: 0 } };
+  }
+
+  try {
+    const ast = parseXPath(expr);
+    let unknown = null;
+
+    walkXPath(ast, node => {
+      if (!unknown && node.type === 'FunctionCall' && !node.prefix && !XPATH_FUNCTIONS[node.name]) {
+        unknown = node;
+      }
+    });
+
+    if (unknown) {
+      return {
+        valid: false,
+        error: { message: `Unknown function "${unknown.name}()"`, position: unknown.start + 1, index: unknown.start }
+      };
+    }
+
+    return { valid: true, error: null };
+  } catch (err) {
+    if (err instanceof XPathSyntaxError) {
+      return { valid: false, error: { message: err.reason, position: err.position, index: err.index } };
+    }
+    throw err;
+  }
+}
+
+// Operators and node kind tests that XPath 1.0 does not have
+const XPATH2_OPERATORS = [...VALUE_COMPARISON_OPERATORS, '<<', '>>', 'to', 'idiv', 'union', 'intersect', 'except'];
+const XPATH1_KIND_TESTS = ['node', 'text', 'comment', 'processing-instruction'];
+
+/**
+ * Get the constructs of an expression that need a later XPath version than 1.0
+ * Returns [{ construct, version, index }] in expression order, where index is the 0-based offset of
+ * the construct; calls with a prefix other than xs (extension functions) are not reported.
+ * Returns an empty list for malformed expressions
+ */
+export function getXPathRequirements(expr) {
+  const requirements = [];
+  const require = (construct, version, node) => requirements.push({ construct, version, index: node.start });
+
+  try {
+    walkXPath(parseXPath(expr), node => {
+      switch (node.type) {
+        case 'FunctionCall':
+          if (node.prefix === 'xs') {
+            require(`${node.name}() constructor`, '2.0', node);
+          } else if (!node.prefix && XPATH_FUNCTIONS[node.name] && XPATH_FUNCTIONS[node.name] !== '1.0') {
+            require(`${node.name}()`, XPATH_FUNCTIONS[node.name], node);
+          }
+          break;
+        case 'Binary':
+          if (XPATH2_OPERATORS.includes(node.operator)) require(`"${node.operator}" operator`, '2.0', node);
+          break;
+        case 'KindTest':
+          if (!XPATH1_KIND_TESTS.includes(node.kind)) require(`${node.kind}() test`, '2.0', node);
+          break;
+        case 'TypeExpr':
+          require(`"${node.operator}" expression`, '2.0', node);
+          break;
+        case 'For':
+          require('for expression', '2.0', node);
+          break;
+        case 'Quantified':
+          require(`${node.quantifier} expression`, '2.0', node);
+          break;
+        case 'If':
+          require('if expression', '2.0', node);
+          break;
+        case 'Sequence':
+          require('sequence expression', '2.0', node);
+          break;
+        case 'EmptySequence':
+          require('empty sequence ()', '2.0', node);
+          break;
+        case 'Path':
+          // XPath 1.0 paths continue with axis steps only
+          node.steps.slice(1)
+            .filter(step => step.expr.type !== 'Step')
+            .forEach(step => require('non-step expression in a path', '2.0', step.expr));
+          break;
+      }
+    });
+  } catch (err) {
+    if (err instanceof XPathSyntaxError) return [];
+    throw err;
+  }
+
+  return requirements.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Prefix every unprefixed element name test with the given namespace prefix
+ * Used where XPath 1.0 has no default element namespace (attributes are never prefixed)
+ */
+export function qualifyNameTests(expr, prefix) {
+  const ast = parseXPath(expr);
+  const nameTests = [];
+
+  walkXPath(ast, node => {
+    if (node.type === 'NameTest' && !node.prefix && node.localName !== '*' &&
+        node.axis !== 'attribute' && node.axis !== 'namespace') {
+      nameTests.push(node);
+    }
+  });
+
+  return nameTests
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, test) => result.substring(0, test.start) + `${prefix}:` + result.substring(test.start), expr);
+}
+
+/**
+ * Get the variable references of an expression as [{ name, start, end }]
+ * Returns an empty list for malformed expressions
+ */
+export function getVariableReferences(expr) {
+  const references = [];
+
+  try {
+    walkXPath(parseXPath(expr), node => {
+      if (node.type === 'VariableRef') {
+        references.push({ name: node.name, start: node.start, end: node.end });
+      }
+    });
+  } catch {
+    return [];
+  }
+
+  return references;
+}
+
+/**
+ * Write a string, number or boolean as an XPath 1.0 expression
+ */
+export function toXPathLiteral(value) {
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return "number('')";
+    return Number.isFinite(value) ? String(value) : `(${Math.sign(value)} div 0)`;
+  }
+  if (typeof value === 'boolean') return value ? 'true()' : 'false()';
+
+  const text = String(value);
+  if (!text.includes("'")) return `'${text}'`;
+  if (!text.includes('"')) return `"${text}"`;
+  return `concat(${text.split("'").map(part => `'${part}'`).join(`, "'", `)})`;
+}
+
+/**
+ * Replace variable references with the given expressions (name -> XPath text)
+ * Lets engines without variable bindings such as document.evaluate run expressions that
+ * use stylesheet variables; references without a replacement are left as they are
+ */
+export function substituteVariables(expr, replacements) {
+  return getVariableReferences(expr)
+    .filter(reference => replacements[reference.name] !== undefined)
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, reference) =>
+      result.substring(0, reference.start) + replacements[reference.name] + result.substring(reference.end), expr);
+}
+
+/**
+ * Split a plain location path into its steps
+ * Returns { absolute, steps: [{ separator, key, predicates, text }] } or null when the
+ * expression is not a location path made of axis steps only
+ */
+function getLocationSteps(expr) {
+  let ast;
+  try {
+    ast = parseXPath(expr);
+  } catch {
+    return null;
+  }
+
+  if (ast.type !== 'Path' || !ast.absolute || ast.steps.length === 0 ||
+      ast.steps.some(({ expr: step }) => step.type !== 'Step')) {
+    return null;
+  }
+
+  return {
+    absolute: ast.absolute,
+    steps: ast.steps.map(({ separator, expr: step }) => ({
+      separator,
+      key: `${step.axis}::${expr.substring(step.nodeTest.start, step.nodeTest.end)}`,
+      predicates: expr.substring(step.nodeTest.end, step.end).trim(),
+      text: expr.substring(step.start, step.end)
+    }))
+  };
+}
+
+/**
+ * Rewrite an absolute location path relative to the context selected by another one
+ * Used inside xsl:for-each, where "//book/title" must become "title" so every
+ * iteration reads its own node. Steps are aligned by name and a path is only rewritten
+ * when the context steps line up with its own, so it reads at or below the context node;
+ * "//OrderNumber" under a "//Item" context or "//book[2]/title" under "//book" stay
+ * absolute, as does anything that is not a plain location path.
+ */
+export function relativizeXPath(xpath, contextPath) {
+  if (!xpath || !contextPath) return xpath;
+
+  const target = getLocationSteps(xpath);
+  const context = getLocationSteps(contextPath);
+  if (!target || !context) return xpath;
+
+  const x = target.steps;
+  const c = context.steps;
+
+  // Steps of the target that are matched against context steps must be plain child steps
+  const sameStep = (i, j) => x[i].key === c[j].key && (!x[i].predicates || x[i].predicates === c[j].predicates) &&
+    (i === 0 || x[i].separator === '/');
+
+  const remainder = (from) => {
+    if (from >= x.length) return '.';
+    return x.slice(from)
+      .map((step, index) => (index === 0 ? (step.separator === '//' ? './/' : '') : step.separator) + step.text)
+      .join('');
+  };
+
+  const matches = (xFrom, cFrom, length) => {
+    for (let k = 0; k < length; k++) {
+      if (!sameStep(xFrom + k, cFrom + k)) return false;
+    }
+    return true;
+  };
+
+  const contextIsChildChain = c.every((step, j) => j === 0 || step.separator === '/');
+
+  // 1. Both rooted the same way and the context is a prefix of the target
+  if (target.absolute === context.absolute && c.length <= x.length && contextIsChildChain && matches(0, 0, c.length)) {
+    return remainder(c.length);
+  }
+
+  // 2. "//a/b" under a context ending in ".../a": align the start of the target with the end of the context
+  if (target.absolute === '//') {
+    for (let k = Math.min(c.length, x.length); k > 0; k--) {
+      const tailIsChildChain = c.slice(c.length - k + 1).every(step => step.separator === '/');
+      if (tailIsChildChain && matches(0, c.length - k, k)) {
+        return remainder(k);
+      }
+    }
+  }
+
+  // 3. "/r/a/b" or "//r/a/b" under a "//a" context: find the context steps inside the target
+  if (context.absolute === '//' && contextIsChildChain) {
+    for (let i = x.length - c.length; i >= 0; i--) {
+      if (matches(i, 0, c.length)) {
+        return remainder(i + c.length);
+      }
+    }
+  }
+
+  return xpath;
+}
+
+/**
+ * Rewrite the absolute location paths inside an expression relative to a context
+ * "//book/price > 20" under a "//book" context becomes "price > 20"; relative paths and
+ * paths nested in an absolute one are left as written (see relativizeXPath)
+ */
+export function relativizeXPathExpression(expr, contextPath) {
+  if (!expr || !contextPath) return expr;
+
+  let ast;
+  try {
+    ast = parseXPath(expr);
+  } catch {
+    return expr;
+  }
+
+  const paths = [];
+  walkXPath(ast, node => {
+    if (node.type === 'Path' && node.absolute && !paths.some(path => path.start <= node.start && node.end <= path.end)) {
+      paths.push(node);
+    }
+  });
+
+  return paths
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, path) =>
+      result.substring(0, path.start) + relativizeXPath(expr.substring(path.start, path.end), contextPath) +
+        result.substring(path.end), expr);
+}
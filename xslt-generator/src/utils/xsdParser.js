@@ -0,0 +1,616 @@
+/**
+ * XSD Parser Utility
+ * Builds the same path list and tree as extractPaths/xmlToTree from XML Schema files,
+ * so optional elements, choice branches and attributes can be mapped without a sample
+ */
+
+import { parseXML, DEFAULT_NAMESPACE_PREFIX, RESERVED_PREFIXES } from './xmlParser';
+
+const XS_NS = 'http://www.w3.org/2001/XMLSchema';
+
+/**
+ * Occurs used for maxOccurs="unbounded": enough to generate repetition,
+ * small enough to keep flat file column expansion readable
+ */
+export const UNBOUNDED_OCCURS = 10;
+
+// Nesting depth at which expansion stops (protects against very deep or recursive schemas)
+const MAX_DEPTH = 20;
+
+/**
+ * Check whether a file name is an XML Schema
+ */
+export function isSchemaFile(fileName) {
+  return /\.xsd$/i.test(fileName || '');
+}
+
+/**
+ * Get the file name part of a schemaLocation or path
+ */
+function getBaseName(location) {
+  return location.split(/[\\/]/).pop().toLowerCase();
+}
+
+/**
+ * Get the XML Schema element children of a node
+ */
+function getXSChildren(node, localName) {
+  return Array.from(node.children).filter(child =>
+    child.namespaceURI === XS_NS && (!localName || child.localName === localName)
+  );
+}
+
+/**
+ * Build a lookup key for a namespace-qualified name
+ */
+function getKey(namespaceURI, localName) {
+  return `{${namespaceURI || ''}}${localName}`;
+}
+
+/**
+ * Resolve a QName attribute value (e.g. type="tns:Order") to a lookup key
+ */
+function resolveQName(node, qname) {
+  const [prefix, localName] = qname.includes(':') ? qname.split(':') : [null, qname];
+  const namespaceURI = node.lookupNamespaceURI(prefix);
+  return { namespaceURI: namespaceURI || '', localName, key: getKey(namespaceURI, localName) };
+}
+
+/**
+ * Parse occurrence attributes; maxOccurs "unbounded" is kept as Infinity
+ */
+function readOccurs(node) {
+  const min = node.hasAttribute('minOccurs') ? parseInt(node.getAttribute('minOccurs'), 10) : 1;
+  const maxAttr = node.getAttribute('maxOccurs');
+  const max = maxAttr === 'unbounded' ? Infinity : (maxAttr ? parseInt(maxAttr, 10) : 1);
+  return { min: Number.isNaN(min) ? 1 : min, max: Number.isNaN(max) ? 1 : max };
+}
+
+/**
+ * Parse a schema file and return its xs:schema element
+ */
+function parseSchemaRoot(file) {
+  const root = parseXML(file.content).documentElement;
+  if (root.namespaceURI !== XS_NS || root.localName !== 'schema') {
+    throw new Error(`${file.fileName} is not an XML Schema (root element must be xs:schema)`);
+  }
+  return root;
+}
+
+/**
+ * Get the schemaLocation file names a schema imports or includes
+ */
+function getSchemaReferences(root) {
+  return getXSChildren(root)
+    .filter(el => ['import', 'include', 'redefine'].includes(el.localName) && el.hasAttribute('schemaLocation'))
+    .map(el => getBaseName(el.getAttribute('schemaLocation')));
+}
+
+/**
+ * Load a set of schema files
+ * xs:import, xs:include and xs:redefine are resolved against the other uploaded files by
+ * file name; loading starts from the files no other file references, so included schemas
+ * pick up the target namespace of the schema including them.
+ * Returns a schema set for extractXSDStructure.
+ */
+export function parseXSD(files) {
+  if (!files || files.length === 0) {
+    throw new Error('No schema files provided');
+  }
+
+  const documents = new Map(files.map(file => [getBaseName(file.fileName), { file, root: parseSchemaRoot(file) }]));
+  const referenced = new Set();
+  documents.forEach(({ root }) => getSchemaReferences(root).forEach(name => referenced.add(name)));
+  const loaded = new Map();
+  const set = {
+    schemas: [],
+    elements: new Map(),
+    types: new Map(),
+    groups: new Map(),
+    attributeGroups: new Map(),
+    attributes: new Map(),
+    referencedElements: new Set(),
+    warnings: []
+  };
+
+  const register = (map, node, schema, kind) => {
+    const key = getKey(schema.targetNamespace, node.getAttribute('name'));
+    if (map.has(key)) {
+      set.warnings.push(`${schema.fileName}: duplicate ${kind} "${node.getAttribute('name')}" ignored`);
+      return;
+    }
+    map.set(key, { node, schema });
+  };
+
+  const load = (baseName, includingNamespace = null) => {
+    if (loaded.has(baseName)) return loaded.get(baseName);
+    const { file, root } = documents.get(baseName);
+
+    const schema = {
+      fileName: file.fileName,
+      root,
+      // Included schemas without a target namespace take the including schema's ("chameleon" include)
+      targetNamespace: root.getAttribute('targetNamespace') || includingNamespace || '',
+      elementFormDefault: root.getAttribute('elementFormDefault') || 'unqualified',
+      attributeFormDefault: root.getAttribute('attributeFormDefault') || 'unqualified'
+    };
+    loaded.set(baseName, schema);
+    set.schemas.push(schema);
+
+    getXSChildren(root).forEach(child => {
+      switch (child.localName) {
+        case 'import':
+        case 'include':
+        case 'redefine': {
+          const location = child.getAttribute('schemaLocation');
+          const target = location && getBaseName(location);
+          if (documents.has(target)) {
+            load(target, child.localName === 'import' ? null : schema.targetNamespace);
+          } else if (location || child.localName !== 'import') {
+            set.warnings.push(
+              `${file.fileName}: schema "${location || child.getAttribute('namespace')}" (xs:${child.localName}) was not uploaded; its declarations are missing`
+            );
+          }
+          if (child.localName === 'redefine') {
+            set.warnings.push(`${file.fileName}: xs:redefine is treated as xs:include`);
+          }
+          break;
+        }
+        case 'element':
+          register(set.elements, child, schema, 'element');
+          break;
+        case 'complexType':
+        case 'simpleType':
+          register(set.types, child, schema, 'type');
+          break;
+        case 'group':
+          register(set.groups, child, schema, 'group');
+          break;
+        case 'attributeGroup':
+          register(set.attributeGroups, child, schema, 'attribute group');
+          break;
+        case 'attribute':
+          register(set.attributes, child, schema, 'attribute');
+          break;
+        default:
+          break;
+      }
+    });
+
+    return schema;
+  };
+
+  const names = Array.from(documents.keys());
+  [...names.filter(name => !referenced.has(name)), ...names].forEach(name => load(name));
+
+  // Global elements used through ref="" are not document roots
+  set.schemas.forEach(schema => {
+    Array.from(schema.root.getElementsByTagNameNS(XS_NS, 'element')).forEach(node => {
+      if (node.hasAttribute('ref')) {
+        set.referencedElements.add(resolveQName(node, node.getAttribute('ref')).key);
+      }
+    });
+  });
+
+  return set;
+}
+
+/**
+ * Get the global elements that can be document roots, main schema first
+ */
+export function getSchemaRootElements(schemaSet) {
+  const roots = Array.from(schemaSet.elements.entries())
+    .filter(([key]) => !schemaSet.referencedElements.has(key))
+    .map(([key, { node, schema }]) => ({ key, name: node.getAttribute('name'), namespaceURI: schema.targetNamespace }));
+
+  // Fall back to every global element when all of them are referenced (e.g. recursive roots)
+  return roots.length > 0 ? roots : Array.from(schemaSet.elements.entries()).map(([key, { node, schema }]) => ({
+    key, name: node.getAttribute('name'), namespaceURI: schema.targetNamespace
+  }));
+}
+
+/**
+ * Assign prefixes to the schema target namespaces, preferring the prefixes the schemas declare
+ */
+function buildNamespaces(schemaSet, rootNamespace) {
+  const namespaces = {};
+  const prefixByUri = {};
+
+  schemaSet.schemas.forEach(schema => {
+    const uri = schema.targetNamespace;
+    if (!uri || prefixByUri[uri]) return;
+
+    const declared = Array.from(schema.root.attributes)
+      .find(attr => attr.name.startsWith('xmlns:') && attr.value === uri);
+    const base = declared ? declared.name.substring(6) : DEFAULT_NAMESPACE_PREFIX;
+
+    let prefix = base;
+    let counter = 1;
+    while (prefix in namespaces || RESERVED_PREFIXES.includes(prefix)) {
+      prefix = `${base}${counter++}`;
+    }
+
+    namespaces[prefix] = uri;
+    prefixByUri[uri] = prefix;
+  });
+
+  if (rootNamespace) {
+    // Instance documents normally put the root namespace in the default namespace
+    namespaces['default'] = rootNamespace;
+  }
+
+  return { namespaces, prefixByUri };
+}
+
+/**
+ * Build the path list and display tree for a schema set
+ * Returns { rootElement, paths, tree, namespaces, warnings }; paths have the extractPaths shape
+ * plus minOccurs, maxOccurs, occurs and required taken from the schema
+ */
+export function extractXSDStructure(schemaSet, rootKey = null) {
+  const roots = getSchemaRootElements(schemaSet);
+  if (roots.length === 0) {
+    throw new Error('The schema declares no global elements');
+  }
+
+  const root = roots.find(candidate => candidate.key === rootKey) || roots[0];
+  const warnings = [...schemaSet.warnings];
+  const { namespaces, prefixByUri } = buildNamespaces(schemaSet, root.namespaceURI);
+  const paths = [];
+  const seenPaths = new Set();
+  const warned = new Set();
+
+  const warnOnce = (message) => {
+    if (!warned.has(message)) {
+      warned.add(message);
+      warnings.push(message);
+    }
+  };
+
+  const qualify = (namespaceURI, localName) => {
+    const prefix = namespaceURI ? prefixByUri[namespaceURI] : null;
+    return prefix ? `${prefix}:${localName}` : localName;
+  };
+
+  const formatOccurs = (min, max) => `${min}..${max === Infinity ? '*' : max}`;
+
+  const lookup = (map, node, attrName, kind, schema) => {
+    const { key, localName } = resolveQName(node, node.getAttribute(attrName));
+    const found = map.get(key);
+    if (!found) {
+      warnOnce(`${schema.fileName}: ${kind} "${localName}" is not declared in the uploaded schemas`);
+    }
+    return found;
+  };
+
+  // Collect attributes of a complex type or attribute group
+  const collectAttributes = (container, schema, attributes, stack = new Set()) => {
+    getXSChildren(container).forEach(child => {
+      if (child.localName === 'attribute') {
+        if (child.getAttribute('use') === 'prohibited') return;
+        let decl = child;
+        let declSchema = schema;
+        let qualified = (child.getAttribute('form') || schema.attributeFormDefault) === 'qualified';
+        if (child.hasAttribute('ref')) {
+          const found = lookup(schemaSet.attributes, child, 'ref', 'attribute', schema);
+          if (!found) return;
+          decl = found.node;
+          declSchema = found.schema;
+          qualified = true;
+        }
+        attributes.push({
+          name: decl.getAttribute('name'),
+          namespaceURI: qualified ? declSchema.targetNamespace : '',
+          type: decl.getAttribute('type') || 'xs:string',
+          required: child.getAttribute('use') === 'required'
+        });
+      } else if (child.localName === 'attributeGroup' && child.hasAttribute('ref')) {
+        const found = lookup(schemaSet.attributeGroups, child, 'ref', 'attribute group', schema);
+        const key = found && getKey(found.schema.targetNamespace, found.node.getAttribute('name'));
+        if (found && !stack.has(key)) {
+          collectAttributes(found.node, found.schema, attributes, new Set([...stack, key]));
+        }
+      } else if (child.localName === 'anyAttribute') {
+        warnOnce(`${schema.fileName}: xs:anyAttribute wildcards cannot be listed as paths`);
+      }
+    });
+    return attributes;
+  };
+
+  // Collect element particles of a model group with their effective occurrence
+  const collectParticles = (group, schema, min, max, particles, stack = new Set()) => {
+    const isChoice = group.localName === 'choice';
+
+    getXSChildren(group).forEach(child => {
+      const occurs = readOccurs(child);
+      // A branch of a choice is never mandatory on its own
+      const childMin = isChoice && getXSChildren(group).length > 1 ? 0 : min * occurs.min;
+      const childMax = max * occurs.max;
+
+      switch (child.localName) {
+        case 'element':
+          particles.push({ node: child, schema, min: childMin, max: childMax });
+          break;
+        case 'sequence':
+        case 'choice':
+        case 'all':
+          collectParticles(child, schema, childMin, childMax, particles, stack);
+          break;
+        case 'group': {
+          const found = child.hasAttribute('ref') && lookup(schemaSet.groups, child, 'ref', 'group', schema);
+          const key = found && getKey(found.schema.targetNamespace, found.node.getAttribute('name'));
+          if (found && !stack.has(key)) {
+            getXSChildren(found.node).filter(el => ['sequence', 'choice', 'all'].includes(el.localName))
+              .forEach(model => collectParticles(model, found.schema, childMin, childMax, particles, new Set([...stack, key])));
+          }
+          break;
+        }
+        case 'any':
+          warnOnce(`${schema.fileName}: xs:any wildcards cannot be listed as paths`);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return particles;
+  };
+
+  // Resolve the content of a complex type: { particles, attributes, hasText }
+  const getComplexContent = (typeNode, schema, stack = new Set()) => {
+    const content = { particles: [], attributes: [], hasText: typeNode.getAttribute('mixed') === 'true' };
+
+    const addModel = (container, containerSchema) => {
+      // The container holds a single model group (sequence, choice, all or group ref)
+      collectParticles(container, containerSchema, 1, 1, content.particles);
+      collectAttributes(container, containerSchema, content.attributes);
+    };
+
+    const derivation = getXSChildren(typeNode).find(el => el.localName === 'complexContent' || el.localName === 'simpleContent');
+
+    if (!derivation) {
+      addModel(typeNode, schema);
+      return content;
+    }
+
+    if (derivation.getAttribute('mixed') === 'true') content.hasText = true;
+    const step = getXSChildren(derivation).find(el => el.localName === 'extension' || el.localName === 'restriction');
+    if (!step) return content;
+
+    const base = step.hasAttribute('base') ? resolveQName(step, step.getAttribute('base')) : null;
+    const baseType = base && base.namespaceURI !== XS_NS ? schemaSet.types.get(base.key) : null;
+
+    if (base && base.namespaceURI !== XS_NS && !baseType) {
+      warnOnce(`${schema.fileName}: type "${base.localName}" is not declared in the uploaded schemas`);
+    }
+
+    if (derivation.localName === 'simpleContent') {
+      content.hasText = true;
+    }
+
+    if (baseType && baseType.node.localName === 'complexType' && !stack.has(base.key)) {
+      const inherited = getComplexContent(baseType.node, baseType.schema, new Set([...stack, base.key]));
+      content.hasText = content.hasText || inherited.hasText;
+      content.attributes.push(...inherited.attributes);
+      // A restriction restates the content model, an extension appends to it
+      if (step.localName === 'extension') {
+        content.particles.push(...inherited.particles);
+      }
+    } else if (baseType && baseType.node.localName === 'simpleType') {
+      content.hasText = true;
+    }
+
+    addModel(step, schema);
+    return content;
+  };
+
+  // Resolve an element particle to its name, namespace and type
+  const resolveElement = (particle) => {
+    let decl = particle.node;
+    let schema = particle.schema;
+    let isGlobal = decl.parentNode === schema.root;
+
+    if (decl.hasAttribute('ref')) {
+      const found = lookup(schemaSet.elements, decl, 'ref', 'element', schema);
+      if (!found) return null;
+      decl = found.node;
+      schema = found.schema;
+      isGlobal = true;
+    }
+
+    const qualified = isGlobal || (decl.getAttribute('form') || schema.elementFormDefault) === 'qualified';
+    const inlineComplex = getXSChildren(decl, 'complexType')[0];
+    const inlineSimple = getXSChildren(decl, 'simpleType')[0];
+    let typeNode = inlineComplex || inlineSimple || null;
+    let typeSchema = schema;
+    let typeKey = null;
+    let typeLabel = inlineSimple ? 'simpleType' : '';
+
+    if (!typeNode && decl.hasAttribute('type')) {
+      const typeName = resolveQName(decl, decl.getAttribute('type'));
+      typeLabel = decl.getAttribute('type');
+      if (typeName.namespaceURI !== XS_NS) {
+        const found = schemaSet.types.get(typeName.key);
+        if (found) {
+          typeNode = found.node;
+          typeSchema = found.schema;
+          typeKey = typeName.key;
+        } else {
+          warnOnce(`${schema.fileName}: type "${typeName.localName}" is not declared in the uploaded schemas`);
+        }
+      }
+    } else if (!typeNode) {
+      typeLabel = 'xs:anyType';
+    }
+
+    return {
+      name: decl.getAttribute('name'),
+      namespaceURI: qualified ? schema.targetNamespace : '',
+      typeNode,
+      typeSchema,
+      typeKey: typeKey || (inlineComplex ? getKey(schema.targetNamespace, `#${decl.getAttribute('name')}`) : null),
+      typeLabel: typeNode && typeNode.localName === 'complexType' ? typeLabel : (typeLabel || 'xs:string')
+    };
+  };
+
+  const addPath = (info) => {
+    if (seenPaths.has(info.path)) return false;
+    seenPaths.add(info.path);
+    paths.push(info);
+    return true;
+  };
+
+  const walk = (particle, parentPath, depth, stack) => {
+    const element = resolveElement(particle);
+    if (!element) return null;
+
+    const qname = qualify(element.namespaceURI, element.name);
+    const path = parentPath ? `${parentPath}/${qname}` : qname;
+    const isComplex = element.typeNode && element.typeNode.localName === 'complexType';
+    const recursive = element.typeKey && stack.has(element.typeKey);
+    const content = isComplex && !recursive && depth < MAX_DEPTH
+      ? getComplexContent(element.typeNode, element.typeSchema)
+      : { particles: [], attributes: [], hasText: !isComplex };
+
+    if (recursive) {
+      warnOnce(`Recursive type "${element.typeLabel || element.name}" is not expanded again (at ${path})`);
+    } else if (isComplex && depth >= MAX_DEPTH) {
+      warnOnce(`Schema nesting deeper than ${MAX_DEPTH} levels is not expanded (at ${path})`);
+    }
+
+    const cardinality = formatOccurs(particle.min, particle.max);
+    const attributes = content.attributes.map(attr => ({
+      name: attr.name,
+      value: attr.type,
+      path: `${path}/@${qualify(attr.namespaceURI, attr.name)}`,
+      required: attr.required
+    }));
+
+    const node = {
+      name: qname,
+      type: 'element',
+      attributes: attributes.map(attr => ({
+        name: attr.path.split('/@').pop(),
+        value: `${attr.value}${attr.required ? '' : ' (optional)'}`
+      })),
+      children: [],
+      textContent: `${content.hasText ? element.typeLabel || 'text' : 'complex'} [${cardinality}]`
+    };
+
+    const isNew = addPath({
+      path,
+      type: 'element',
+      name: element.name,
+      hasText: content.hasText,
+      hasChildren: content.particles.length > 0,
+      attributes,
+      sampleValue: content.hasText ? element.typeLabel : '',
+      minOccurs: particle.min,
+      maxOccurs: particle.max === Infinity ? 'unbounded' : particle.max,
+      occurs: particle.max === Infinity ? UNBOUNDED_OCCURS : Math.max(particle.max, 1),
+      required: particle.min >= 1
+    });
+
+    if (!isNew) return null;
+
+    attributes.forEach(attr => {
+      addPath({
+        path: attr.path,
+        type: 'attribute',
+        name: attr.name,
+        parentPath: path,
+        sampleValue: attr.value,
+        minOccurs: attr.required ? 1 : 0,
+        maxOccurs: 1,
+        occurs: 1,
+        required: attr.required
+      });
+    });
+
+    const childStack = element.typeKey ? new Set([...stack, element.typeKey]) : stack;
+    content.particles.forEach(child => {
+      const childNode = walk(child, path, depth + 1, childStack);
+      if (childNode) node.children.push(childNode);
+    });
+
+    return node;
+  };
+
+  const rootDecl = schemaSet.elements.get(root.key);
+  const tree = walk({ node: rootDecl.node, schema: rootDecl.schema, min: 1, max: 1 }, '', 0, new Set());
+
+  return {
+    rootElement: qualify(root.namespaceURI, root.name),
+    paths,
+    tree,
+    namespaces,
+    warnings
+  };
+}
+
+/**
+ * Convert a schema structure into target nodes for the mapping screen
+ * Target paths are relative to the root element (the root element is the output document element)
+ * and keep the schema's namespace prefixes. Returns [{ path, name, type, depth, minOccurs,
+ * maxOccurs, occurs, required }] in document order.
+ */
+export function getTargetNodes(structure) {
+  const rootPath = structure.paths.length > 0 ? structure.paths[0].path : '';
+
+  return structure.paths
+    .filter(info => info.path !== rootPath)
+    .map(info => {
+      const path = info.path.substring(rootPath.length + 1);
+      return {
+        path,
+        name: info.type === 'attribute' ? `@${info.name}` : info.name,
+        type: info.type,
+        depth: path.split('/').length - 1,
+        minOccurs: info.minOccurs,
+        maxOccurs: info.maxOccurs,
+        occurs: info.occurs,
+        required: info.required
+      };
+    });
+}
+
+/**
+ * Collect the target paths covered by mappings: every field target path and its ancestors,
+ * attributes configured on fields and on the root element
+ */
+export function getMappedTargetPaths(mappings) {
+  const mapped = new Set();
+
+  (mappings.fields || []).forEach(field => {
+    const targetPath = (field.targetPath || field.targetName || '').trim().replace(/^\/+/, '');
+    if (!targetPath) return;
+
+    const parts = targetPath.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+      mapped.add(parts.slice(0, i).join('/'));
+    }
+    (field.attributes || []).forEach(attr => {
+      if (attr.name) mapped.add(`${targetPath}/@${attr.name}`);
+    });
+  });
+
+  ((mappings.rootElement && mappings.rootElement.attributes) || []).forEach(attr => {
+    if (attr.name) mapped.add(`@${attr.name}`);
+  });
+
+  return mapped;
+}
+
+/**
+ * List mandatory target nodes without a mapping
+ * A required node only counts when its parent is written (the root element or a mapped node);
+ * required children of a missing node are implied by it and not listed separately.
+ */
+export function findUnmappedTargetNodes(targetNodes, mappings) {
+  const mapped = getMappedTargetPaths(mappings);
+
+  return targetNodes.filter(node => {
+    const parentPath = node.path.includes('/') ? node.path.substring(0, node.path.lastIndexOf('/')) : '';
+    return node.required && !mapped.has(node.path) && (!parentPath || mapped.has(parentPath));
+  });
+}
@@ -0,0 +1,180 @@
+/**
+ * XSLT Compatibility Utility
+ * Checks that a stylesheet only uses the instructions and XPath functions of the XSLT version
+ * it declares, so version mismatches are found before the stylesheet reaches a processor
+ */
+
+import { parseXML } from './xmlParser';
+import { getXPathRequirements } from './xpathParser';
+
+const XSL_NS = 'http://www.w3.org/1999/XSL/Transform';
+
+/**
+ * XSLT elements added after XSLT 1.0, with the first version that defines them
+ */
+const XSLT_ELEMENTS = {
+  'analyze-string': '2.0', 'character-map': '2.0', 'document': '2.0', 'for-each-group': '2.0',
+  'function': '2.0', 'import-schema': '2.0', 'matching-substring': '2.0', 'namespace': '2.0',
+  'next-match': '2.0', 'non-matching-substring': '2.0', 'output-character': '2.0',
+  'perform-sort': '2.0', 'result-document': '2.0', 'sequence': '2.0',
+  'accept': '3.0', 'accumulator': '3.0', 'accumulator-rule': '3.0', 'assert': '3.0', 'break': '3.0',
+  'catch': '3.0', 'context-item': '3.0', 'evaluate': '3.0', 'expose': '3.0', 'fork': '3.0',
+  'global-context-item': '3.0', 'iterate': '3.0', 'map': '3.0', 'map-entry': '3.0', 'merge': '3.0',
+  'merge-action': '3.0', 'merge-key': '3.0', 'merge-source': '3.0', 'mode': '3.0',
+  'next-iteration': '3.0', 'on-completion': '3.0', 'on-empty': '3.0', 'on-non-empty': '3.0',
+  'override': '3.0', 'package': '3.0', 'source-document': '3.0', 'try': '3.0', 'use-package': '3.0',
+  'where-populated': '3.0'
+};
+
+/**
+ * The elements of XSLT 1.0; with XSLT_ELEMENTS every element an XSLT version defines
+ */
+const XSLT1_ELEMENTS = [
+  'apply-imports', 'apply-templates', 'attribute', 'attribute-set', 'call-template', 'choose', 'comment',
+  'copy', 'copy-of', 'decimal-format', 'element', 'fallback', 'for-each', 'if', 'import', 'include', 'key',
+  'message', 'namespace-alias', 'number', 'otherwise', 'output', 'param', 'preserve-space',
+  'processing-instruction', 'sort', 'strip-space', 'stylesheet', 'template', 'text', 'transform',
+  'value-of', 'variable', 'when', 'with-param'
+];
+
+/**
+ * What to use instead of elements in the XSLT namespace that no XSLT version defines
+ */
+const UNKNOWN_ELEMENT_ALTERNATIVES = {
+  'array': 'build arrays with an array { ... } constructor in xsl:sequence'
+};
+
+/**
+ * Attributes of XSLT elements added after XSLT 1.0 (by element, '*' for every element)
+ */
+const XSLT_ATTRIBUTES = {
+  '*': { 'xpath-default-namespace': '2.0', 'expand-text': '3.0' },
+  'param': { 'as': '2.0', 'tunnel': '2.0' },
+  'with-param': { 'as': '2.0', 'tunnel': '2.0' },
+  'variable': { 'as': '2.0' },
+  'template': { 'as': '2.0' },
+  'value-of': { 'separator': '2.0' },
+  'sort': { 'collation': '2.0', 'stable': '2.0' }
+};
+
+// Attributes of XSLT elements holding XPath expressions or patterns
+const EXPRESSION_ATTRIBUTES = ['select', 'test', 'match', 'use', 'group-by', 'group-adjacent', 'count', 'from', 'value'];
+
+// Attributes of XSLT elements holding attribute value templates
+const TEMPLATE_ATTRIBUTES = {
+  'element': ['name', 'namespace'],
+  'attribute': ['name', 'namespace'],
+  'processing-instruction': ['name'],
+  'sort': ['order', 'data-type', 'case-order', 'lang'],
+  'number': ['format', 'lang', 'letter-value', 'grouping-separator', 'grouping-size']
+};
+
+/**
+ * Get the XPath expressions of an attribute value template ({{ and }} are literal braces)
+ */
+function getTemplateExpressions(value) {
+  const expressions = [];
+  let i = 0;
+
+  while (i < value.length) {
+    if (value[i] === '{' && value[i + 1] === '{') {
+      i += 2;
+    } else if (value[i] === '{') {
+      const end = value.indexOf('}', i + 1);
+      if (end === -1) break;
+      expressions.push(value.substring(i + 1, end));
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return expressions;
+}
+
+/**
+ * Compare two version strings numerically
+ */
+function isLaterVersion(version, declared) {
+  return parseFloat(version) > parseFloat(declared);
+}
+
+/**
+ * Check a stylesheet against the XSLT version of its version attribute
+ * Returns { version, issues } where every issue is { construct, version, count, location, message }:
+ * a construct the declared version does not have, the version that adds it (null for elements no
+ * XSLT version defines, such as xsl:array), how often it is used and where it is first used
+ * (e.g. xsl:value-of/@select). Returns no issues for malformed stylesheets.
+ */
+export function checkXSLTCompatibility(xsltString) {
+  let stylesheet;
+  try {
+    stylesheet = parseXML(xsltString).documentElement;
+  } catch {
+    return { version: null, issues: [] };
+  }
+
+  const declared = stylesheet.getAttribute('version') || '1.0';
+  const issues = new Map();
+
+  const report = (construct, version, location, alternative) => {
+    if (version && !isLaterVersion(version, declared)) return;
+    if (issues.has(construct)) {
+      issues.get(construct).count++;
+    } else {
+      issues.set(construct, { construct, version, count: 1, location, alternative });
+    }
+  };
+
+  const checkExpression = (expr, location) => {
+    getXPathRequirements(expr).forEach(requirement => report(requirement.construct, requirement.version, location));
+  };
+
+  [stylesheet, ...Array.from(stylesheet.getElementsByTagName('*'))].forEach(el => {
+    const isXSLT = el.namespaceURI === XSL_NS;
+    const elementName = isXSLT ? `xsl:${el.localName}` : el.nodeName;
+
+    if (isXSLT && XSLT_ELEMENTS[el.localName]) {
+      report(`<${elementName}>`, XSLT_ELEMENTS[el.localName], elementName);
+    } else if (isXSLT && !XSLT1_ELEMENTS.includes(el.localName)) {
+      // Processors reject unknown XSLT elements (XTSE0010)
+      report(`<${elementName}>`, null, elementName, UNKNOWN_ELEMENT_ALTERNATIVES[el.localName]);
+    }
+
+    Array.from(el.attributes).forEach(attr => {
+      // Namespace declarations and attributes in other namespaces are not evaluated
+      if (attr.name.startsWith('xmlns') || attr.namespaceURI) return;
+      const location = `${elementName}/@${attr.name}`;
+
+      if (!isXSLT) {
+        // Every attribute of a literal result element is an attribute value template
+        getTemplateExpressions(attr.value).forEach(expr => checkExpression(expr, location));
+        return;
+      }
+
+      const attributeVersion = (XSLT_ATTRIBUTES[el.localName] || {})[attr.name] || XSLT_ATTRIBUTES['*'][attr.name];
+      if (attributeVersion) {
+        report(`${attr.name} attribute on <${elementName}>`, attributeVersion, location);
+      }
+
+      if (EXPRESSION_ATTRIBUTES.includes(attr.name)) {
+        checkExpression(attr.value, location);
+      } else if ((TEMPLATE_ATTRIBUTES[el.localName] || []).includes(attr.name)) {
+        getTemplateExpressions(attr.value).forEach(expr => checkExpression(expr, location));
+      }
+    });
+  });
+
+  return {
+    version: declared,
+    issues: Array.from(issues.values()).map(({ alternative, ...issue }) => {
+      const usage = `(first used in ${issue.location}${issue.count > 1 ? `, ${issue.count} uses` : ''})`;
+      return {
+        ...issue,
+        message: issue.version
+          ? `${issue.construct} needs XSLT ${issue.version} ${usage}`
+          : `${issue.construct} is not an XSLT element ${usage}${alternative ? `; ${alternative}` : ''}`
+      };
+    })
+  };
+}
@@ -3,6 +3,88 @@
  * Generates XSLT transformations for different output formats
  */
 
+import { getLookupEntries, validateLookupTables } from './lookupTables';
+import { parseXPath, validateXPath, qualifyNameTests, relativizeXPath, relativizeXPathExpression, getVariableReferences } from './xpathParser';
+import { getDefaultNamespacePrefix, isValidQName } from './xmlParser';
+import { applyValueTransforms, applyValueFormat, compileBooleanValue, compileNumberValue, getNumberPicture, hasValueFormat, usesSchemaTypes } from './valueTransforms';
+import { getCSVDialect, getCSVDialectError, quoteCSVField, LINE_TERMINATORS } from './csvDialect';
+
+const XSL_NAMESPACE = 'http://www.w3.org/1999/XSL/Transform';
+
+// Target elements in the XSLT namespace are written through this alias (xsl:namespace-alias)
+const XSL_ALIAS_PREFIX = 'axsl';
+const XSL_ALIAS_NAMESPACE = 'http://www.w3.org/1999/XSL/TransformAlias';
+
+// Bound to the xs prefix when reformatted dates are built with xs:date() or xs:dateTime()
+const XML_SCHEMA_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+
+// Named template of XSLT 1.0 stylesheets replacing every $from in $text with $to (there is no replace())
+function getReplaceTemplate(name) {
+  return String.raw`    <xsl:template name="${name}">
+      <xsl:param name="text"/>
+      <xsl:param name="from"/>
+      <xsl:param name="to"/>
+      <xsl:choose>
+        <xsl:when test="contains($text, $from)">
+          <xsl:value-of select="substring-before($text, $from)"/>
+          <xsl:value-of select="$to"/>
+          <xsl:call-template name="${name}">
+            <xsl:with-param name="text" select="substring-after($text, $from)"/>
+            <xsl:with-param name="from" select="$from"/>
+            <xsl:with-param name="to" select="$to"/>
+          </xsl:call-template>
+        </xsl:when>
+        <xsl:otherwise>
+          <xsl:value-of select="$text"/>
+        </xsl:otherwise>
+      </xsl:choose>
+    </xsl:template>
+`;
+}
+
+// Named templates of XSLT 1.0 JSON output writing a quoted, escaped JSON string (see generateJSONTextTransform)
+// XML 1.0 documents cannot contain the other control characters, so they need no \u escapes
+const JSON_STRING_TEMPLATES = String.raw`    <xsl:template name="json-string">
+      <xsl:param name="text"/>
+      <xsl:variable name="backslashes">
+        <xsl:call-template name="json-replace">
+          <xsl:with-param name="text" select="$text"/>
+          <xsl:with-param name="from" select="'\'"/>
+          <xsl:with-param name="to" select="'\\'"/>
+        </xsl:call-template>
+      </xsl:variable>
+      <xsl:variable name="quotes">
+        <xsl:call-template name="json-replace">
+          <xsl:with-param name="text" select="string($backslashes)"/>
+          <xsl:with-param name="from" select="'&quot;'"/>
+          <xsl:with-param name="to" select="'\&quot;'"/>
+        </xsl:call-template>
+      </xsl:variable>
+      <xsl:variable name="newlines">
+        <xsl:call-template name="json-replace">
+          <xsl:with-param name="text" select="string($quotes)"/>
+          <xsl:with-param name="from" select="'&#10;'"/>
+          <xsl:with-param name="to" select="'\n'"/>
+        </xsl:call-template>
+      </xsl:variable>
+      <xsl:variable name="returns">
+        <xsl:call-template name="json-replace">
+          <xsl:with-param name="text" select="string($newlines)"/>
+          <xsl:with-param name="from" select="'&#13;'"/>
+          <xsl:with-param name="to" select="'\r'"/>
+        </xsl:call-template>
+      </xsl:variable>
+      <xsl:text>"</xsl:text>
+      <xsl:call-template name="json-replace">
+        <xsl:with-param name="text" select="string($returns)"/>
+        <xsl:with-param name="from" select="'&#9;'"/>
+        <xsl:with-param name="to" select="'\t'"/>
+      </xsl:call-template>
+      <xsl:text>"</xsl:text>
+    </xsl:template>
+ 
+${getReplaceTemplate('json-replace')}`;
+
 /**
  * Generate XSLT for XML output format
  * 
@@ -22,6 +104,8 @@
 export function generateXMLTransform(mappings, namespaces = {}) {
     try {
       console.log('generateXMLTransform called with:', { mappings, namespaces });
+      mappings = resolveLookupTables(qualifyMappingXPaths(mappings, namespaces));
+      namespaces = withSchemaNamespace(namespaces, mappings.fields, mappings.xsltVersion || '1.0');
       
       // Build namespace declarations
       const nsDeclarations = Object.entries(namespaces)
@@ -29,7 +113,11 @@ export function generateXMLTransform(mappings, namespaces = {}) {
         .map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`)
         .join(' ');
       
-      const defaultNS = namespaces.default ? `xmlns="${namespaces.default}"` : '';
+      // Output elements follow the configured target namespaces; without any, unprefixed
+      // elements keep the source default namespace as before
+      const hasTargetNamespaces = Boolean(mappings.rootElement && mappings.rootElement.namespaces) ||
+        (mappings.fields || []).some(field => field.namespaces);
+      const defaultNS = namespaces.default && !hasTargetNamespaces ? `xmlns="${namespaces.default}"` : '';
       
       // Get namespace prefixes for exclude-result-prefixes
       const nsPrefixes = Object.keys(namespaces)
@@ -56,43 +144,46 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       const hierarchy = buildHierarchyForInlineGeneration(actualFields);
       console.log('Hierarchy structure:', hierarchy);
       
-      // Start building the XSLT with single template
+      // Get root element configuration
+      const rootElement = { name: 'root', attributes: [], ...mappings.rootElement };
+      if (!rootElement.name || !rootElement.name.trim()) {
+        rootElement.name = 'root';
+      }
       const version = mappings.xsltVersion || '1.0';
+      const context = createGenerationContext(null, namespaces, {}, version);
+      const rootTarget = resolveTargetElement(rootElement, context);
+      
+      console.log('Step 6: Generating inline XML structure...');
+      // STEP 6: Generate the root element and the inline XML structure (target elements
+      // are resolved first so the stylesheet header knows whether the XSL alias is needed)
+      let body = generateElementWithAttributes(rootTarget, '    ', context);
+      body += generateInlineXMLStructure(hierarchy, rootTarget.context, '      ');
+      body += generateElementClose(rootTarget, '    ');
+      
+      const aliasDeclaration = context.usage.xslAlias ? `xmlns:${XSL_ALIAS_PREFIX}="${XSL_ALIAS_NAMESPACE}"` : '';
+      
+      // Start building the XSLT with single template
       let xslt = `<?xml version="1.0" encoding="UTF-8"?>
 <xsl:stylesheet version="${version}" 
   xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
   ${nsDeclarations}
   ${defaultNS}
+  ${aliasDeclaration}
   ${excludeResultPrefixes}>
 
   <xsl:output method="xml" encoding="UTF-8" indent="yes"/>
 `;
       
-      // STEP 5: Add variables if defined
-      if (mappings.variables && Array.isArray(mappings.variables)) {
-        xslt += '\n  <!-- Define top-level variables for constants -->\n';
-        mappings.variables.forEach(variable => {
-          if (variable.xpath) {
-            xslt += `  <xsl:variable name="${variable.name}" select="${variable.xpath}"/>\n`;
-          } else if (variable.value) {
-            xslt += `  <xsl:variable name="${variable.name}" select="'${variable.value}'"/>\n`;
-          }
-        });
+      if (context.usage.xslAlias) {
+        xslt += `  <xsl:namespace-alias stylesheet-prefix="${XSL_ALIAS_PREFIX}" result-prefix="xsl"/>\n`;
       }
+      xslt += generateKeyDeclarations(context.usage, '  ');
       
-      xslt += `\n  <xsl:template match="/">\n`;
-      
-      // Get root element configuration
-      const rootElement = mappings.rootElement || { name: 'root', attributes: [] };
-      
-      // Generate root element with attributes
-      xslt += generateElementWithAttributes(rootElement, '    ');
-      
-      console.log('Step 6: Generating inline XML structure...');
-      // STEP 6: Generate inline XML structure
-      xslt += generateInlineXMLStructure(hierarchy, actualFields, '      ');
+      // STEP 5: Add variables and parameters if defined
+      xslt += generateVariableDeclarations(mappings.variables, '  ');
       
-      xslt += `    </${rootElement.name}>\n`;
+      xslt += `\n  <xsl:template match="/">\n`;
+      xslt += body;
       xslt += `  </xsl:template>\n`;
       xslt += `\n</xsl:stylesheet>`;
       
@@ -109,72 +200,330 @@ export function generateXMLTransform(mappings, namespaces = {}) {
    * - Remove file names from path
    * - Convert dotted paths to proper XPath hierarchy
    * - Add // prefix if path doesn't start from root
+   * - Read relative paths that do not line up with contextPath below it (flat file fields
+   *   are read from their record, "name" is the record's name)
    * - Fix common syntax issues
    */
-  function normalizeXPath(xpath) {
+  export function normalizeXPath(xpath, contextPath = null) {
     if (!xpath) return '';
     
-    let normalized = xpath.trim();
+    const normalized = expandDottedPath(xpath);
     
-    // Remove file name if present (e.g., "file.xml/path" -> "path")
-    normalized = normalized.replace(/^[^/]*\.xml\//i, '');
+    // Add // prefix if path is a relative location path (not a function call, variable, literal...)
+    if (startsWithRelativeStep(normalized)) {
+      const absolute = '//' + normalized;
+      // Paths picked from the source tree start at the root element ("bookstore/book/title") and line up
+      // with the context; any other relative path means the context node's children, as in XPath
+      if (contextPath && relativizeXPath(absolute, contextPath) === absolute) {
+        return `${contextPath}/${normalized}`;
+      }
+      return absolute;
+    }
+    
+    return normalized;
+  }
+  
+  /**
+   * Remove the file name from a path ("file.xml/path" -> "path") and convert a dotted path
+   * to location steps ("Parent.Child" -> "Parent/Child"); the path stays relative or absolute
+   */
+  export function expandDottedPath(xpath) {
+    const normalized = xpath.trim().replace(/^[^/]*\.xml\//i, '');
     
-    // Convert dotted paths to proper XPath (e.g., "Parent.Child" -> "Parent/Child")
-    // But preserve dots in predicates like [@id='value.test']
-    normalized = normalized.replace(/\.(?![^\[]*\])/g, '/');
+    // Only plain dotted names are converted so ".", ".." and numbers stay intact
+    if (/^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)+$/.test(normalized)) {
+      return normalized.replace(/\./g, '/');
+    }
+    return normalized;
+  }
+  
+  /**
+   * Check whether an expression is a relative location path starting with an axis step
+   */
+  function startsWithRelativeStep(xpath) {
+    if (xpath.startsWith('*')) return false;
     
-    // Add // prefix if path doesn't start with / or //
-    if (!normalized.startsWith('/') && !normalized.startsWith('*')) {
-      normalized = '//' + normalized;
+    try {
+      const ast = parseXPath(xpath);
+      return ast.type === 'Path' && !ast.absolute && ast.steps[0].expr.type === 'Step';
+    } catch {
+      // Invalid expressions are reported by validateMappingXPaths and left untouched here
+      return false;
     }
+  }
+  
+  /**
+   * Qualify unprefixed element names with the prefix assigned to the source default namespace
+   * XPath 1.0 has no default element namespace, so "Order" would never match <Order xmlns="...">
+   */
+  export function qualifyXPath(xpath, namespaces = {}) {
+    const prefix = getDefaultNamespacePrefix(namespaces);
+    if (!xpath || !prefix) return xpath;
     
-    // Validate XPath syntax
-    if (!isValidXPath(normalized)) {
-      console.warn(`Invalid XPath detected: ${xpath}, normalized to: ${normalized}`);
+    try {
+      return qualifyNameTests(xpath, prefix);
+    } catch {
+      // Invalid expressions are reported by validateMappingXPaths and left untouched here
+      return xpath;
     }
+  }
+  
+  /**
+   * Qualify every XPath of a mapping configuration for the source namespaces
+   */
+  function qualifyMappingXPaths(mappings, namespaces) {
+    if (!getDefaultNamespacePrefix(namespaces)) return mappings;
     
-    return normalized;
+    const qualify = (xpath) => qualifyXPath(xpath, namespaces);
+    const qualifyAttributes = (attributes) => attributes && attributes.map(attr =>
+      attr.isVariable || attr.isHardcoded ? attr : { ...attr, xpath: qualify(attr.xpath) }
+    );
+    const qualifySortKeys = (sortKeys) => sortKeys && sortKeys.map(sortKey => ({ ...sortKey, select: qualify(sortKey.select) }));
+    
+    return {
+      ...mappings,
+      rootPath: qualify(mappings.rootPath),
+      recordPath: qualify(mappings.recordPath),
+      recordGroupBy: qualify(mappings.recordGroupBy),
+      recordFilter: qualify(mappings.recordFilter),
+      recordSortKeys: qualifySortKeys(mappings.recordSortKeys),
+      variables: mappings.variables && mappings.variables.map(variable => ({ ...variable, xpath: qualify(variable.xpath) })),
+      rootElement: mappings.rootElement && {
+        ...mappings.rootElement,
+        attributes: qualifyAttributes(mappings.rootElement.attributes)
+      },
+      fields: (mappings.fields || []).map(field => ({
+        ...field,
+        // Dotted paths are expanded before qualifying so "Parent.Child" still becomes two steps
+        sourcePath: field.sourcePath && qualify(expandDottedPath(field.sourcePath)),
+        forEachPath: qualify(field.forEachPath),
+        groupBy: qualify(field.groupBy),
+        filter: qualify(field.filter),
+        sortKeys: qualifySortKeys(field.sortKeys),
+        parts: field.parts && field.parts.map(part =>
+          part.type === 'xpath' && part.value ? { ...part, value: qualify(expandDottedPath(part.value)) } : part
+        ),
+        condition: qualify(field.condition),
+        otherwise: field.otherwise && field.otherwise.sourcePath
+          ? { ...field.otherwise, sourcePath: qualify(expandDottedPath(field.otherwise.sourcePath)) }
+          : field.otherwise,
+        format: field.format && field.format.currency && field.format.currency.sourcePath
+          ? { ...field.format, currency: { ...field.format.currency, sourcePath: qualify(expandDottedPath(field.format.currency.sourcePath)) } }
+          : field.format,
+        attributes: qualifyAttributes(field.attributes)
+      }))
+    };
+  }
+  
+  /**
+   * Attach the lookup table each mapping references (lookupTable, by name) as mapping.lookup
+   */
+  function resolveLookupTables(mappings) {
+    const tables = mappings.lookupTables || [];
+    
+    return {
+      ...mappings,
+      fields: (mappings.fields || []).map(field => {
+        if (!field.lookupTable) return field;
+        
+        const table = tables.find(candidate => candidate.name === field.lookupTable);
+        if (!table) {
+          throw new Error(`Mapping "${field.targetName}": unknown lookup table "${field.lookupTable}"`);
+        }
+        return { ...field, lookup: table };
+      })
+    };
+  }
+  
+  /**
+   * Get where a mapping takes its value from
+   * 'xpath' (sourcePath), 'hardcoded' (hardcodedValue), 'empty' (no content), 'concat' (the
+   * ordered parts, see compileConcatenation) or 'forEach' (one output node per node of
+   * forEachPath, valued by sourcePath relative to it, "." when empty)
+   */
+  export function getMappingValueSource(mapping) {
+    if (['hardcoded', 'empty', 'concat'].includes(mapping.valueType)) return mapping.valueType;
+    if (mapping.forEachPath !== undefined && mapping.forEachPath !== null) return 'forEach';
+    return 'xpath';
+  }
+  
+  /**
+   * Get the otherwise branch of a conditional mapping, or null when it has none
+   * The branch is { valueType: 'xpath' | 'hardcoded' | 'empty', sourcePath, hardcodedValue } and is
+   * used when the condition is false; without one the mapping's node is not written at all
+   */
+  export function getOtherwiseValue(mapping) {
+    return mapping.condition && mapping.condition.trim() && mapping.otherwise ? mapping.otherwise : null;
+  }
+  
+  /**
+   * Check whether a mapping has everything its value source needs to be generated
+   * Returns the missing part ('target', 'source', 'forEach', 'parts' or 'otherwise') or null when complete
+   */
+  export function getMissingMappingPart(mapping) {
+    if (!mapping.targetName || !mapping.targetName.trim()) return 'target';
+    
+    const otherwise = getOtherwiseValue(mapping);
+    if (otherwise && otherwise.valueType === 'xpath' && !(otherwise.sourcePath && otherwise.sourcePath.trim())) {
+      return 'otherwise';
+    }
+    
+    switch (getMappingValueSource(mapping)) {
+      case 'xpath':
+        return mapping.sourcePath && mapping.sourcePath.trim() ? null : 'source';
+      case 'forEach':
+        return mapping.forEachPath.trim() ? null : 'forEach';
+      case 'concat': {
+        const parts = mapping.parts || [];
+        const isComplete = parts.length > 0 && parts.every(part => part.type !== 'xpath' || (part.value && part.value.trim()));
+        return isComplete ? null : 'parts';
+      }
+      default:
+        return null;
+    }
   }
   
   /**
-   * Validate XPath syntax (basic validation)
+   * Validate every XPath expression of a mapping configuration
+   * Covers source paths, for-each paths, group-by keys, filters, sort keys, conditions, currency paths,
+   * attribute and variable XPaths and root/record paths, including references to variables that are
+   * not declared in mappings.variables.
+   * Returns a list of { fieldId, label, expression, message, position }
    */
-  function isValidXPath(xpath) {
-    if (!xpath) return false;
+  export function validateMappingXPaths(mappings) {
+    const errors = [];
+    const declaredVariables = new Set((mappings.variables || []).map(variable => variable.name).filter(Boolean));
+    
+    const check = (expression, label, fieldId = null) => {
+      if (!expression || !expression.trim()) return;
+      const result = validateXPath(expression);
+      if (!result.valid) {
+        errors.push({ fieldId, label, expression, message: result.error.message, position: result.error.position });
+        return;
+      }
+      
+      const undeclared = getVariableReferences(expression).find(reference => !declaredVariables.has(reference.name));
+      if (undeclared) {
+        errors.push({
+          fieldId, label, expression,
+          message: `Undeclared variable $${undeclared.name}`,
+          position: undeclared.start + 1
+        });
+      }
+    };
+    
+    const checkAttributes = (attributes, owner, fieldId) => {
+      (attributes || []).forEach(attr => {
+        // Rows without a name are still being edited and are not written
+        if (attr.name && !isValidQName(attr.name)) {
+          const invalid = attr.name.split('').findIndex((_, end) => !isValidQName(attr.name.substring(0, end + 1)));
+          errors.push({
+            fieldId, label: `${owner} attribute name`, expression: attr.name,
+            message: 'Not a valid XML attribute name', position: Math.max(invalid, 0) + 1
+          });
+        }
+        if (attr.isVariable) {
+          check(`$${attr.value}`, `${owner} attribute "${attr.name}"`, fieldId);
+        } else if (!attr.isHardcoded) {
+          check(attr.xpath, `${owner} attribute "${attr.name}"`, fieldId);
+        }
+      });
+    };
     
-    // Check for balanced brackets
-    const openBrackets = (xpath.match(/\[/g) || []).length;
-    const closeBrackets = (xpath.match(/\]/g) || []).length;
-    if (openBrackets !== closeBrackets) return false;
+    check(mappings.rootPath, 'Root path');
+    check(mappings.recordPath, 'Record path');
+    check(mappings.recordGroupBy, 'Record group-by');
+    check(mappings.recordFilter, 'Record filter');
+    (mappings.recordSortKeys || []).forEach((sortKey, index) => {
+      check(sortKey.select, `Record sort key ${index + 1}`);
+    });
+    
+    (mappings.variables || []).forEach(variable => {
+      check(variable.xpath, `Variable "${variable.name}"`);
+    });
+    
+    if (mappings.rootElement) {
+      checkAttributes(mappings.rootElement.attributes, `Root element <${mappings.rootElement.name}>`);
+    }
     
-    // Check for invalid characters at start
-    if (/^[^a-zA-Z/*@]/.test(xpath)) return false;
+    (mappings.fields || []).forEach((field, index) => {
+      const owner = `Field ${index + 1}${field.targetName ? ` (${field.targetName})` : ''}`;
+      const valueSource = getMappingValueSource(field);
+      // Constant and empty values leave a previously entered source path unused
+      if (valueSource === 'xpath' || valueSource === 'forEach') {
+        check(field.sourcePath, `${owner} source path`, field.id);
+      }
+      check(field.forEachPath, `${owner} for-each path`, field.id);
+      check(field.groupBy, `${owner} group-by`, field.id);
+      check(field.filter, `${owner} filter`, field.id);
+      (field.sortKeys || []).forEach((sortKey, keyIndex) => {
+        check(sortKey.select, `${owner} sort key ${keyIndex + 1}`, field.id);
+      });
+      if (valueSource === 'concat') {
+        (field.parts || []).forEach((part, partIndex) => {
+          if (part.type === 'xpath') check(part.value, `${owner} part ${partIndex + 1}`, field.id);
+        });
+      }
+      check(field.condition, `${owner} condition`, field.id);
+      const otherwise = getOtherwiseValue(field);
+      if (otherwise && otherwise.valueType === 'xpath') {
+        check(otherwise.sourcePath, `${owner} otherwise source path`, field.id);
+      }
+      const currency = field.format && field.format.currency;
+      if (currency && currency.valueType === 'xpath') {
+        check(currency.sourcePath, `${owner} currency path`, field.id);
+      }
+      checkAttributes(field.attributes, owner, field.id);
+    });
     
-    return true;
+    return errors;
   }
   
   /**
    * Normalize all mappings
+   * Relative source paths are read below contextPath when given (see normalizeXPath)
    */
-  function normalizeAllMappings(fields) {
+  function normalizeAllMappings(fields, contextPath = null) {
     if (!fields || !Array.isArray(fields)) {
       console.warn('normalizeAllMappings: fields is not an array', fields);
       return [];
     }
     
     return fields.map(mapping => {
-      if (!mapping.sourcePath || !mapping.targetName) {
+      if (getMissingMappingPart(mapping)) {
         console.warn('Incomplete mapping skipped:', mapping);
         return mapping;
       }
       
+      // Only values read from a source path are aggregated; an aggregate is a single value
+      const aggregate = getMappingValueSource(mapping) === 'xpath' && mapping.aggregate ? mapping.aggregate : undefined;
+      // Mappings that do not read a source path use the context node
+      const sourcePath = mapping.sourcePath && mapping.sourcePath.trim() ? mapping.sourcePath : '.';
+      const forEachPath = mapping.forEachPath ? normalizeXPath(mapping.forEachPath, contextPath) : mapping.forEachPath;
+      // The value of a for-each mapping is read from each iterated node
+      const valueContextPath = getMappingValueSource(mapping) === 'forEach' && forEachPath ? forEachPath : contextPath;
       const normalized = {
         ...mapping,
-        sourcePath: normalizeXPath(mapping.sourcePath),
-        occurs: mapping.occurs || 1,
+        sourcePath: normalizeXPath(sourcePath, valueContextPath),
+        forEachPath,
+        parts: mapping.parts && mapping.parts.map(part =>
+          part.type === 'xpath' ? { ...part, value: normalizeXPath(part.value, contextPath) } : part
+        ),
+        // Group-by keys, filters and sort keys are relative to the iterated nodes and, like conditions, kept as written
+        groupBy: mapping.groupBy && mapping.groupBy.trim() ? mapping.groupBy.trim() : undefined,
+        filter: mapping.filter && mapping.filter.trim() ? mapping.filter.trim() : undefined,
+        sortKeys: normalizeSortKeys(mapping.sortKeys),
+        aggregate,
+        // Conditions are kept as written: relative paths in them are read from the mapping's context node
+        condition: mapping.condition && mapping.condition.trim() ? mapping.condition.trim() : undefined,
+        otherwise: mapping.otherwise && mapping.otherwise.sourcePath
+          ? { ...mapping.otherwise, sourcePath: normalizeXPath(mapping.otherwise.sourcePath, contextPath) }
+          : mapping.otherwise,
+        format: getFieldTypeFormat(mapping.format, mapping.fieldType, contextPath),
+        occurs: aggregate ? 1 : mapping.occurs || 1,
         fieldType: mapping.fieldType || 'string',
         required: mapping.required !== false,
-        isAttribute: mapping.sourceType === 'attribute' || mapping.sourcePath.includes('/@')
+        isAttribute: mapping.sourceType === 'attribute' || sourcePath.includes('/@')
       };
       
       return normalized;
@@ -532,15 +881,17 @@ export function generateXMLTransform(mappings, namespaces = {}) {
           </xsl:otherwise>
         </xsl:choose>`;
       
-      case 'currency':
-        return `
-        <xsl:attribute name="currencyID">USD</xsl:attribute>
-        <xsl:value-of select="format-number(${selectPath}, '0.00')"/>`;
+      case 'currency': {
+        const currency = getCurrencyExpression(mapping, null);
+        return (currency ? `
+        <xsl:attribute name="currencyID"><xsl:value-of select="${currency}"/></xsl:attribute>` : '') + `
+        <xsl:value-of select="format-number(${selectPath}, ${toXPathStringLiteral(getNumberPicture(mapping.format) || '0.00')})"/>`;
+      }
       
       case 'decimal':
       case 'numeric':
         return `
-        <xsl:value-of select="format-number(${selectPath}, '0.00')"/>`;
+        <xsl:value-of select="format-number(${selectPath}, ${toXPathStringLiteral(getNumberPicture(mapping.format) || '0.00')})"/>`;
       
       case 'time':
         return `
@@ -560,6 +911,64 @@ export function generateXMLTransform(mappings, namespaces = {}) {
     }
   }
   
+  /**
+   * Escape text written as literal content of the stylesheet
+   */
+  function escapeXMLText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+  
+  /**
+   * Escape the text of a flat file (delimiters, line terminators, headers) for xsl:text, with
+   * tabs and line breaks written as character references so they stay visible
+   */
+  function escapeFlatFileText(text) {
+    return escapeXMLText(text).replace(/\t/g, '&#9;').replace(/\n/g, '&#10;').replace(/\r/g, '&#13;');
+  }
+  
+  /**
+   * Escape an XPath expression for use in a double-quoted attribute
+   */
+  function escapeXMLAttribute(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  }
+  
+  /**
+   * Quote a text value as an XPath string literal that can be placed in a select attribute
+   * Tabs and line breaks are written as character references, which attribute normalization keeps
+   */
+  function toXPathStringLiteral(value) {
+    const text = String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')
+      .replace(/\t/g, '&#9;').replace(/\n/g, '&#10;').replace(/\r/g, '&#13;');
+    if (!text.includes("'")) return `'${text}'`;
+    // Apostrophes cannot appear in a '...' literal: join the parts with "'" instead
+    return `concat(${text.split("'").map(part => `'${part}'`).join(", &quot;'&quot;, ")})`;
+  }
+  
+  /**
+   * Generate top-level xsl:variable and xsl:param declarations
+   * Variables are { name, xpath } or { name, value } (a constant); isParam turns the
+   * declaration into a stylesheet parameter whose select is its default value
+   */
+  function generateVariableDeclarations(variables, indent) {
+    const declared = (variables || []).filter(variable => variable.name);
+    if (declared.length === 0) return '';
+    
+    let output = `\n${indent}<!-- Stylesheet parameters and variables, referenced as $name -->\n`;
+    declared.forEach(variable => {
+      const instruction = variable.isParam ? 'xsl:param' : 'xsl:variable';
+      if (variable.xpath) {
+        output += `${indent}<${instruction} name="${variable.name}" select="${escapeXMLAttribute(variable.xpath)}"/>\n`;
+      } else if (variable.value !== undefined && variable.value !== '') {
+        output += `${indent}<${instruction} name="${variable.name}" select="${toXPathStringLiteral(variable.value)}"/>\n`;
+      } else {
+        output += `${indent}<${instruction} name="${variable.name}" select="''"/>\n`;
+      }
+    });
+    
+    return output;
+  }
+  
   /**
    * Escape XML element name
    */
@@ -568,23 +977,61 @@ export function generateXMLTransform(mappings, namespaces = {}) {
     return name.replace(/[^a-zA-Z0-9_.-]/g, '_');
   }
   
+  /**
+   * Split a qualified name ("cbc:Name") into prefix and local name
+   */
+  function splitQName(name) {
+    const index = name.indexOf(':');
+    return index > 0
+      ? { prefix: name.substring(0, index), localName: name.substring(index + 1) }
+      : { prefix: null, localName: name };
+  }
+  
+  /**
+   * Escape a possibly prefixed XML name, keeping the prefix separator
+   */
+  function escapeXMLQName(name) {
+    const { prefix, localName } = splitQName(name);
+    return prefix ? `${escapeXMLName(prefix)}:${escapeXMLName(localName)}` : escapeXMLName(localName);
+  }
+  
   /**
    * Combine date and time fields into ISO format
-   * Used when separate date and time fields need to be merged
+   * Used when separate date and time fields need to be merged: the result is a concatenation
+   * mapping that writes "<date>T<time>" to the combined target
    */
-  function generateDateTimeCombination(dateField, timeField) {
-    return `concat(${dateField}, 'T', ${timeField}, 'Z')`;
+  export function generateDateTimeCombination(dateField, timeField, combinedName) {
+    return {
+      ...dateField,
+      targetName: combinedName,
+      targetPath: combinedName,
+      fieldType: 'dateTime',
+      valueType: 'concat',
+      parts: [
+        { type: 'xpath', value: dateField.sourcePath },
+        { type: 'text', value: 'T' },
+        { type: 'xpath', value: timeField.sourcePath }
+      ],
+      separator: undefined,
+      sourcePath: '',
+      forEachPath: undefined
+    };
   }
   
   /**
    * Detect if a field name suggests it's part of a date-time pair
+   * Only mappings reading a single source path are paired; returns { dateField, timeField, combinedName }
    */
-  function detectDateTimeFields(mappings) {
-    const dateFields = mappings.filter(m => 
+  export function detectDateTimeFields(mappings) {
+    const candidates = mappings.filter(m =>
+      getMappingValueSource(m) === 'xpath' && m.sourcePath && m.targetName && !m.transforms && !m.format && !m.lookupTable && !m.aggregate
+    );
+    
+    const dateFields = candidates.filter(m => 
       /date/i.test(m.targetName) && !/time/i.test(m.targetName)
     );
     
-    const timeFields = mappings.filter(m => 
+    const timeFields = candidates.filter(m => 
       /time/i.test(m.targetName) && !/date/i.test(m.targetName)
     );
     
@@ -647,205 +1094,855 @@ export function generateXMLTransform(mappings, namespaces = {}) {
   }
   
   /**
-   * Generate element opening tag with attributes
+   * Create the context threaded through the generators
+   * contextPath is the absolute XPath selected by the innermost xsl:for-each (null at the top level);
+   * source paths below it are rewritten relative to it. sourceNamespaces are the prefixes bound on
+   * the stylesheet, targetNamespaces the output namespaces in scope (prefix -> URI, "default" for
+   * the default namespace); xsltVersion decides which XPath functions values may use; group is the
+   * grouping whose members the body reads (see openIteration); usage records stylesheet-level
+   * declarations the body turned out to need (the XSL alias, xsl:key declarations of XSLT 1.0 groupings)
+   * and counts the variables it declared, so their names stay unique.
+   */
+  function createGenerationContext(contextPath = null, sourceNamespaces = {}, targetNamespaces = {}, xsltVersion = '1.0') {
+    return { contextPath, sourceNamespaces, targetNamespaces, xsltVersion, group: null, usage: { xslAlias: false, keys: [], groupVariables: 0, jsonVariables: 0 } };
+  }
+  
+  /**
+   * Keep the format settings that apply to a field type: number pictures for numbers and currency
+   * amounts (with the currency code, its source path normalized below contextPath), date patterns
+   * for dates; undefined for other types
    */
-  function generateElementWithAttributes(element, indent) {
-    let output = `${indent}<${element.name}`;
+  function getFieldTypeFormat(format, fieldType, contextPath = null) {
+    if (!format) return undefined;
     
-    // Add attributes if defined
-    if (element.attributes && Array.isArray(element.attributes)) {
-      element.attributes.forEach(attr => {
-        if (attr.isVariable) {
-          // Use variable reference with curly braces
-          output += ` ${attr.name}="{$${attr.value}}"`;
-        } else if (attr.isHardcoded) {
-          // Hardcoded attribute value
-          output += ` ${attr.name}="${attr.value}"`;
-        } else if (attr.xpath) {
-          // Dynamic attribute from XPath
-          output += ` ${attr.name}="{${attr.xpath}}"`;
-        }
-      });
+    if (fieldType === 'date' || fieldType === 'dateTime') {
+      return { dateFrom: format.dateFrom, dateTo: format.dateTo };
     }
-    
-    output += `>\n`;
-    return output;
+    if (['numeric', 'decimal', 'currency'].includes(fieldType)) {
+      const currency = fieldType === 'currency' && format.currency;
+      return {
+        numberPicture: format.numberPicture,
+        decimals: format.decimals,
+        currency: currency && currency.sourcePath ? { ...currency, sourcePath: normalizeXPath(currency.sourcePath, contextPath) } : currency || undefined
+      };
+    }
+    return undefined;
   }
-
+  
   /**
-   * Build hierarchy for inline XML generation (no templates)
+   * Get the namespaces bound on a stylesheet, with xs bound to the XML Schema namespace when a
+   * mapping's date format uses xs:date() or xs:dateTime() (unless the prefix is already taken)
    */
-  function buildHierarchyForInlineGeneration(mappings) {
-    const hierarchy = {};
-    
-    mappings.forEach(mapping => {
-      if (!mapping.sourcePath || !mapping.targetName) return;
-      
-      const targetPath = mapping.targetPath || mapping.targetName;
-      const parts = targetPath.split('/');
-      
-      let current = hierarchy;
-      parts.forEach((part, index) => {
-        if (index === parts.length - 1) {
-          // Leaf node - store the mapping with parsed source
-          if (!current._fields) current._fields = [];
-          current._fields.push({
-            ...mapping,
-            leafName: part,
-            parsed: parseSourcePath(mapping.sourcePath)
-          });
-        } else {
-          // Parent node
-          if (!current[part]) {
-            current[part] = {
-              _metadata: {
-                isComponent: true,
-                level: index,
-                name: part
-              }
-            };
-          }
-          current = current[part];
-        }
-      });
-    });
-    
-    return hierarchy;
+  function withSchemaNamespace(namespaces, fields, xsltVersion) {
+    const needed = !namespaces.xs &&
+      (fields || []).some(field => usesSchemaTypes(getFieldTypeFormat(field.format, field.fieldType), xsltVersion));
+    return needed ? { ...namespaces, xs: XML_SCHEMA_NAMESPACE } : namespaces;
   }
   
   /**
-   * Generate inline XML structure (no separate templates)
+   * Apply a mapping's value transformations, then its output format, to the XPath that selects its value
+   * Looked up values are translated as they are, without the format
    */
-  function generateInlineXMLStructure(hierarchy, mappings, indent) {
-    let output = '';
-    
-    Object.entries(hierarchy).forEach(([key, value]) => {
-      if (key === '_fields') {
-        // Generate field elements inline
-        value.forEach(mapping => {
-          output += generateXMLFieldInline(mapping, indent);
-        });
-      } else if (key !== '_metadata') {
-        // Generate component elements inline
-        const escapedKey = escapeXMLName(key);
-        const componentMapping = mappings.find(m => 
-          (m.targetPath || m.targetName).split('/').includes(key)
-        );
-        
-        // Check if this component has for-each path
-        const hasForEach = componentMapping && componentMapping.forEachPath;
-        
-        // Check if this component has multiple occurrences
-        const hasMultipleOccurs = componentMapping && componentMapping.occurs > 1;
-        
-        if (hasForEach || hasMultipleOccurs) {
-          // Generate for-each for multiple occurrences - use full xpath with // prefix
-          const parsed = componentMapping.parsed || parseSourcePath(componentMapping.sourcePath);
-          const forEachPath = componentMapping.forEachPath || parsed.xpath || componentMapping.sourcePath;
-          
-          output += `${indent}<xsl:for-each select="${forEachPath}">\n`;
-          
-          // Generate element with attributes
-          const elementConfig = {
-            name: escapedKey,
-            attributes: componentMapping.attributes || []
-          };
-          output += generateElementWithAttributes(elementConfig, indent + '  ');
-          
-          output += generateInlineXMLStructure(value, mappings, indent + '    ');
-          output += `${indent}  </${escapedKey}>\n`;
-          output += `${indent}</xsl:for-each>\n`;
-        } else {
-          // Single occurrence component with attributes
-          const elementConfig = {
-            name: escapedKey,
-            attributes: componentMapping ? (componentMapping.attributes || []) : []
-          };
-          output += generateElementWithAttributes(elementConfig, indent);
-          output += generateInlineXMLStructure(value, mappings, indent + '  ');
-          output += `${indent}</${escapedKey}>\n`;
-        }
-      }
-    });
-    
-    return output;
+  function transformValuePath(mapping, selectPath, xsltVersion) {
+    try {
+      const transformed = applyValueTransforms(selectPath, mapping.transforms, xsltVersion);
+      return mapping.lookup ? transformed : applyValueFormat(transformed, mapping.format, xsltVersion);
+    } catch (err) {
+      throw new Error(`Mapping "${mapping.targetName}": ${err.message}`);
+    }
   }
   
   /**
-   * Generate XML field inline (within the single template)
+   * Compile the ordered parts of a concatenation mapping into one XPath expression
+   * Parts are { type: 'xpath' | 'text', value }; resolvePath rewrites a source path for the
+   * context it is read in. XSLT 1.0 uses concat() with the separator between the parts; 2.0+
+   * reads the first node of each path and uses string-join() when there is a separator, which
+   * also leaves out paths that select nothing together with their separator.
    */
-  function generateXMLFieldInline(mapping, indent) {
-    const { parsed } = mapping;
-    const leafName = escapeXMLName(mapping.leafName);
-    let output = '';
+  function compileConcatenation(mapping, resolvePath, xsltVersion) {
+    const xpath2 = parseFloat(xsltVersion || '1.0') >= 2;
+    const parts = (mapping.parts || []).map(part => {
+      if (part.type !== 'xpath') return toXPathStringLiteral(part.value || '');
+      return xpath2 ? `(${resolvePath(part.value)})[1]` : resolvePath(part.value);
+    });
+    const separator = mapping.separator ? toXPathStringLiteral(mapping.separator) : null;
     
-    // Check if this is a for-each field or has multiple occurrences
-    const hasForEach = mapping.forEachPath;
-    const hasMultipleOccurs = mapping.occurs > 1;
+    if (xpath2 && separator) {
+      return `string-join((${parts.join(', ')}), ${separator})`;
+    }
     
-    if (hasForEach || hasMultipleOccurs) {
-      // Use full xpath with // prefix
-      const forEachPath = mapping.forEachPath || parsed.xpath || mapping.sourcePath;
-      
-      output += `${indent}<xsl:for-each select="${forEachPath}">\n`;
-      
-      // Generate element with attributes
-      const elementConfig = {
-        name: leafName,
-        attributes: mapping.attributes || []
-      };
-      output += generateElementWithAttributes(elementConfig, indent + '  ');
-      
-      // Handle value
-      if (mapping.valueType === 'hardcoded') {
-        output += `${indent}    ${mapping.hardcodedValue || ''}\n`;
-      } else if (mapping.valueType === 'empty') {
-        // Empty element - no content
-      } else {
-        output += generateXMLValueSelectInline(mapping, parsed, indent + '    ');
-      }
-      
-      output += `${indent}  </${leafName}>\n`;
-      output += `${indent}</xsl:for-each>\n`;
-    } else {
-      // Single occurrence with attributes
-      const elementConfig = {
-        name: leafName,
-        attributes: mapping.attributes || []
+    const args = separator ? parts.flatMap((part, index) => (index === 0 ? [part] : [separator, part])) : parts;
+    // concat() needs at least two arguments
+    return args.length > 1 ? `concat(${args.join(', ')})` : `string(${args[0]})`;
+  }
+  
+  /**
+   * Get the XPath that selects a mapping's value in a generation context
+   * Aggregates are computed over the nodes of their source path; XSLT 1.0 minimums and maximums
+   * have no expression and give null (see generateAggregateInstructions)
+   */
+  function getValueExpression(mapping, context) {
+    if (mapping.valueType === 'concat') {
+      return compileConcatenation(mapping, path => selectSourcePath(path, context.contextPath), context.xsltVersion);
+    }
+    if (mapping.aggregate) {
+      return compileAggregate(mapping, selectNodes(mapping.sourcePath, context), context.xsltVersion);
+    }
+    return selectSourcePath(mapping.sourcePath, context.contextPath);
+  }
+  
+  /**
+   * Compile the aggregate of a mapping (sum, count, min, max or avg) over the nodes selected by nodesPath
+   * XSLT 1.0 has no avg(), min() or max(): the average divides the sum by the count and minimums
+   * and maximums give null, they are found by sorting instead
+   */
+  function compileAggregate(mapping, nodesPath, xsltVersion) {
+    const xpath2 = parseFloat(xsltVersion || '1.0') >= 2;
+    
+    switch (mapping.aggregate) {
+      case 'sum':
+      case 'count':
+        return `${mapping.aggregate}(${nodesPath})`;
+      case 'avg':
+        return xpath2 ? `avg(${nodesPath})` : `sum(${nodesPath}) div count(${nodesPath})`;
+      case 'min':
+      case 'max':
+        return xpath2 ? `${mapping.aggregate}(${nodesPath})` : null;
+      default:
+        throw new Error(`Mapping "${mapping.targetName}": unknown aggregate "${mapping.aggregate}"`);
+    }
+  }
+  
+  /**
+   * Generate the instructions writing the aggregate of a mapping over the nodes selected by nodesPath
+   * writeValue(valuePath) returns the lines writing the aggregated value. Sums and counts are
+   * always written; averages, minimums and maximums of no nodes are left empty. XSLT 1.0 takes
+   * minimums and maximums from the first node sorted by number. Returns lines indented relative
+   * to each other like generateLookupInstructions.
+   */
+  function generateAggregateInstructions(mapping, nodesPath, xsltVersion, writeValue) {
+    const aggregatePath = compileAggregate(mapping, nodesPath, xsltVersion);
+    const nest = (lines) => lines.map(line => `  ${line}`);
+    
+    if (aggregatePath === null) {
+      return [
+        `<xsl:for-each select="${nodesPath}">`,
+        `  <xsl:sort select="." data-type="number" order="${mapping.aggregate === 'min' ? 'ascending' : 'descending'}"/>`,
+        '  <xsl:if test="position() = 1">',
+        ...nest(nest(writeValue('.'))),
+        '  </xsl:if>',
+        '</xsl:for-each>'
+      ];
+    }
+    // sum() div count() of no nodes is NaN
+    if (mapping.aggregate === 'avg' && parseFloat(xsltVersion || '1.0') < 2) {
+      return [`<xsl:if test="${nodesPath}">`, ...nest(writeValue(aggregatePath)), '</xsl:if>'];
+    }
+    return writeValue(aggregatePath);
+  }
+  
+  /**
+   * Get the XPath selecting the nodes of an absolute path in a generation context
+   * Inside a grouping the grouped nodes, and paths below them, are read from the members of the
+   * current group; other paths are relative to the context node
+   */
+  function selectNodes(path, context) {
+    return (context.group && selectGroupMembers(path, context.group)) || selectSourcePath(path, context.contextPath);
+  }
+  
+  /**
+   * Get the XPath reading an absolute source path in the context selected by contextPath (see
+   * relativizeXPath), escaped for a select or test attribute like conditions and filters
+   */
+  function selectSourcePath(path, contextPath) {
+    return escapeXMLAttribute(relativizeXPath(path, contextPath));
+  }
+  
+  /**
+   * Get the XPath selecting the nodes of an absolute path among the members of a group
+   * ({ path, members }), or null when the path is not at or below the grouped nodes
+   */
+  function selectGroupMembers(path, group) {
+    const relative = relativizeXPath(path, group.path);
+    if (relative === '.') return group.members;
+    if (!relative.startsWith('/') && !relative.startsWith('..')) return `${group.members}/${escapeXMLAttribute(relative)}`;
+    return null;
+  }
+  
+  /**
+   * Get the group-by key of a mapping, relative to the nodes it groups and escaped for an attribute
+   */
+  function getGroupKey(groupBy, path) {
+    return escapeXMLAttribute(relativizeXPathExpression(groupBy.trim(), path));
+  }
+  
+  /**
+   * Keep the nodes selected by select that pass a filter, relative to the nodes of the absolute path
+   * Like conditions, absolute paths below the nodes are rewritten relative to them; unions are
+   * parenthesized so the predicate applies to all their nodes
+   */
+  function filterNodes(select, filter, path) {
+    if (!filter || !filter.trim()) return select;
+    
+    let ast = null;
+    try {
+      ast = parseXPath(select);
+    } catch {
+      // Selects with escaped literals are parenthesized
+    }
+    const nodes = ast && ['Path', 'Filter', 'VariableRef', 'FunctionCall'].includes(ast.type) ? select : `(${select})`;
+    return `${nodes}[${escapeXMLAttribute(relativizeXPathExpression(filter.trim(), path))}]`;
+  }
+  
+  /**
+   * Get the sort keys of a mapping or record path that have a select expression, or undefined
+   */
+  function normalizeSortKeys(sortKeys) {
+    const keys = (sortKeys || [])
+      .filter(sortKey => sortKey.select && sortKey.select.trim())
+      .map(sortKey => ({ ...sortKey, select: sortKey.select.trim() }));
+    return keys.length > 0 ? keys : undefined;
+  }
+  
+  /**
+   * Generate the xsl:sort instructions of sort keys, relative to the nodes of the absolute path
+   * Keys sort as text unless their dataType is number, ascending unless their order is descending
+   */
+  function generateSortInstructions(sortKeys, path, indent) {
+    return (sortKeys || []).map(sortKey => {
+      const select = escapeXMLAttribute(relativizeXPathExpression(sortKey.select, path));
+      const dataType = sortKey.dataType === 'number' ? 'number' : 'text';
+      const order = sortKey.order === 'descending' ? 'descending' : 'ascending';
+      return `${indent}<xsl:sort select="${select}" data-type="${dataType}" order="${order}"/>\n`;
+    }).join('');
+  }
+  
+  /**
+   * Declare the xsl:key of an XSLT 1.0 (Muenchian) grouping of the nodes selected by select
+   * Keys index the whole document, so nodes selected relative to the context node, or filtered,
+   * are bound to a variable and the groups limited to them. Returns { variable, nodes, heads, members }: the
+   * variable declaration (null when not needed), the grouped nodes, the first node of each group and
+   * the members of the group of the context node
+   */
+  function declareGrouping(path, key, select, usage) {
+    let declared = usage.keys.find(candidate => candidate.match === path && candidate.use === key);
+    if (!declared) {
+      declared = { name: `group${usage.keys.length + 1}`, match: path, use: key };
+      usage.keys.push(declared);
+    }
+    
+    const variableName = select === path ? null : `groupNodes${++usage.groupVariables}`;
+    const nodes = variableName ? `$${variableName}` : select;
+    const members = `key('${declared.name}', ${key})${variableName ? `[count(. | ${nodes}) = count(${nodes})]` : ''}`;
+    
+    return {
+      variable: variableName && `<xsl:variable name="${variableName}" select="${select}"/>`,
+      nodes,
+      heads: `${nodes}[generate-id() = generate-id(${members}[1])]`,
+      members
+    };
+  }
+  
+  /**
+   * Generate the xsl:key declarations of the XSLT 1.0 groupings used by the body
+   */
+  function generateKeyDeclarations(usage, indent) {
+    return usage.keys
+      .map(key => `${indent}<xsl:key name="${key.name}" match="${escapeXMLAttribute(key.match)}" use="${key.use}"/>\n`)
+      .join('');
+  }
+  
+  /**
+   * Open the iteration over the nodes of a repeating mapping, selected by the absolute path
+   * Without groupBy this is an xsl:for-each. With it the body runs once per distinct group-by value
+   * with the first node of the group as context node: xsl:for-each-group in XSLT 2.0+, Muenchian
+   * grouping with a generated xsl:key in 1.0. The mapping's filter is applied to the nodes before
+   * grouping and its sort keys order the nodes (or groups). Returns { open, close, context } where
+   * context is the generation context of the body
+   */
+  function openIteration(mapping, path, context, indent) {
+    const select = filterNodes(selectNodes(path, context), mapping.filter, path);
+    const sorts = generateSortInstructions(mapping.sortKeys, path, indent + '  ');
+    // The enclosing group only applies directly in its own body
+    const bodyContext = { ...context, contextPath: path, group: null };
+    
+    if (!mapping.groupBy || !mapping.groupBy.trim()) {
+      return {
+        open: `${indent}<xsl:for-each select="${select}">\n${sorts}`,
+        close: `${indent}</xsl:for-each>\n`,
+        context: bodyContext
       };
-      output += generateElementWithAttributes(elementConfig, indent);
-      
-      // Handle value based on valueType
-      if (mapping.valueType === 'hardcoded') {
-        // Hardcoded value
-        output += `${indent}  ${mapping.hardcodedValue || ''}\n`;
-      } else if (mapping.valueType === 'empty') {
-        // Empty element - no content
-      } else {
-        // Dynamic value from XPath
-        if (parsed.type === 'attribute') {
-          output += `${indent}  <xsl:value-of select="@${parsed.attributeName}"/>\n`;
+    }
+    
+    const key = getGroupKey(mapping.groupBy, path);
+    if (parseFloat(context.xsltVersion || '1.0') >= 2) {
+      return {
+        open: `${indent}<xsl:for-each-group select="${select}" group-by="${key}">\n${sorts}`,
+        close: `${indent}</xsl:for-each-group>\n`,
+        context: { ...bodyContext, group: { path, members: 'current-group()' } }
+      };
+    }
+    
+    const grouping = declareGrouping(path, key, select, context.usage);
+    return {
+      open: (grouping.variable ? `${indent}${grouping.variable}\n` : '') +
+        `${indent}<xsl:for-each select="${grouping.heads}">\n${sorts}`,
+      close: `${indent}</xsl:for-each>\n`,
+      context: { ...bodyContext, group: { path, members: grouping.members } }
+    };
+  }
+  
+  /**
+   * Generate the xsl:choose that translates a value through a lookup table
+   * Entries are compared in order with the value; unmatched values are written as they are or
+   * replaced by the table default. Returns the instructions as lines indented relative to each
+   * other, so attribute values can join them on one line. With asString the results are string
+   * items instead of text (see getValueLines).
+   */
+  function generateLookupInstructions(table, valuePath, asString = false) {
+    const writeText = (text) => (asString ? `<xsl:sequence select="${toXPathStringLiteral(text)}"/>` : escapeXMLText(text));
+    const unmatched = table.unmatched === 'default'
+      ? (table.defaultValue || asString ? [writeText(table.defaultValue || '')] : [])
+      : getValueLines({}, valuePath, asString);
+    const entries = getLookupEntries(table);
+    
+    // xsl:choose needs at least one xsl:when
+    if (entries.length === 0) return unmatched;
+    
+    const lines = ['<xsl:choose>'];
+    entries.forEach(entry => {
+      lines.push(`  <xsl:when test="${valuePath} = ${toXPathStringLiteral(entry.from || '')}">${writeText(entry.to || '')}</xsl:when>`);
+    });
+    if (unmatched.length > 0) {
+      lines.push(`  <xsl:otherwise>${unmatched[0]}</xsl:otherwise>`);
+    }
+    lines.push('</xsl:choose>');
+    return lines;
+  }
+  
+  /**
+   * Get the lines of the instruction that writes a mapping's value, looked up when it references a table
+   * With asString the value is a string item rather than a text node, as JSON strings need: the
+   * json output method serializes text nodes as escaped markup
+   */
+  function getValueLines(mapping, valuePath, asString = false) {
+    if (mapping.lookup) return generateLookupInstructions(mapping.lookup, valuePath, asString);
+    // Like xsl:value-of, the items of the value are joined with spaces
+    return [asString ? `<xsl:sequence select="string-join(${valuePath}, ' ')"/>` : `<xsl:value-of select="${valuePath}"/>`];
+  }
+  
+  /**
+   * Generate the instruction that writes a mapping's value, looked up when it references a table
+   */
+  function generateValueInstruction(mapping, valuePath, indent, asString = false) {
+    return getValueLines(mapping, valuePath, asString).map(line => `${indent}${line}\n`).join('');
+  }
+  
+  /**
+   * Get the test of a mapping's condition for the node selected by contextPath, or null without one
+   * Absolute paths in the condition are rewritten relative to the context like source paths;
+   * the test is escaped for a test attribute
+   */
+  function getConditionTest(mapping, contextPath) {
+    if (!mapping.condition || !mapping.condition.trim()) return null;
+    return escapeXMLAttribute(relativizeXPathExpression(mapping.condition.trim(), contextPath));
+  }
+  
+  /**
+   * Get the mapping that writes the otherwise value of a conditional mapping, or null without one
+   * The otherwise branch reads its own value source; transformations, lookups and aggregates only apply to the mapping's value
+   */
+  function getOtherwiseMapping(mapping) {
+    const otherwise = getOtherwiseValue(mapping);
+    if (!otherwise) return null;
+    
+    return {
+      ...mapping,
+      valueType: otherwise.valueType === 'xpath' ? undefined : otherwise.valueType,
+      hardcodedValue: otherwise.hardcodedValue,
+      sourcePath: otherwise.sourcePath || '.',
+      transforms: undefined,
+      lookup: undefined,
+      aggregate: undefined,
+      format: undefined
+    };
+  }
+  
+  /**
+   * Combine XPath tests into one; each is parenthesized when there are several
+   */
+  function joinTests(tests) {
+    return tests.length > 1 ? tests.map(test => `(${test})`).join(' and ') : tests[0];
+  }
+  
+  /**
+   * Check whether a mapping is a component (a container of other mappings) rather than a leaf
+   */
+  function isComponentMapping(mapping, mappings) {
+    if (mapping.fieldType === 'component') return true;
+    
+    const targetPath = mapping.targetPath || mapping.targetName;
+    return mappings.some(other => other !== mapping &&
+      (other.targetPath || other.targetName || '').startsWith(`${targetPath}/`));
+  }
+  
+  /**
+   * Resolve how a target element is written
+   * Namespaces configured on the element ({ default, prefix: uri }) are declared on it and stay in
+   * scope for its descendants. A prefix the source document binds to a different namespace cannot be
+   * declared without hiding the source binding from XPath expressions, so such elements are written
+   * with xsl:element; elements in the XSLT namespace go through the namespace alias.
+   * Returns the element with { tagName, namespaceURI, useInstruction, declarations, context }
+   */
+  function resolveTargetElement(element, context) {
+    const declared = element.namespaces || {};
+    const sourceNamespaces = context.sourceNamespaces || {};
+    const targetNamespaces = { ...context.targetNamespaces, ...declared };
+    const name = escapeXMLQName(element.name);
+    const { prefix, localName } = splitQName(name);
+    const namespaceURI = prefix ? targetNamespaces[prefix] : targetNamespaces.default;
+    
+    if (prefix && namespaceURI === undefined && !sourceNamespaces[prefix] && prefix !== 'xml') {
+      throw new Error(`Target element <${name}> uses undeclared namespace prefix "${prefix}"`);
+    }
+    
+    const declarations = Object.entries(declared)
+      .filter(([key, uri]) => uri !== XSL_NAMESPACE &&
+        (key === 'default' || !sourceNamespaces[key] || sourceNamespaces[key] === uri))
+      .map(([key, uri]) => (key === 'default' ? `xmlns="${uri}"` : `xmlns:${key}="${uri}"`));
+    
+    let tagName = name;
+    let useInstruction = false;
+    if (namespaceURI === XSL_NAMESPACE) {
+      tagName = `${XSL_ALIAS_PREFIX}:${localName}`;
+      context.usage.xslAlias = true;
+    } else if (prefix && namespaceURI !== undefined && sourceNamespaces[prefix] &&
+      sourceNamespaces[prefix] !== namespaceURI) {
+      useInstruction = true;
+    }
+    
+    return {
+      ...element,
+      name,
+      tagName,
+      namespaceURI,
+      useInstruction,
+      declarations,
+      context: { ...context, targetNamespaces }
+    };
+  }
+  
+  /**
+   * Generate element opening tag with attributes
+   * Expects an element resolved by resolveTargetElement
+   */
+  function generateElementWithAttributes(element, indent, context = createGenerationContext()) {
+    const declarations = element.declarations.map(declaration => ` ${declaration}`).join('');
+    
+    if (element.useInstruction) {
+      let output = `${indent}<xsl:element name="${element.tagName}" namespace="${element.namespaceURI}"${declarations}>\n`;
+      (element.attributes || []).forEach(attr => {
+        let value = null;
+        if (!attr.name) {
+          // Attribute rows without a name are still being edited
+        } else if (attr.isVariable) {
+          value = `<xsl:value-of select="$${attr.value}"/>`;
+        } else if (attr.isHardcoded) {
+          value = escapeXMLText(attr.value || '');
+        } else if (attr.xpath) {
+          value = `<xsl:value-of select="${selectSourcePath(attr.xpath, context.contextPath)}"/>`;
+        }
+        if (value !== null) {
+          output += `${indent}  <xsl:attribute name="${attr.name}">${value}</xsl:attribute>\n`;
+        }
+      });
+      return output;
+    }
+    
+    let output = `${indent}<${element.tagName}${declarations}`;
+    
+    // Add attributes if defined
+    if (element.attributes && Array.isArray(element.attributes)) {
+      element.attributes.forEach(attr => {
+        if (!attr.name) {
+          // Attribute rows without a name are still being edited
+        } else if (attr.isVariable) {
+          // Use variable reference with curly braces
+          output += ` ${attr.name}="{$${attr.value}}"`;
+        } else if (attr.isHardcoded) {
+          // Hardcoded attribute value; braces would start an attribute value template
+          output += ` ${attr.name}="${escapeXMLAttribute(attr.value || '').replace(/[{}]/g, '$&$&')}"`;
+        } else if (attr.xpath) {
+          // Dynamic attribute from XPath
+          output += ` ${attr.name}="{${selectSourcePath(attr.xpath, context.contextPath)}}"`;
+        }
+      });
+    }
+    
+    output += `>\n`;
+    return output;
+  }
+  
+  /**
+   * Generate the closing tag for an element resolved by resolveTargetElement
+   */
+  function generateElementClose(element, indent) {
+    return element.useInstruction ? `${indent}</xsl:element>\n` : `${indent}</${element.tagName}>\n`;
+  }
+
+  /**
+   * Build hierarchy for inline XML generation (no templates)
+   */
+  function buildHierarchyForInlineGeneration(mappings) {
+    const hierarchy = {};
+    
+    mappings.forEach(mapping => {
+      if (getMissingMappingPart(mapping)) return;
+      
+      const targetPath = mapping.targetPath || mapping.targetName;
+      const parts = targetPath.split('/');
+      const isComponent = isComponentMapping(mapping, mappings);
+      
+      let current = hierarchy;
+      parts.forEach((part, index) => {
+        if (index === parts.length - 1 && !isComponent) {
+          // Leaf node - store the mapping with parsed source
+          if (!current._fields) current._fields = [];
+          current._fields.push({
+            ...mapping,
+            leafName: part,
+            parsed: parseSourcePath(mapping.sourcePath)
+          });
+        } else {
+          // Parent node
+          if (!current[part]) {
+            current[part] = {
+              _metadata: {
+                isComponent: true,
+                level: index,
+                name: part
+              }
+            };
+          }
+          // Component mappings describe their node instead of adding a duplicate leaf
+          if (index === parts.length - 1) {
+            current[part]._metadata.mapping = mapping;
+          }
+          current = current[part];
+        }
+      });
+    });
+    
+    return hierarchy;
+  }
+  
+  /**
+   * Check whether a target path step addresses an attribute (e.g. "@id")
+   */
+  function isAttributeTarget(name) {
+    return name.startsWith('@');
+  }
+  
+  /**
+   * Check whether a hierarchy node only holds attribute fields (so its own mapping supplies the text)
+   */
+  function hasOnlyAttributeFields(node) {
+    const childKeys = Object.keys(node).filter(key => key !== '_metadata' && key !== '_fields');
+    return childKeys.length === 0 && (node._fields || []).every(field => isAttributeTarget(field.leafName));
+  }
+  
+  /**
+   * Generate inline XML structure (no separate templates)
+   */
+  function generateInlineXMLStructure(hierarchy, context, indent) {
+    let output = '';
+    
+    // Attributes have to be added before any child content of the enclosing element
+    (hierarchy._fields || []).filter(mapping => isAttributeTarget(mapping.leafName)).forEach(mapping => {
+      output += generateXMLAttributeInline(mapping, context, indent);
+    });
+    
+    Object.entries(hierarchy).forEach(([key, value]) => {
+      if (key === '_fields') {
+        // Generate field elements inline
+        value.filter(mapping => !isAttributeTarget(mapping.leafName)).forEach(mapping => {
+          output += generateXMLFieldInline(mapping, context, indent);
+        });
+      } else if (key !== '_metadata') {
+        // Generate component elements inline
+        const componentMapping = value._metadata && value._metadata.mapping;
+        
+        // Check if this component has for-each path
+        const hasForEach = componentMapping && componentMapping.forEachPath;
+        
+        // Check if this component has multiple occurrences
+        const hasMultipleOccurs = componentMapping && componentMapping.occurs > 1;
+        
+        // An element mapped together with its attributes keeps its own value
+        const hasOwnValue = componentMapping && componentMapping.fieldType !== 'component' &&
+          hasOnlyAttributeFields(value);
+        
+        // A condition leaves the element out, unless an otherwise branch chooses its value instead
+        const getElementTest = (contextPath) => componentMapping && !(hasOwnValue && getOtherwiseMapping(componentMapping))
+          ? getConditionTest(componentMapping, contextPath)
+          : null;
+        
+        if (hasForEach || hasMultipleOccurs) {
+          // Generate for-each (or one iteration per group) for multiple occurrences; descendants are selected relative to it
+          const forEachPath = componentMapping.forEachPath || componentMapping.sourcePath;
+          const iteration = openIteration(componentMapping, forEachPath, context, indent);
+          const innerContext = iteration.context;
+          const test = getElementTest(forEachPath);
+          const elementIndent = test ? indent + '    ' : indent + '  ';
+          
+          output += iteration.open;
+          if (test) {
+            output += `${indent}  <xsl:if test="${test}">\n`;
+          }
+          
+          // Generate element with attributes
+          const element = resolveTargetElement({
+            name: key,
+            attributes: getElementAttributes(componentMapping),
+            namespaces: componentMapping.namespaces
+          }, innerContext);
+          output += generateElementWithAttributes(element, elementIndent, innerContext);
+          
+          output += generateInlineXMLStructure(value, element.context, elementIndent + '  ');
+          if (hasOwnValue) {
+            output += generateXMLConditionalValue(componentMapping, element.context, elementIndent + '  ');
+          }
+          output += generateElementClose(element, elementIndent);
+          if (test) {
+            output += `${indent}  </xsl:if>\n`;
+          }
+          output += iteration.close;
         } else {
-          output += generateXMLValueSelectInline(mapping, parsed, indent + '  ');
+          // Single occurrence component with attributes
+          const test = getElementTest(context.contextPath);
+          const elementIndent = test ? indent + '  ' : indent;
+          
+          if (test) {
+            output += `${indent}<xsl:if test="${test}">\n`;
+          }
+          const element = resolveTargetElement({
+            name: key,
+            attributes: componentMapping ? getElementAttributes(componentMapping) : [],
+            namespaces: componentMapping && componentMapping.namespaces
+          }, context);
+          output += generateElementWithAttributes(element, elementIndent, context);
+          output += generateInlineXMLStructure(value, element.context, elementIndent + '  ');
+          if (hasOwnValue) {
+            output += generateXMLConditionalValue(componentMapping, element.context, elementIndent + '  ');
+          }
+          output += generateElementClose(element, elementIndent);
+          if (test) {
+            output += `${indent}</xsl:if>\n`;
+          }
         }
       }
+    });
+    
+    return output;
+  }
+  
+  /**
+   * Generate XML field inline (within the single template)
+   * A condition without an otherwise branch leaves the element out (per node when it repeats)
+   */
+  function generateXMLFieldInline(mapping, context, indent) {
+    let output = '';
+    
+    // Check if this is a for-each field or has multiple occurrences
+    const hasForEach = mapping.forEachPath;
+    const hasMultipleOccurs = mapping.occurs > 1;
+    const omitWhenFalse = !getOtherwiseMapping(mapping);
+    
+    if (hasForEach || hasMultipleOccurs) {
+      // Iterate the repeating nodes (or their groups); the value is then read relative to each one
+      const forEachPath = mapping.forEachPath || mapping.sourcePath;
+      const iteration = openIteration(mapping, forEachPath, context, indent);
+      const innerContext = iteration.context;
+      const test = omitWhenFalse && getConditionTest(mapping, forEachPath);
+      const elementIndent = test ? indent + '    ' : indent + '  ';
+      
+      output += iteration.open;
+      if (test) {
+        output += `${indent}  <xsl:if test="${test}">\n`;
+      }
       
-      output += `${indent}</${leafName}>\n`;
+      // Generate element with attributes
+      const element = resolveTargetElement({
+        name: mapping.leafName,
+        attributes: getElementAttributes(mapping)
+      }, innerContext);
+      output += generateElementWithAttributes(element, elementIndent, innerContext);
+      output += generateXMLConditionalValue(mapping, innerContext, elementIndent + '  ');
+      output += generateElementClose(element, elementIndent);
+      if (test) {
+        output += `${indent}  </xsl:if>\n`;
+      }
+      output += iteration.close;
+    } else {
+      // Single occurrence with attributes
+      const test = omitWhenFalse && getConditionTest(mapping, context.contextPath);
+      const elementIndent = test ? indent + '  ' : indent;
+      
+      if (test) {
+        output += `${indent}<xsl:if test="${test}">\n`;
+      }
+      const element = resolveTargetElement({
+        name: mapping.leafName,
+        attributes: getElementAttributes(mapping)
+      }, context);
+      output += generateElementWithAttributes(element, elementIndent, context);
+      output += generateXMLConditionalValue(mapping, context, elementIndent + '  ');
+      output += generateElementClose(element, elementIndent);
+      if (test) {
+        output += `${indent}</xsl:if>\n`;
+      }
     }
     
     return output;
   }
   
   /**
-   * Generate XML value selection inline with formatting
+   * Get the XPath of the currency code of a currency mapping read in the context selected by
+   * contextPath, or null without one; the code is a constant or read from a source path
    */
-  function generateXMLValueSelectInline(mapping, parsed, indent) {
-    // Use the full xpath (with // prefix) instead of just elementName
-    const selectPath = parsed.xpath || mapping.sourcePath;
+  function getCurrencyExpression(mapping, contextPath) {
+    const currency = mapping.fieldType === 'currency' && mapping.format && mapping.format.currency;
+    if (!currency) return null;
+    if (currency.valueType === 'xpath') {
+      return currency.sourcePath ? selectSourcePath(currency.sourcePath, contextPath) : null;
+    }
+    return currency.hardcodedValue ? toXPathStringLiteral(currency.hardcodedValue) : null;
+  }
+  
+  /**
+   * Get the attributes of the target element of a mapping: its own, then the currencyID of a currency
+   */
+  function getElementAttributes(mapping) {
+    const attributes = mapping.attributes || [];
+    const currency = mapping.fieldType === 'currency' && mapping.format && mapping.format.currency;
+    if (!currency) return attributes;
     
+    if (currency.valueType === 'xpath') {
+      return currency.sourcePath ? [...attributes, { name: 'currencyID', xpath: currency.sourcePath }] : attributes;
+    }
+    return currency.hardcodedValue
+      ? [...attributes, { name: 'currencyID', isHardcoded: true, value: currency.hardcodedValue }]
+      : attributes;
+  }
+  
+  /**
+   * Generate a target attribute (target path ending in "@name") as xsl:attribute
+   * Optional attributes are only written when their source exists, conditional ones when their
+   * condition holds; with an otherwise branch the attribute is always written and its value chosen
+   */
+  function generateXMLAttributeInline(mapping, context, indent) {
+    const attributeName = escapeXMLQName(mapping.leafName.substring(1));
+    const { prefix } = splitQName(attributeName);
+    // Prefixed target attributes name their namespace explicitly, wherever it was declared
+    const namespaceURI = prefix && (context.targetNamespaces || {})[prefix];
+    const attributeTag = `xsl:attribute name="${attributeName}"${namespaceURI ? ` namespace="${namespaceURI}"` : ''}`;
+    const isDynamic = ['xpath', 'forEach'].includes(getMappingValueSource(mapping));
+    const otherwise = getOtherwiseMapping(mapping);
+    const tests = [];
+    let output = '';
+    let innerIndent = indent;
+    
+    if (!otherwise) {
+      const test = getConditionTest(mapping, context.contextPath);
+      if (test) tests.push(test);
+      if (isDynamic && mapping.required === false) tests.push(selectSourcePath(mapping.sourcePath, context.contextPath));
+    }
+    
+    if (tests.length > 0) {
+      output += `${indent}<xsl:if test="${joinTests(tests)}">\n`;
+      innerIndent = indent + '  ';
+    }
+    
+    // Content stays on one line: indentation inside xsl:attribute would become part of the value
+    const content = otherwise
+      ? `<xsl:choose><xsl:when test="${getConditionTest(mapping, context.contextPath)}">${generateXMLAttributeValue(mapping, context)}</xsl:when>` +
+        `<xsl:otherwise>${generateXMLAttributeValue(otherwise, context)}</xsl:otherwise></xsl:choose>`
+      : generateXMLAttributeValue(mapping, context);
+    output += content
+      ? `${innerIndent}<${attributeTag}>${content}</xsl:attribute>\n`
+      : `${innerIndent}<${attributeTag}/>\n`;
+    
+    if (innerIndent !== indent) {
+      output += `${indent}</xsl:if>\n`;
+    }
+    
+    return output;
+  }
+  
+  /**
+   * Generate the one-line content of an xsl:attribute based on the mapping's valueType
+   */
+  function generateXMLAttributeValue(mapping, context) {
+    if (mapping.valueType === 'hardcoded') return escapeXMLText(mapping.hardcodedValue || '');
+    if (mapping.valueType === 'empty') return '';
+    
+    return generateXMLValueLines(mapping, context).map(line => line.trim()).join('');
+  }
+  
+  /**
+   * Generate the content of an element, choosing between the mapping's value and its otherwise value
+   */
+  function generateXMLConditionalValue(mapping, context, indent) {
+    const otherwise = getOtherwiseMapping(mapping);
+    if (!otherwise) return generateXMLValueInline(mapping, context, indent);
+    
+    let output = `${indent}<xsl:choose>\n`;
+    output += `${indent}  <xsl:when test="${getConditionTest(mapping, context.contextPath)}">\n`;
+    output += generateXMLValueInline(mapping, context, indent + '    ');
+    output += `${indent}  </xsl:when>\n`;
+    output += `${indent}  <xsl:otherwise>\n`;
+    output += generateXMLValueInline(otherwise, context, indent + '    ');
+    output += `${indent}  </xsl:otherwise>\n`;
+    output += `${indent}</xsl:choose>\n`;
+    return output;
+  }
+  
+  /**
+   * Generate the content of an element or attribute based on the mapping's valueType
+   */
+  function generateXMLValueInline(mapping, context, indent) {
+    if (mapping.valueType === 'hardcoded') {
+      // Hardcoded value; xsl:text keeps the stylesheet indentation out of the value
+      return `${indent}<xsl:sequence select="${toXPathStringLiteral(mapping.hardcodedValue || '')}"/>\n`;
+    }
+    if (mapping.valueType === 'empty') {
+      // Empty element - no content
+      return '';
+    }
+    // Dynamic value from XPath (elements and attributes alike)
+    return generateXMLValueSelectInline(mapping, context, indent);
+  }
+  
+  /**
+   * Generate XML value selection inline with formatting
+   */
+  function generateXMLValueSelectInline(mapping, context, indent) {
     // Simple approach: just use xsl:value-of without error handling
     // This matches the clean XSLT style from the Ferrari example
-    return `${indent}<xsl:value-of select="${selectPath}"/>\n`;
+    return generateXMLValueLines(mapping, context).map(line => `${indent}${line}\n`).join('');
+  }
+  
+  /**
+   * Get the lines of the instructions that write a mapping's value read from the source
+   */
+  function generateXMLValueLines(mapping, context) {
+    const writeValue = (valuePath) => getValueLines(mapping, transformValuePath(mapping, valuePath, context.xsltVersion));
+    
+    if (mapping.aggregate) {
+      return generateAggregateInstructions(mapping, selectNodes(mapping.sourcePath, context), context.xsltVersion, writeValue);
+    }
+    // Absolute source paths are rewritten relative to the enclosing for-each
+    return writeValue(getValueExpression(mapping, context));
   }
   
   /**
@@ -865,6 +1962,8 @@ export function generateXMLTransform(mappings, namespaces = {}) {
   export function generateJSONTransform(mappings, namespaces = {}) {
     try {
       console.log('generateJSONTransform called with:', { mappings, namespaces });
+      mappings = resolveLookupTables(qualifyMappingXPaths(mappings, namespaces));
+      namespaces = withSchemaNamespace(namespaces, mappings.fields, '3.0');
       
       // Build namespace declarations (exclude default namespace from xmlns declarations)
       const nsDeclarations = Object.entries(namespaces)
@@ -879,9 +1978,6 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       
       const excludeResultPrefixes = nsPrefixes ? `exclude-result-prefixes="${nsPrefixes}"` : '';
       
-      // Use xpath-default-namespace when a default namespace is present
-      const xpathDefaultNS = namespaces.default ? `xpath-default-namespace="${namespaces.default}"` : '';
-      
       // Build the stylesheet opening with proper formatting
       let xslt = `<?xml version="1.0" encoding="UTF-8"?>
 <xsl:stylesheet version="3.0"
@@ -895,14 +1991,10 @@ export function generateXMLTransform(mappings, namespaces = {}) {
         xslt += `\n    ${excludeResultPrefixes}`;
       }
       
-      if (xpathDefaultNS) {
-        xslt += `\n    ${xpathDefaultNS}`;
-      }
-      
       xslt += `>
  
     <xsl:output method="json" indent="yes"/>
- 
+${generateVariableDeclarations(mappings.variables, '    ')} 
     <xsl:template match="/">
 <xsl:map>
 `;
@@ -926,8 +2018,10 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       // STEP 4: Generate JSON map entries with formatting
       // Use for-each wrapper if there's a root path specified
       const rootPath = mappings.rootPath || '/*[1]';
-      xslt += `<xsl:for-each select="${rootPath}">\n`;
-      xslt += generateJSONMapEntriesEnhanced(jsonHierarchy, normalizedMappings, rootPath, '');
+      xslt += `<xsl:for-each select="${escapeXMLAttribute(rootPath)}">\n`;
+      // Without a root path the source paths stay absolute, which is equivalent below the document element
+      const rootContext = createGenerationContext(mappings.rootPath ? normalizeXPath(mappings.rootPath) : null, {}, {}, '3.0');
+      xslt += generateJSONMapEntriesEnhanced(jsonHierarchy, rootContext, '');
       xslt += `</xsl:for-each>\n`;
       
       xslt += `</xsl:map>
@@ -984,14 +2078,15 @@ export function generateXMLTransform(mappings, namespaces = {}) {
     const hierarchy = {};
     
     mappings.forEach(mapping => {
-      if (!mapping.sourcePath || !mapping.targetName) return;
+      if (getMissingMappingPart(mapping)) return;
       
       const targetPath = mapping.targetPath || mapping.targetName;
       const parts = targetPath.split('/');
+      const isComponent = isComponentMapping(mapping, mappings);
       
       let current = hierarchy;
       parts.forEach((part, index) => {
-        if (index === parts.length - 1) {
+        if (index === parts.length - 1 && !isComponent) {
           // Leaf node - store the mapping with full metadata
           if (!current._fields) current._fields = [];
           current._fields.push({
@@ -1010,103 +2105,569 @@ export function generateXMLTransform(mappings, namespaces = {}) {
               }
             };
           }
+          // Component mappings describe their node instead of adding a duplicate leaf
+          if (index === parts.length - 1) {
+            current[part]._metadata.mapping = mapping;
+          }
           current = current[part];
         }
       });
     });
     
-    return hierarchy;
+    return hierarchy;
+  }
+  
+
+  
+  /**
+   * Generate the instructions writing a JSON array of the items written by content
+   * XSLT 3.0 has no array instruction: content(indent) is collected in a variable whose items
+   * become the members of an array constructor
+   */
+  function generateJSONArray(content, usage, indent) {
+    const name = `jsonItems${++usage.jsonVariables}`;
+    let output = `${indent}<xsl:variable name="${name}" as="item()*">\n`;
+    output += content(indent + '  ');
+    output += `${indent}</xsl:variable>\n`;
+    output += `${indent}<xsl:sequence select="array { $${name} }"/>\n`;
+    return output;
+  }
+  
+  /**
+   * Generate enhanced JSON map entries with comprehensive feature support
+   * Enhanced to support:
+   * - Single quotes in key attributes: key="'FieldName'"
+   * - Full XPath expressions with namespace prefixes
+   * - Proper namespace handling
+   * - XPath validation and correction
+   */
+  function generateJSONMapEntriesEnhanced(hierarchy, context, indent) {
+    let output = '';
+    
+    Object.entries(hierarchy).forEach(([key, value]) => {
+      if (key === '_fields') {
+        // Generate entries for leaf fields with formatting and error handling
+        value.forEach(mapping => {
+          const { parsed } = mapping;
+          const leafName = escapeXMLName(mapping.leafName);
+          
+          // Add comment for optional or placeholder fields
+          if (mapping.isPlaceholder) {
+            output += `${indent}<!-- ${leafName} - Placeholder component -->\n`;
+            return;
+          }
+          
+          if (!mapping.required) {
+            output += `${indent}<!-- ${leafName} - Optional field -->\n`;
+          }
+          
+          // Validate and fix XPath - use full xpath with namespace prefixes
+          const xpath = validateAndFixXPath(mapping.sourcePath, parsed);
+          // Concatenations read each of their parts relative to the context instead, aggregates all their nodes
+          const isComputed = mapping.valueType === 'concat' || Boolean(mapping.aggregate);
+          // A condition without an otherwise branch leaves the entry (or array item) out
+          const omitWhenFalse = !getOtherwiseMapping(mapping);
+          
+          // Handle multiple occurrences; an explicit for-each path is iterated instead of the source path
+          if (mapping.forEachPath || mapping.occurs > 1) {
+            const iterationPath = mapping.forEachPath || xpath;
+            output += mapping.forEachPath
+              ? `${indent}<!-- ${leafName} - One value per ${mapping.forEachPath} -->\n`
+              : `${indent}<!-- ${leafName} - Multiple occurrences (Occurs: ${mapping.occurs}) -->\n`;
+            // Use single quotes inside double quotes for key
+            output += `${indent}<xsl:map-entry key="'${leafName}'">\n`;
+            output += generateJSONArray(itemIndent => {
+              const iteration = openIteration(mapping, iterationPath, context, itemIndent);
+              let items = iteration.open;
+              // Each iteration contributes its own node, or the source path read relative to it
+              let valuePath = mapping.forEachPath ? selectSourcePath(xpath, mapping.forEachPath) : '.';
+              if (isComputed) valuePath = getValueExpression(mapping, iteration.context);
+              // Items failing the condition, or without a value to write, are left out of the array
+              const test = joinTests([
+                omitWhenFalse && getConditionTest(mapping, iterationPath),
+                !isComputed && getJSONPresenceTest(mapping, valuePath)
+              ].filter(Boolean));
+              if (test) {
+                items += `${itemIndent}  <xsl:if test="${test}">\n`;
+                items += generateJSONConditionalValue(mapping, parsed, valuePath, iterationPath, itemIndent + '    ');
+                items += `${itemIndent}  </xsl:if>\n`;
+              } else {
+                items += generateJSONConditionalValue(mapping, parsed, valuePath, iterationPath, itemIndent + '  ');
+              }
+              return items + iteration.close;
+            }, context.usage, indent + '  ');
+            output += `${indent}</xsl:map-entry>\n`;
+          } else {
+            const valuePath = isComputed
+              ? getValueExpression(mapping, context)
+              : selectSourcePath(xpath, context.contextPath);
+            const test = joinTests([
+              omitWhenFalse && getConditionTest(mapping, context.contextPath),
+              !isComputed && getJSONPresenceTest(mapping, valuePath)
+            ].filter(Boolean));
+            const entryIndent = test ? indent + '  ' : indent;
+            
+            if (test) {
+              output += `${indent}<xsl:if test="${test}">\n`;
+            }
+            // Single occurrence - use single quotes inside double quotes for key
+            output += `${entryIndent}<xsl:map-entry key="'${leafName}'">\n`;
+            
+            output += generateJSONConditionalValue(mapping, parsed, valuePath, context.contextPath, entryIndent + '  ');
+            
+            output += `${entryIndent}</xsl:map-entry>\n`;
+            if (test) {
+              output += `${indent}</xsl:if>\n`;
+            }
+          }
+        });
+      } else if (key !== '_metadata') {
+        // Nested object
+        const escapedKey = escapeXMLName(key);
+        
+        // Check if this is a component with occurrences
+        const componentMapping = value._metadata && value._metadata.mapping;
+        
+        if (componentMapping && (componentMapping.occurs > 1 || componentMapping.forEachPath)) {
+          const parsed = parseSourcePath(componentMapping.sourcePath);
+          const xpath = componentMapping.forEachPath || validateAndFixXPath(componentMapping.sourcePath, parsed);
+          
+          // Occurrences failing the condition are left out of the array
+          const test = getConditionTest(componentMapping, xpath);
+          
+          output += `${indent}<!-- ${escapedKey} - Multiple occurrences (Occurs: ${componentMapping.occurs}) -->\n`;
+          // Use single quotes inside double quotes for key
+          output += `${indent}<xsl:map-entry key="'${escapedKey}'">\n`;
+          output += generateJSONArray(itemIndent => {
+            const iteration = openIteration(componentMapping, xpath, context, itemIndent);
+            const mapIndent = test ? itemIndent + '    ' : itemIndent + '  ';
+            let items = iteration.open;
+            if (test) {
+              items += `${itemIndent}  <xsl:if test="${test}">\n`;
+            }
+            items += `${mapIndent}<xsl:map>\n`;
+            items += generateJSONMapEntriesEnhanced(value, iteration.context, mapIndent + '  ');
+            items += `${mapIndent}</xsl:map>\n`;
+            if (test) {
+              items += `${itemIndent}  </xsl:if>\n`;
+            }
+            return items + iteration.close;
+          }, context.usage, indent + '  ');
+          output += `${indent}</xsl:map-entry>\n`;
+        } else {
+          const test = componentMapping && getConditionTest(componentMapping, context.contextPath);
+          const entryIndent = test ? indent + '  ' : indent;
+          
+          if (test) {
+            output += `${indent}<xsl:if test="${test}">\n`;
+          }
+          // Use single quotes inside double quotes for key
+          output += `${entryIndent}<xsl:map-entry key="'${escapedKey}'">\n`;
+          output += `${entryIndent}  <xsl:map>\n`;
+          output += generateJSONMapEntriesEnhanced(value, context, entryIndent + '    ');
+          output += `${entryIndent}  </xsl:map>\n`;
+          output += `${entryIndent}</xsl:map-entry>\n`;
+          if (test) {
+            output += `${indent}</xsl:if>\n`;
+          }
+        }
+      }
+    });
+    
+    return output;
+  }
+  
+  /**
+   * Generate JSON value selection with formatting
+   */
+  function generateJSONValueSelect(mapping, parsed, indent) {
+    const selectPath = parsed.elementName || '.';
+    
+    // Handle different field types
+    switch (mapping.fieldType) {
+      case 'date':
+      case 'dateTime':
+        return `${indent}<xsl:choose>
+  ${indent}  <xsl:when test="${selectPath}">
+  ${indent}    <xsl:sequence select="string(${selectPath})"/>
+  ${indent}  </xsl:when>
+  ${indent}  <xsl:otherwise>
+  ${indent}    <!-- Using current date-time as fallback -->
+  ${indent}    <xsl:sequence select="substring(string(current-dateTime()), 1, 19)"/>
+  ${indent}  </xsl:otherwise>
+  ${indent}</xsl:choose>\n`;
+      
+      case 'currency':
+        return `${indent}<xsl:map>
+  ${indent}  <xsl:map-entry key="amount">
+  ${indent}    <xsl:sequence select="format-number(${selectPath}, ${toXPathStringLiteral(getNumberPicture(mapping.format) || '0.00')})"/>
+  ${indent}  </xsl:map-entry>
+  ${indent}  <xsl:map-entry key="currency">
+  ${indent}    <xsl:sequence select="${getCurrencyExpression(mapping, null) || "''"}"/>
+  ${indent}  </xsl:map-entry>
+  ${indent}</xsl:map>\n`;
+      
+      case 'decimal':
+      case 'numeric':
+        return `${indent}<xsl:sequence select="format-number(${selectPath}, ${toXPathStringLiteral(getNumberPicture(mapping.format) || '0.00')})"/>\n`;
+      
+      case 'time':
+        return `${indent}<xsl:sequence select="string(${selectPath})"/>\n`;
+      
+      default:
+        // String or generic type with error handling
+        return `${indent}<xsl:choose>
+  ${indent}  <xsl:when test="${selectPath}">
+  ${indent}    <xsl:sequence select="string(${selectPath})"/>
+  ${indent}  </xsl:when>
+  ${indent}  <xsl:otherwise>
+  ${indent}    <!-- Field ${mapping.targetName} is missing -->
+  ${indent}    <xsl:sequence select="''"/>
+  ${indent}  </xsl:otherwise>
+  ${indent}</xsl:choose>\n`;
+    }
+  }
+  
+  /**
+   * Get the JSON type a mapping's value is written as: 'number' for numeric, decimal and currency
+   * fields, 'boolean' for boolean fields and 'string' otherwise
+   * Numbers formatted with a number picture and looked up values are text, so they stay strings.
+   */
+  function getJSONValueKind(mapping) {
+    if (mapping.lookup) return 'string';
+    if (mapping.fieldType === 'boolean') return 'boolean';
+    const picture = mapping.format && mapping.format.numberPicture;
+    if (['numeric', 'decimal', 'currency'].includes(mapping.fieldType) && !(picture && picture.trim())) return 'number';
+    return 'string';
+  }
+  
+  /**
+   * Get what an optional JSON field is written as when its source path selects nothing, or null
+   * when the field is required or does not read a single source path
+   * 'empty' writes an empty string, 'null' writes null and 'absent' leaves the entry (or array
+   * item) out; by default strings are empty and numbers and booleans null.
+   */
+  function getMissingValuePolicy(mapping) {
+    if (mapping.required !== false || mapping.aggregate || !['xpath', 'forEach'].includes(getMappingValueSource(mapping))) {
+      return null;
+    }
+    return mapping.missingValue || (getJSONValueKind(mapping) === 'string' ? 'empty' : 'null');
+  }
+  
+  /**
+   * Get the test that leaves an optional JSON field out when its value path selects nothing, or
+   * null when its missing values are written. With an otherwise value the entry is always
+   * written, so missing values are null instead.
+   */
+  function getJSONPresenceTest(mapping, valuePath) {
+    if (getMissingValuePolicy(mapping) !== 'absent' || getOtherwiseValue(mapping) || valuePath === '.') return null;
+    return valuePath;
+  }
+  
+  /**
+   * Generate a constant JSON value: numbers and booleans are written as such when the text is one,
+   * other constants as strings
+   */
+  function generateJSONConstant(mapping, indent) {
+    const text = (mapping.hardcodedValue || '').trim();
+    const kind = getJSONValueKind(mapping);
+    
+    if (kind === 'number' && /^-?\d+(\.\d+)?$/.test(text)) {
+      return `${indent}<xsl:sequence select="${text}"/>\n`;
+    }
+    if (kind === 'boolean' && ['true', 'false', '1', '0'].includes(text)) {
+      return `${indent}<xsl:sequence select="${text === 'true' || text === '1' ? 'true()' : 'false()'}"/>\n`;
+    }
+    return `${indent}<xsl:sequence select="${toXPathStringLiteral(mapping.hardcodedValue || '')}"/>\n`;
+  }
+  
+  /**
+   * Generate the instructions writing a mapping's value as its JSON type
+   * Numbers that are not numeric are written as null; booleans are true for "true" and "1"
+   */
+  function generateJSONTypedValue(mapping, xpath, indent) {
+    const kind = getJSONValueKind(mapping);
+    if (kind === 'string') {
+      return generateValueInstruction(mapping, transformValuePath(mapping, xpath, '3.0'), indent, true);
+    }
+    
+    let transformed, valuePath;
+    try {
+      transformed = applyValueTransforms(xpath, mapping.transforms, '3.0');
+      valuePath = kind === 'number' ? compileNumberValue(transformed, mapping.format, '3.0') : compileBooleanValue(transformed, '3.0');
+    } catch (err) {
+      throw new Error(`Mapping "${mapping.targetName}": ${err.message}`);
+    }
+    if (kind === 'boolean') {
+      return `${indent}<xsl:sequence select="${valuePath}"/>\n`;
+    }
+    
+    // NaN is the only number not equal to itself, and cannot be serialized as JSON
+    const number = compileNumberValue(transformed, null, '3.0');
+    let output = `${indent}<xsl:choose>\n`;
+    output += `${indent}  <xsl:when test="${number} = ${number}">\n`;
+    output += `${indent}    <xsl:sequence select="${valuePath}"/>\n`;
+    output += `${indent}  </xsl:when>\n`;
+    output += `${indent}  <xsl:otherwise>\n`;
+    output += `${indent}    <xsl:sequence select="()"/>\n`;
+    output += `${indent}  </xsl:otherwise>\n`;
+    output += `${indent}</xsl:choose>\n`;
+    return output;
+  }
+  
+  /**
+   * Generate enhanced JSON value selection with full XPath support
+   * Values are written with <xsl:sequence> so they keep their JSON type, strings as string items;
+   * constants are written as their type and empty values as no content, which serializes as null.
+   * Optional fields whose path selects nothing are written by their missing value policy.
+   */
+  function generateJSONValueSelectEnhanced(mapping, parsed, xpath, indent) {
+    if (mapping.valueType === 'hardcoded') {
+      return generateJSONConstant(mapping, indent);
+    }
+    if (mapping.valueType === 'empty') {
+      return '';
+    }
+    
+    const kind = getJSONValueKind(mapping);
+    let policy = getMissingValuePolicy(mapping);
+    if (policy === 'absent') {
+      // Absent values are left out by the enclosing xsl:if (see getJSONPresenceTest)
+      policy = getOtherwiseValue(mapping) ? 'null' : null;
+    }
+    // Missing strings are already empty and missing numbers null
+    const isDefault = !policy || xpath === '.' ||
+      (policy === 'empty' && kind === 'string') || (policy === 'null' && kind === 'number');
+    if (isDefault) return generateJSONTypedValue(mapping, xpath, indent);
+    
+    let output = `${indent}<xsl:choose>\n`;
+    output += `${indent}  <xsl:when test="${xpath}">\n`;
+    output += generateJSONTypedValue(mapping, xpath, indent + '    ');
+    output += `${indent}  </xsl:when>\n`;
+    output += `${indent}  <xsl:otherwise>\n`;
+    output += `${indent}    <xsl:sequence select="${policy === 'null' ? '()' : "''"}"/>\n`;
+    output += `${indent}  </xsl:otherwise>\n`;
+    output += `${indent}</xsl:choose>\n`;
+    return output;
   }
   
-
+  /**
+   * Generate a JSON value, choosing between the mapping's value and its otherwise value
+   * xpath selects the mapping's own value; the otherwise source path is read relative to contextPath
+   */
+  function generateJSONConditionalValue(mapping, parsed, xpath, contextPath, indent) {
+    const currency = getCurrencyExpression(mapping, contextPath);
+    if (currency) {
+      // Amounts with a currency code are written as { "amount": ..., "currency": ... }
+      const amount = { ...mapping, format: { ...mapping.format, currency: undefined } };
+      let output = `${indent}<xsl:map>\n`;
+      output += `${indent}  <xsl:map-entry key="'amount'">\n`;
+      output += generateJSONConditionalValue(amount, parsed, xpath, contextPath, indent + '    ');
+      output += `${indent}  </xsl:map-entry>\n`;
+      // The code is a string (of the first node), a node would be serialized as markup
+      output += `${indent}  <xsl:map-entry key="'currency'" select="string((${currency})[1])"/>\n`;
+      output += `${indent}</xsl:map>\n`;
+      return output;
+    }
+    
+    const otherwise = getOtherwiseMapping(mapping);
+    if (!otherwise) return generateJSONValueSelectEnhanced(mapping, parsed, xpath, indent);
+    
+    let output = `${indent}<xsl:choose>\n`;
+    output += `${indent}  <xsl:when test="${getConditionTest(mapping, contextPath)}">\n`;
+    output += generateJSONValueSelectEnhanced(mapping, parsed, xpath, indent + '    ');
+    output += `${indent}  </xsl:when>\n`;
+    output += `${indent}  <xsl:otherwise>\n`;
+    output += generateJSONValueSelectEnhanced(otherwise, parsed, selectSourcePath(otherwise.sourcePath, contextPath), indent + '    ');
+    output += `${indent}  </xsl:otherwise>\n`;
+    output += `${indent}</xsl:choose>\n`;
+    return output;
+  }
   
   /**
-   * Generate enhanced JSON map entries with comprehensive feature support
-   * Enhanced to support:
-   * - Single quotes in key attributes: key="'FieldName'"
-   * - Full XPath expressions with namespace prefixes
-   * - Proper namespace handling
-   * - XPath validation and correction
+   * Generate XSLT 1.0 for JSON output, for processors without XSLT 3.0 (Xalan, libxslt, browsers)
+   * 
+   * Builds the same structure as generateJSONTransform with <xsl:output method="text"/>:
+   * 1. Objects and arrays write their members with a leading comma into a variable, so members
+   *    left out by conditions need no separator logic; the first comma is dropped when written
+   * 2. Strings are quoted and escaped by the json-string template, numbers and booleans written bare
+   * 3. Repeating sections group with Muenchian keys like the XSLT 1.0 XML output
+   */
+  export function generateJSONTextTransform(mappings, namespaces = {}) {
+    mappings = resolveLookupTables(qualifyMappingXPaths(mappings, namespaces));
+    
+    const nsDeclarations = Object.entries(namespaces)
+      .filter(([key]) => key !== 'default')
+      .map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`)
+      .join('\n    ');
+    const nsPrefixes = Object.keys(namespaces)
+      .filter(key => key !== 'default')
+      .join(' ');
+    
+    const normalizedMappings = ensureCompleteHierarchy(normalizeAllMappings(mappings.fields));
+    const jsonHierarchy = buildJSONHierarchyEnhanced(normalizedMappings);
+    
+    // Without a root path the source paths stay absolute, which is equivalent below the document element
+    const rootPath = mappings.rootPath || '/*[1]';
+    const rootContext = createGenerationContext(mappings.rootPath ? normalizeXPath(mappings.rootPath) : null, {}, {}, '1.0');
+    const body = generateJSONTextContainer('object', (indent) =>
+      `${indent}<xsl:for-each select="${escapeXMLAttribute(rootPath)}">\n` +
+      generateJSONTextMembers(jsonHierarchy, rootContext, indent + '  ', '  ') +
+      `${indent}</xsl:for-each>\n`,
+    rootContext.usage, '      ', '');
+    
+    let xslt = `<?xml version="1.0" encoding="UTF-8"?>
+<xsl:stylesheet version="1.0"
+    xmlns:xsl="http://www.w3.org/1999/XSL/Transform"`;
+    if (nsDeclarations) {
+      xslt += `\n    ${nsDeclarations}`;
+    }
+    if (nsPrefixes) {
+      xslt += `\n    exclude-result-prefixes="${nsPrefixes}"`;
+    }
+    xslt += `>
+ 
+    <xsl:output method="text" encoding="UTF-8"/>
+${generateKeyDeclarations(rootContext.usage, '    ')}${generateVariableDeclarations(mappings.variables, '    ')} 
+    <xsl:template match="/">
+${body}    </xsl:template>
+ 
+${JSON_STRING_TEMPLATES} 
+</xsl:stylesheet>`;
+    
+    return xslt;
+  }
+  
+  /**
+   * Generate the instructions writing a JSON object or array (kind) of the members written by content
+   * content(indent) returns the instructions writing each member as a comma, a line break, the
+   * member indentation and the member. They are collected in a variable whose first comma is
+   * dropped; jsonIndent is the indentation of the closing bracket.
+   */
+  function generateJSONTextContainer(kind, content, usage, indent, jsonIndent) {
+    const name = `json${kind === 'object' ? 'Object' : 'Array'}${++usage.jsonVariables}`;
+    const [open, close] = kind === 'object' ? ['{', '}'] : ['[', ']'];
+    
+    let output = `${indent}<xsl:variable name="${name}">\n`;
+    output += content(indent + '  ');
+    output += `${indent}</xsl:variable>\n`;
+    output += `${indent}<xsl:text>${open}</xsl:text>\n`;
+    output += `${indent}<xsl:value-of select="substring($${name}, 2)"/>\n`;
+    output += `${indent}<xsl:if test="string($${name})"><xsl:text>&#10;${jsonIndent}</xsl:text></xsl:if>\n`;
+    output += `${indent}<xsl:text>${close}</xsl:text>\n`;
+    return output;
+  }
+  
+  /**
+   * Generate the text that starts a JSON member: its separator and, for object members, its key
+   */
+  function generateJSONTextSeparator(key, indent, jsonIndent) {
+    const name = key === null ? '' : `${escapeXMLText(JSON.stringify(key))}: `;
+    return `${indent}<xsl:text>,&#10;${jsonIndent}${name}</xsl:text>\n`;
+  }
+  
+  /**
+   * Generate the members of a JSON object from the hierarchy built by buildJSONHierarchyEnhanced
+   * Mirrors generateJSONMapEntriesEnhanced; jsonIndent is the indentation of the members in the output
    */
-  function generateJSONMapEntriesEnhanced(hierarchy, mappings, rootPath, indent) {
+  function generateJSONTextMembers(hierarchy, context, indent, jsonIndent) {
     let output = '';
     
     Object.entries(hierarchy).forEach(([key, value]) => {
       if (key === '_fields') {
-        // Generate entries for leaf fields with formatting and error handling
         value.forEach(mapping => {
           const { parsed } = mapping;
           const leafName = escapeXMLName(mapping.leafName);
           
-          // Add comment for optional or placeholder fields
           if (mapping.isPlaceholder) {
             output += `${indent}<!-- ${leafName} - Placeholder component -->\n`;
             return;
           }
-          
           if (!mapping.required) {
             output += `${indent}<!-- ${leafName} - Optional field -->\n`;
           }
           
-          // Validate and fix XPath - use full xpath with namespace prefixes
           const xpath = validateAndFixXPath(mapping.sourcePath, parsed);
+          const isComputed = mapping.valueType === 'concat' || Boolean(mapping.aggregate);
+          const omitWhenFalse = !getOtherwiseMapping(mapping);
           
-          // Handle multiple occurrences
-          if (mapping.occurs > 1) {
-            output += `${indent}<!-- ${leafName} - Multiple occurrences (Occurs: ${mapping.occurs}) -->\n`;
-            // Use single quotes inside double quotes for key
-            output += `${indent}<xsl:map-entry key="'${leafName}'">\n`;
-            output += `${indent}  <xsl:array>\n`;
-            output += `${indent}    <xsl:for-each select="${xpath}">\n`;
-            output += generateJSONValueSelectEnhanced(mapping, parsed, xpath, indent + '      ');
-            output += `${indent}    </xsl:for-each>\n`;
-            output += `${indent}  </xsl:array>\n`;
-            output += `${indent}</xsl:map-entry>\n`;
+          if (mapping.forEachPath || mapping.occurs > 1) {
+            const iterationPath = mapping.forEachPath || xpath;
+            output += mapping.forEachPath
+              ? `${indent}<!-- ${leafName} - One value per ${mapping.forEachPath} -->\n`
+              : `${indent}<!-- ${leafName} - Multiple occurrences (Occurs: ${mapping.occurs}) -->\n`;
+            output += generateJSONTextSeparator(leafName, indent, jsonIndent);
+            output += generateJSONTextContainer('array', (itemIndent) => {
+              const iteration = openIteration(mapping, iterationPath, context, itemIndent);
+              let valuePath = mapping.forEachPath ? selectSourcePath(xpath, mapping.forEachPath) : '.';
+              if (isComputed) valuePath = getValueExpression(mapping, iteration.context);
+              // Items failing the condition, or without a value to write, are left out of the array
+              const test = joinTests([
+                omitWhenFalse && getConditionTest(mapping, iterationPath),
+                !isComputed && getJSONPresenceTest(mapping, valuePath)
+              ].filter(Boolean));
+              const valueIndent = test ? itemIndent + '    ' : itemIndent + '  ';
+              
+              let items = iteration.open;
+              if (test) items += `${itemIndent}  <xsl:if test="${test}">\n`;
+              items += generateJSONTextSeparator(null, valueIndent, jsonIndent + '  ');
+              items += generateJSONTextConditionalValue(mapping, valuePath, iteration.context, valueIndent);
+              if (test) items += `${itemIndent}  </xsl:if>\n`;
+              items += iteration.close;
+              return items;
+            }, context.usage, indent, jsonIndent);
           } else {
-            // Single occurrence - use single quotes inside double quotes for key
-            output += `${indent}<xsl:map-entry key="'${leafName}'">\n`;
-            
-            if (parsed.type === 'attribute') {
-              // For attributes, use @ syntax
-              output += `${indent}  <xsl:value-of select="${xpath}"/>\n`;
-            } else {
-              output += generateJSONValueSelectEnhanced(mapping, parsed, xpath, indent + '  ');
-            }
+            const valuePath = isComputed
+              ? getValueExpression(mapping, context)
+              : selectSourcePath(xpath, context.contextPath);
+            const test = joinTests([
+              omitWhenFalse && getConditionTest(mapping, context.contextPath),
+              !isComputed && getJSONPresenceTest(mapping, valuePath)
+            ].filter(Boolean));
+            const entryIndent = test ? indent + '  ' : indent;
             
-            output += `${indent}</xsl:map-entry>\n`;
+            if (test) output += `${indent}<xsl:if test="${test}">\n`;
+            output += generateJSONTextSeparator(leafName, entryIndent, jsonIndent);
+            output += generateJSONTextConditionalValue(mapping, valuePath, context, entryIndent);
+            if (test) output += `${indent}</xsl:if>\n`;
           }
         });
       } else if (key !== '_metadata') {
-        // Nested object
         const escapedKey = escapeXMLName(key);
+        const componentMapping = value._metadata && value._metadata.mapping;
         
-        // Check if this is a component with occurrences
-        const componentMapping = mappings.find(m => 
-          (m.targetPath || m.targetName).split('/').pop() === key && m.occurs > 1
-        );
-        
-        if (componentMapping && componentMapping.occurs > 1) {
-          const parsed = componentMapping.parsed || parseSourcePath(componentMapping.sourcePath);
-          const xpath = validateAndFixXPath(componentMapping.sourcePath, parsed);
+        if (componentMapping && (componentMapping.occurs > 1 || componentMapping.forEachPath)) {
+          const parsed = parseSourcePath(componentMapping.sourcePath);
+          const xpath = componentMapping.forEachPath || validateAndFixXPath(componentMapping.sourcePath, parsed);
+          // Occurrences failing the condition are left out of the array
+          const test = getConditionTest(componentMapping, xpath);
           
           output += `${indent}<!-- ${escapedKey} - Multiple occurrences (Occurs: ${componentMapping.occurs}) -->\n`;
-          // Use single quotes inside double quotes for key
-          output += `${indent}<xsl:map-entry key="'${escapedKey}'">\n`;
-          output += `${indent}  <xsl:array>\n`;
-          output += `${indent}    <xsl:for-each select="${xpath}">\n`;
-          output += `${indent}      <xsl:map>\n`;
-          output += generateJSONMapEntriesEnhanced(value, mappings, rootPath, indent + '        ');
-          output += `${indent}      </xsl:map>\n`;
-          output += `${indent}    </xsl:for-each>\n`;
-          output += `${indent}  </xsl:array>\n`;
-          output += `${indent}</xsl:map-entry>\n`;
+          output += generateJSONTextSeparator(escapedKey, indent, jsonIndent);
+          output += generateJSONTextContainer('array', (itemIndent) => {
+            const iteration = openIteration(componentMapping, xpath, context, itemIndent);
+            const objectIndent = test ? itemIndent + '    ' : itemIndent + '  ';
+            
+            let items = iteration.open;
+            if (test) items += `${itemIndent}  <xsl:if test="${test}">\n`;
+            items += generateJSONTextSeparator(null, objectIndent, jsonIndent + '  ');
+            items += generateJSONTextContainer('object', (memberIndent) =>
+              generateJSONTextMembers(value, iteration.context, memberIndent, jsonIndent + '    '),
+            context.usage, objectIndent, jsonIndent + '  ');
+            if (test) items += `${itemIndent}  </xsl:if>\n`;
+            items += iteration.close;
+            return items;
+          }, context.usage, indent, jsonIndent);
         } else {
-          // Use single quotes inside double quotes for key
-          output += `${indent}<xsl:map-entry key="'${escapedKey}'">\n`;
-          output += `${indent}  <xsl:map>\n`;
-          output += generateJSONMapEntriesEnhanced(value, mappings, rootPath, indent + '    ');
-          output += `${indent}  </xsl:map>\n`;
-          output += `${indent}</xsl:map-entry>\n`;
+          const test = componentMapping && getConditionTest(componentMapping, context.contextPath);
+          const entryIndent = test ? indent + '  ' : indent;
+          
+          if (test) output += `${indent}<xsl:if test="${test}">\n`;
+          output += generateJSONTextSeparator(escapedKey, entryIndent, jsonIndent);
+          output += generateJSONTextContainer('object', (memberIndent) =>
+            generateJSONTextMembers(value, context, memberIndent, jsonIndent + '  '),
+          context.usage, entryIndent, jsonIndent);
+          if (test) output += `${indent}</xsl:if>\n`;
         }
       }
     });
@@ -1115,63 +2676,147 @@ export function generateXMLTransform(mappings, namespaces = {}) {
   }
   
   /**
-   * Generate JSON value selection with formatting
+   * Get the lines writing a value read by valuePath as JSON, typed like generateJSONTypedValue
+   * Numbers that are not numeric are written as null; strings go through the json-string template.
+   * Returns lines indented relative to each other like getValueLines.
    */
-  function generateJSONValueSelect(mapping, parsed, indent) {
-    const selectPath = parsed.elementName || '.';
+  function getJSONTextValueLines(mapping, valuePath) {
+    const kind = getJSONValueKind(mapping);
+    
+    if (kind === 'string') {
+      if (mapping.lookup) {
+        return [
+          '<xsl:call-template name="json-string">',
+          '  <xsl:with-param name="text">',
+          ...getValueLines(mapping, transformValuePath(mapping, valuePath, '1.0')).map(line => `    ${line}`),
+          '  </xsl:with-param>',
+          '</xsl:call-template>'
+        ];
+      }
+      return [
+        '<xsl:call-template name="json-string">',
+        `  <xsl:with-param name="text" select="${transformValuePath(mapping, valuePath, '1.0')}"/>`,
+        '</xsl:call-template>'
+      ];
+    }
     
-    // Handle different field types
-    switch (mapping.fieldType) {
-      case 'date':
-      case 'dateTime':
-        return `${indent}<xsl:choose>
-  ${indent}  <xsl:when test="${selectPath}">
-  ${indent}    <xsl:sequence select="string(${selectPath})"/>
-  ${indent}  </xsl:when>
-  ${indent}  <xsl:otherwise>
-  ${indent}    <!-- Using current date-time as fallback -->
-  ${indent}    <xsl:sequence select="substring(string(current-dateTime()), 1, 19)"/>
-  ${indent}  </xsl:otherwise>
-  ${indent}</xsl:choose>\n`;
-      
-      case 'currency':
-        return `${indent}<xsl:map>
-  ${indent}  <xsl:map-entry key="amount">
-  ${indent}    <xsl:sequence select="format-number(${selectPath}, '0.00')"/>
-  ${indent}  </xsl:map-entry>
-  ${indent}  <xsl:map-entry key="currency">
-  ${indent}    <xsl:sequence select="'USD'"/>
-  ${indent}  </xsl:map-entry>
-  ${indent}</xsl:map>\n`;
-      
-      case 'decimal':
-      case 'numeric':
-        return `${indent}<xsl:sequence select="format-number(${selectPath}, '0.00')"/>\n`;
-      
-      case 'time':
-        return `${indent}<xsl:sequence select="string(${selectPath})"/>\n`;
-      
-      default:
-        // String or generic type with error handling
-        return `${indent}<xsl:choose>
-  ${indent}  <xsl:when test="${selectPath}">
-  ${indent}    <xsl:sequence select="string(${selectPath})"/>
-  ${indent}  </xsl:when>
-  ${indent}  <xsl:otherwise>
-  ${indent}    <!-- Field ${mapping.targetName} is missing -->
-  ${indent}    <xsl:sequence select="''"/>
-  ${indent}  </xsl:otherwise>
-  ${indent}</xsl:choose>\n`;
+    let transformed;
+    try {
+      transformed = applyValueTransforms(valuePath, mapping.transforms, '1.0');
+    } catch (err) {
+      throw new Error(`Mapping "${mapping.targetName}": ${err.message}`);
+    }
+    if (kind === 'boolean') {
+      return [
+        '<xsl:choose>',
+        `  <xsl:when test="${compileBooleanValue(transformed, '1.0')}">true</xsl:when>`,
+        '  <xsl:otherwise>false</xsl:otherwise>',
+        '</xsl:choose>'
+      ];
+    }
+    
+    // NaN is the only number not equal to itself, and is not valid JSON
+    const number = compileNumberValue(transformed, null, '1.0');
+    let rounded;
+    try {
+      rounded = compileNumberValue(transformed, mapping.format, '1.0');
+    } catch (err) {
+      throw new Error(`Mapping "${mapping.targetName}": ${err.message}`);
     }
+    return [
+      '<xsl:choose>',
+      `  <xsl:when test="${number} = ${number}"><xsl:value-of select="${rounded}"/></xsl:when>`,
+      '  <xsl:otherwise>null</xsl:otherwise>',
+      '</xsl:choose>'
+    ];
   }
   
   /**
-   * Generate enhanced JSON value selection with full XPath support
-   * Uses <xsl:value-of> instead of <xsl:sequence> for better JSON serialization
+   * Get the lines writing a mapping's value as JSON in a generation context
+   * valuePath selects the value (see generateJSONMapEntriesEnhanced); aggregates read all their
+   * nodes instead and are null when there are none to average or compare. Missing values of
+   * optional fields are written by their missing value policy like generateJSONValueSelectEnhanced.
    */
-  function generateJSONValueSelectEnhanced(mapping, parsed, xpath, indent) {
-    // Use simple xsl:value-of for clean output - matches the sample XSLT pattern
-    return `${indent}<xsl:value-of select="${xpath}"/>\n`;
+  function getJSONTextMappingLines(mapping, valuePath, context) {
+    const kind = getJSONValueKind(mapping);
+    if (mapping.valueType === 'hardcoded') {
+      const text = (mapping.hardcodedValue || '').trim();
+      if (kind === 'number' && /^-?\d+(\.\d+)?$/.test(text)) return [`<xsl:text>${text}</xsl:text>`];
+      if (kind === 'boolean' && ['true', 'false', '1', '0'].includes(text)) {
+        return [`<xsl:text>${text === 'true' || text === '1'}</xsl:text>`];
+      }
+      return [`<xsl:text>${escapeXMLText(JSON.stringify(mapping.hardcodedValue || ''))}</xsl:text>`];
+    }
+    if (mapping.valueType === 'empty') {
+      return ['<xsl:text>null</xsl:text>'];
+    }
+    
+    if (mapping.aggregate) {
+      const nodesPath = selectNodes(mapping.sourcePath, context);
+      const lines = generateAggregateInstructions(mapping, nodesPath, '1.0', path => getJSONTextValueLines(mapping, path));
+      if (['sum', 'count'].includes(mapping.aggregate)) return lines;
+      return [
+        '<xsl:choose>',
+        `  <xsl:when test="${nodesPath}">`,
+        ...lines.map(line => `    ${line}`),
+        '  </xsl:when>',
+        '  <xsl:otherwise>null</xsl:otherwise>',
+        '</xsl:choose>'
+      ];
+    }
+    
+    let policy = getMissingValuePolicy(mapping);
+    if (policy === 'absent') {
+      // Absent values are left out by the enclosing xsl:if (see getJSONPresenceTest)
+      policy = getOtherwiseValue(mapping) ? 'null' : null;
+    }
+    const lines = getJSONTextValueLines(mapping, valuePath);
+    // Missing strings are already empty and missing numbers null
+    const isDefault = !policy || valuePath === '.' ||
+      (policy === 'empty' && kind === 'string') || (policy === 'null' && kind === 'number');
+    if (isDefault) return lines;
+    
+    return [
+      '<xsl:choose>',
+      `  <xsl:when test="${valuePath}">`,
+      ...lines.map(line => `    ${line}`),
+      '  </xsl:when>',
+      `  <xsl:otherwise>${policy === 'null' ? 'null' : '<xsl:text>""</xsl:text>'}</xsl:otherwise>`,
+      '</xsl:choose>'
+    ];
+  }
+  
+  /**
+   * Generate a JSON value, choosing between the mapping's value and its otherwise value
+   * Amounts with a currency code are written as { "amount": ..., "currency": ... } like generateJSONConditionalValue
+   */
+  function generateJSONTextConditionalValue(mapping, valuePath, context, indent) {
+    const currency = getCurrencyExpression(mapping, context.contextPath);
+    if (currency) {
+      const amount = { ...mapping, format: { ...mapping.format, currency: undefined } };
+      let output = `${indent}<xsl:text>{"amount": </xsl:text>\n`;
+      output += generateJSONTextConditionalValue(amount, valuePath, context, indent);
+      output += `${indent}<xsl:text>, "currency": </xsl:text>\n`;
+      output += `${indent}<xsl:call-template name="json-string">\n`;
+      output += `${indent}  <xsl:with-param name="text" select="${currency}"/>\n`;
+      output += `${indent}</xsl:call-template>\n`;
+      output += `${indent}<xsl:text>}</xsl:text>\n`;
+      return output;
+    }
+    
+    const otherwise = getOtherwiseMapping(mapping);
+    const write = (lines, lineIndent) => lines.map(line => `${lineIndent}${line}\n`).join('');
+    if (!otherwise) return write(getJSONTextMappingLines(mapping, valuePath, context), indent);
+    
+    let output = `${indent}<xsl:choose>\n`;
+    output += `${indent}  <xsl:when test="${getConditionTest(mapping, context.contextPath)}">\n`;
+    output += write(getJSONTextMappingLines(mapping, valuePath, context), indent + '    ');
+    output += `${indent}  </xsl:when>\n`;
+    output += `${indent}  <xsl:otherwise>\n`;
+    output += write(getJSONTextMappingLines(otherwise, selectSourcePath(otherwise.sourcePath, context.contextPath), context), indent + '    ');
+    output += `${indent}  </xsl:otherwise>\n`;
+    output += `${indent}</xsl:choose>\n`;
+    return output;
   }
   
   /**
@@ -1205,51 +2850,292 @@ export function generateXMLTransform(mappings, namespaces = {}) {
     return xpath;
   }
   
+  /**
+   * Join a relative XPath onto a base selection
+   */
+  function joinXPath(base, relativePath) {
+    if (!base) return relativePath;
+    if (relativePath === '.') return base;
+    if (relativePath.startsWith('/')) return relativePath;
+    return `${base}/${relativePath}`;
+  }
+  
+  /**
+   * Build the flat file columns for the record context
+   * Component mappings are not columns themselves; fields below a repeating component get
+   * one column per occurrence (Items_1.Code, Items_2.Code...) selected through that occurrence.
+   * Conditions are evaluated on the node a column reads from, written as a predicate on its
+   * selection. Grouped components get one column per group, read from its first node; repeating
+   * paths and aggregates below them select the group members. Filters drop occurrences before they
+   * are numbered; sort keys do not apply, occurrences keep document order. Returns { columns, variables }: the
+   * columns are { header, mapping, selectPath, scopeTest, test, otherwisePath } (selectPath selects
+   * the aggregated nodes of an aggregate). The column is empty unless the ancestor component
+   * conditions (scopeTest) hold, and test chooses between the value and the otherwise value read
+   * from otherwisePath. variables are the declarations of XSLT 1.0 groupings for the record template.
+   */
+  function buildFlatColumns(fields, context) {
+    const components = fields.filter(field => isComponentMapping(field, fields));
+    const getTargetPath = (field) => field.targetPath || field.targetName;
+    const columns = [];
+    const variables = [];
+    // Groupings by grouped nodes and key, shared by the columns below a grouped component
+    const groupings = new Map();
+    
+    const getGrouping = (component, componentPath, select) => {
+      const key = getGroupKey(component.groupBy, componentPath);
+      const id = `${componentPath} ${select} ${key}`;
+      if (!groupings.has(id)) {
+        const grouping = declareGrouping(componentPath, key, select, context.usage);
+        if (grouping.variable) variables.push(grouping.variable);
+        groupings.set(id, grouping);
+      }
+      return groupings.get(id);
+    };
+    
+    // The nodes of an absolute path for a variant: the members of its group, or read through its occurrence
+    const selectIn = (path, variant) => (variant.group && selectGroupMembers(path, variant.group)) ||
+      joinXPath(variant.select, selectSourcePath(path, variant.contextPath));
+    
+    // The mapping's condition on the node selected by select (context node when null)
+    const scopeCondition = (mapping, select, contextPath) => {
+      const test = getConditionTest(mapping, contextPath);
+      return test && select ? `${select}[${test}]` : test;
+    };
+    
+    fields.filter(field => !components.includes(field)).forEach(field => {
+      const targetPath = getTargetPath(field);
+      
+      // Ancestor components, outermost first; repeating ones get a column per occurrence and
+      // filtered or grouped ones are read through their first selected node
+      const ancestors = components
+        .filter(component => targetPath.startsWith(`${getTargetPath(component)}/`))
+        .sort((a, b) => getTargetPath(a).split('/').length - getTargetPath(b).split('/').length);
+      
+      let variants = [{ parts: targetPath.split('/'), select: null, contextPath: context.contextPath, group: context.group, tests: [] }];
+      
+      ancestors.forEach(component => {
+        const level = getTargetPath(component).split('/').length - 1;
+        const componentPath = component.forEachPath || component.sourcePath;
+        
+        if (component.occurs > 1 || component.filter || component.groupBy) {
+          variants = variants.flatMap(variant => {
+            const occurrencePath = filterNodes(selectIn(componentPath, variant), component.filter, componentPath);
+            const grouping = component.groupBy ? getGrouping(component, componentPath, occurrencePath) : null;
+            
+            return Array.from({ length: component.occurs || 1 }, (_, i) => {
+              const select = `(${grouping ? grouping.heads : occurrencePath})[${i + 1}]`;
+              return {
+                ...variant,
+                parts: component.occurs > 1
+                  ? variant.parts.map((part, index) => (index === level ? `${part}_${i + 1}` : part))
+                  : variant.parts,
+                select,
+                contextPath: componentPath,
+                // The members of a group are the grouped nodes whose group starts with its first node
+                group: grouping
+                  ? { path: componentPath, members: `${grouping.nodes}[generate-id(${grouping.members}[1]) = generate-id(${select})]` }
+                  : null
+              };
+            });
+          });
+        }
+        
+        variants = variants.map(variant => {
+          const test = scopeCondition(component, variant.select, variant.contextPath);
+          return test ? { ...variant, tests: [...variant.tests, test] } : variant;
+        });
+      });
+      
+      const otherwise = getOtherwiseMapping(field);
+      
+      // One column reading select relative to contextPath (the variant's context when select is null)
+      const createColumn = (header, variant, select, contextPath, valuePath) => ({
+        header,
+        mapping: field,
+        selectPath: field.valueType === 'concat'
+          ? compileConcatenation(field, path => joinXPath(select, selectSourcePath(path, contextPath)), context.xsltVersion)
+          : field.aggregate ? selectIn(field.sourcePath, variant) : joinXPath(select, valuePath),
+        scopeTest: variant.tests.length > 0 ? joinTests(variant.tests) : null,
+        test: scopeCondition(field, select, contextPath),
+        otherwisePath: otherwise && joinXPath(select, selectSourcePath(otherwise.sourcePath, contextPath))
+      });
+      
+      variants.forEach(variant => {
+        const flatName = variant.parts.join('.');
+        
+        if (field.forEachPath) {
+          // One column per iterated node, the source path read relative to it
+          const iterationPath = filterNodes(selectIn(field.forEachPath, variant), field.filter, field.forEachPath);
+          const valuePath = selectSourcePath(field.sourcePath, field.forEachPath);
+          for (let i = 1; i <= (field.occurs || 1); i++) {
+            columns.push(createColumn(field.occurs > 1 ? `${flatName}_${i}` : flatName, variant,
+              `(${iterationPath})[${i}]`, field.forEachPath, valuePath));
+          }
+          return;
+        }
+        
+        const selectPath = selectIn(field.sourcePath, variant);
+        
+        if (field.occurs > 1) {
+          const occurrencesPath = filterNodes(selectPath, field.filter, field.sourcePath);
+          // Create multiple columns for multiple occurrences, each occurrence being its own context
+          for (let i = 1; i <= field.occurs; i++) {
+            columns.push(createColumn(`${flatName}_${i}`, variant, `(${occurrencesPath})[${i}]`, field.sourcePath, '.'));
+          }
+        } else {
+          columns.push(createColumn(flatName, variant, variant.select, variant.contextPath,
+            selectSourcePath(field.sourcePath, variant.contextPath)));
+        }
+      });
+    });
+    
+    return { columns, variables };
+  }
+  
+  /**
+   * Describe a flat file column for the comment written above its value, or null
+   */
+  function getFlatColumnComment(mapping) {
+    if (mapping.valueType === 'hardcoded') return 'Constant value';
+    if (mapping.valueType === 'empty') return 'Empty column';
+    if (mapping.aggregate) return `Aggregate (${mapping.aggregate})`;
+    
+    switch (mapping.fieldType) {
+      case 'date':
+      case 'dateTime':
+        return 'Date/DateTime field';
+      case 'currency':
+        return 'Currency field';
+      case 'decimal':
+      case 'numeric':
+        return 'Numeric field';
+      case 'time':
+        return 'Time field';
+      default:
+        return mapping.required ? null : 'Optional field';
+    }
+  }
+  
   /**
    * Generate flat file value extraction with formatting and error handling
+   * The value is only written when the column's component conditions hold; a condition of the
+   * column itself chooses between its value and the otherwise value (empty without one). Unless the
+   * dialect never quotes, the value is passed to the csv-field template that quotes and escapes it.
    */
-  function generateFlatFileValueExtraction(mapping, parsed, separator, occurrenceIndex = null) {
+  function generateFlatFileValueExtraction(column, separator, dialect, xsltVersion) {
+    const { mapping, header } = column;
     const indent = '    ';
+    const comment = getFlatColumnComment(mapping);
+    const otherwise = column.test && getOtherwiseMapping(mapping);
+    // Without an otherwise value every condition only decides whether the value is written
+    const tests = [column.scopeTest, otherwise ? null : column.test].filter(Boolean);
+    const quoted = dialect.quoting !== 'never';
+    const bodyIndent = quoted ? indent + '    ' : indent;
     let output = '';
+    let valueIndent = bodyIndent;
     
-    // For multiple occurrences, select the specific occurrence
-    let selectPath = '';
-    if (occurrenceIndex !== null) {
-      // Select the nth occurrence
-      if (parsed.type === 'attribute') {
-        selectPath = `${parsed.parentPath}[${occurrenceIndex}]/@${parsed.attributeName}`;
-      } else {
-        selectPath = `${parsed.elementName}[${occurrenceIndex}]`;
-      }
+    if (comment) {
+      output += `${indent}<!-- ${header} - ${comment} -->\n`;
+    }
+    
+    if (quoted) {
+      output += `${indent}<xsl:call-template name="csv-field">\n`;
+      output += `${indent}  <xsl:with-param name="value">\n`;
+    }
+    
+    if (tests.length > 0) {
+      output += `${bodyIndent}<xsl:if test="${joinTests(tests)}">\n`;
+      valueIndent = bodyIndent + '  ';
+    }
+    
+    if (otherwise) {
+      output += `${valueIndent}<xsl:choose>\n`;
+      output += `${valueIndent}  <xsl:when test="${column.test}">\n`;
+      output += generateFlatFileValue(mapping, column.selectPath, valueIndent + '    ', xsltVersion);
+      output += `${valueIndent}  </xsl:when>\n`;
+      output += `${valueIndent}  <xsl:otherwise>\n`;
+      output += generateFlatFileValue(otherwise, column.otherwisePath, valueIndent + '    ', xsltVersion);
+      output += `${valueIndent}  </xsl:otherwise>\n`;
+      output += `${valueIndent}</xsl:choose>\n`;
     } else {
-      // Single occurrence
-      if (parsed.type === 'attribute') {
-        selectPath = `@${parsed.attributeName}`;
-      } else {
-        selectPath = parsed.elementName || '.';
-      }
+      output += generateFlatFileValue(mapping, column.selectPath, valueIndent, xsltVersion);
+    }
+    
+    if (tests.length > 0) {
+      output += `${bodyIndent}</xsl:if>\n`;
+    }
+    
+    if (quoted) {
+      output += `${indent}  </xsl:with-param>\n`;
+      output += `${indent}</xsl:call-template>\n`;
+    }
+    
+    // Add separator
+    output += `${indent}<xsl:text>${separator}</xsl:text>`;
+    
+    return output;
+  }
+  
+  /**
+   * Generate the value of a flat file column, formatted by field type
+   * xsltVersion decides which XPath functions the value and its fallback may use
+   */
+  function generateFlatFileValue(mapping, selectPath, indent, xsltVersion) {
+    let output = '';
+    
+    // Constant and empty columns do not read the source
+    if (mapping.valueType === 'hardcoded') {
+      return `${indent}<xsl:sequence select="${toXPathStringLiteral(mapping.hardcodedValue || '')}"/>\n`;
+    }
+    if (mapping.valueType === 'empty') {
+      return '';
+    }
+    
+    // Numbers without a format of their own are written with two decimals; format-number() only
+    // takes a single number in XPath 2.0
+    const formatNumber = (valuePath) => parseFloat(xsltVersion) >= 2
+      ? applyValueFormat(valuePath, { numberPicture: '0.00' }, xsltVersion)
+      : `format-number(${valuePath}, '0.00')`;
+    
+    // Aggregates are written over the nodes selected by selectPath, numbers formatted like numeric fields
+    if (mapping.aggregate) {
+      const isNumber = !mapping.lookup && !hasValueFormat(mapping.format) && ['currency', 'decimal', 'numeric'].includes(mapping.fieldType);
+      return generateAggregateInstructions(mapping, selectPath, xsltVersion, (aggregatePath) => {
+        const valuePath = transformValuePath(mapping, aggregatePath, xsltVersion);
+        return getValueLines(mapping, isNumber ? formatNumber(valuePath) : valuePath);
+      }).map(line => `${indent}${line}\n`).join('');
+    }
+    
+    // The existence tests keep using the plain path
+    const valuePath = transformValuePath(mapping, selectPath, xsltVersion);
+    const numberPath = hasValueFormat(mapping.format) ? valuePath : formatNumber(valuePath);
+    
+    // Looked up codes are written as they are, without the formatting of the field type
+    if (mapping.lookup) {
+      return generateValueInstruction(mapping, valuePath, indent);
     }
     
     // Handle different field types with formatting
     switch (mapping.fieldType) {
       case 'date':
       case 'dateTime':
-        output += `${indent}<!-- ${mapping.targetName}${occurrenceIndex ? '_' + occurrenceIndex : ''} - Date/DateTime field -->\n`;
         output += `${indent}<xsl:choose>\n`;
         output += `${indent}  <xsl:when test="${selectPath}">\n`;
-        output += `${indent}    <xsl:value-of select="${selectPath}"/>\n`;
+        output += `${indent}    <xsl:value-of select="${valuePath}"/>\n`;
         output += `${indent}  </xsl:when>\n`;
         output += `${indent}  <xsl:otherwise>\n`;
-        output += `${indent}    <xsl:value-of select="substring(string(current-dateTime()), 1, 19)"/>\n`;
+        // XSLT 1.0 has no current date, missing dates stay empty there
+        output += parseFloat(xsltVersion) >= 2
+          ? `${indent}    <xsl:value-of select="substring(string(current-dateTime()), 1, 19)"/>\n`
+          : `${indent}    <xsl:text></xsl:text>\n`;
         output += `${indent}  </xsl:otherwise>\n`;
         output += `${indent}</xsl:choose>\n`;
         break;
       
       case 'currency':
-        output += `${indent}<!-- ${mapping.targetName}${occurrenceIndex ? '_' + occurrenceIndex : ''} - Currency field -->\n`;
         output += `${indent}<xsl:choose>\n`;
         output += `${indent}  <xsl:when test="${selectPath}">\n`;
-        output += `${indent}    <xsl:value-of select="format-number(${selectPath}, '0.00')"/>\n`;
+        output += `${indent}    <xsl:value-of select="${numberPath}"/>\n`;
         output += `${indent}  </xsl:when>\n`;
         output += `${indent}  <xsl:otherwise>\n`;
         output += `${indent}    <xsl:text>0.00</xsl:text>\n`;
@@ -1259,10 +3145,9 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       
       case 'decimal':
       case 'numeric':
-        output += `${indent}<!-- ${mapping.targetName}${occurrenceIndex ? '_' + occurrenceIndex : ''} - Numeric field -->\n`;
         output += `${indent}<xsl:choose>\n`;
         output += `${indent}  <xsl:when test="${selectPath}">\n`;
-        output += `${indent}    <xsl:value-of select="format-number(${selectPath}, '0.00')"/>\n`;
+        output += `${indent}    <xsl:value-of select="${numberPath}"/>\n`;
         output += `${indent}  </xsl:when>\n`;
         output += `${indent}  <xsl:otherwise>\n`;
         output += `${indent}    <xsl:text>0</xsl:text>\n`;
@@ -1271,10 +3156,9 @@ export function generateXMLTransform(mappings, namespaces = {}) {
         break;
       
       case 'time':
-        output += `${indent}<!-- ${mapping.targetName}${occurrenceIndex ? '_' + occurrenceIndex : ''} - Time field -->\n`;
         output += `${indent}<xsl:choose>\n`;
         output += `${indent}  <xsl:when test="${selectPath}">\n`;
-        output += `${indent}    <xsl:value-of select="${selectPath}"/>\n`;
+        output += `${indent}    <xsl:value-of select="${valuePath}"/>\n`;
         output += `${indent}  </xsl:when>\n`;
         output += `${indent}  <xsl:otherwise>\n`;
         output += `${indent}    <xsl:text></xsl:text>\n`;
@@ -1284,12 +3168,9 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       
       default:
         // String or generic type with error handling
-        if (!mapping.required) {
-          output += `${indent}<!-- ${mapping.targetName}${occurrenceIndex ? '_' + occurrenceIndex : ''} - Optional field -->\n`;
-        }
         output += `${indent}<xsl:choose>\n`;
         output += `${indent}  <xsl:when test="${selectPath}">\n`;
-        output += `${indent}    <xsl:value-of select="${selectPath}"/>\n`;
+        output += `${indent}    <xsl:value-of select="${valuePath}"/>\n`;
         output += `${indent}  </xsl:when>\n`;
         output += `${indent}  <xsl:otherwise>\n`;
         output += `${indent}    <xsl:text></xsl:text>\n`;
@@ -1298,12 +3179,77 @@ export function generateXMLTransform(mappings, namespaces = {}) {
         break;
     }
     
-    // Add separator
-    output += `${indent}<xsl:text>${separator}</xsl:text>`;
-    
     return output;
   }
   
+  /**
+   * Generate the csv-field template writing its value parameter as a field of the dialect: quoted
+   * always or when it contains the delimiter, the quote character or a line break, with quote
+   * characters doubled or escaped with backslashes (as backslashes are). XSLT 1.0 escapes with the
+   * csv-replace template, which is included; 2.0+ uses replace()
+   */
+  function generateCSVFieldTemplates(dialect, xsltVersion) {
+    const { delimiter, quoteChar } = dialect;
+    const backslash = dialect.escape === 'backslash';
+    const quote = `<xsl:text>${escapeFlatFileText(quoteChar)}</xsl:text>`;
+    let escaped;
+    
+    if (parseFloat(xsltVersion) >= 2) {
+      // Regular expression and replacement string metacharacters are escaped with a backslash
+      const pattern = (text) => toXPathStringLiteral(text.replace(/[.\\?*+|^$(){}[\]-]/g, '\\$&'));
+      const replacement = (text) => toXPathStringLiteral(text.replace(/[\\$]/g, '\\$&'));
+      const text = backslash ? `replace($text, ${pattern('\\')}, ${replacement('\\\\')})` : '$text';
+      escaped = [`<xsl:value-of select="replace(${text}, ${pattern(quoteChar)}, ${replacement(backslash ? `\\${quoteChar}` : quoteChar + quoteChar)})"/>`];
+    } else {
+      const replace = (text, from, to) => [
+        '<xsl:call-template name="csv-replace">',
+        `  <xsl:with-param name="text" select="${text}"/>`,
+        `  <xsl:with-param name="from" select="${toXPathStringLiteral(from)}"/>`,
+        `  <xsl:with-param name="to" select="${toXPathStringLiteral(to)}"/>`,
+        '</xsl:call-template>'
+      ];
+      escaped = backslash
+        ? [
+          '<xsl:variable name="backslashes">',
+          ...replace('$text', '\\', '\\\\').map(line => `  ${line}`),
+          '</xsl:variable>',
+          ...replace('string($backslashes)', quoteChar, `\\${quoteChar}`)
+        ]
+        : replace('$text', quoteChar, quoteChar + quoteChar);
+    }
+    
+    const quotedLines = [quote, ...escaped, quote];
+    let output = '';
+    
+    if (dialect.quoting === 'always') {
+      output += '    <!-- Write a value as a quoted field -->\n';
+      output += '    <xsl:template name="csv-field">\n';
+      output += '      <xsl:param name="value"/>\n';
+      output += '      <xsl:variable name="text" select="string($value)"/>\n';
+      output += quotedLines.map(line => `      ${line}\n`).join('');
+      output += '    </xsl:template>\n';
+    } else {
+      const needsQuotes = [delimiter, quoteChar, '\n', '\r']
+        .map(text => `contains($text, ${toXPathStringLiteral(text)})`)
+        .join(' or ');
+      output += '    <!-- Write a value as a field, quoted when it contains the delimiter, the quote character or a line break -->\n';
+      output += '    <xsl:template name="csv-field">\n';
+      output += '      <xsl:param name="value"/>\n';
+      output += '      <xsl:variable name="text" select="string($value)"/>\n';
+      output += '      <xsl:choose>\n';
+      output += `        <xsl:when test="${needsQuotes}">\n`;
+      output += quotedLines.map(line => `          ${line}\n`).join('');
+      output += '        </xsl:when>\n';
+      output += '        <xsl:otherwise>\n';
+      output += '          <xsl:value-of select="$text"/>\n';
+      output += '        </xsl:otherwise>\n';
+      output += '      </xsl:choose>\n';
+      output += '    </xsl:template>\n';
+    }
+    
+    return parseFloat(xsltVersion) >= 2 ? output : `${output}    \n${getReplaceTemplate('csv-replace')}`;
+  }
+  
   /**
    * Generate XSLT for flat file (CSV/TSV) output format
    * 
@@ -1316,10 +3262,15 @@ export function generateXMLTransform(mappings, namespaces = {}) {
    * 6. Error handling with fallback values
    * 7. Namespace handling with exclude-result-prefixes
    * 8. Hierarchical paths flattened with dots (order/name -> order.name)
+   * 9. CSV dialect: delimiter, quoting, escaping and line terminator (RFC 4180 by default)
    */
-  export function generateFlatFileTransform(mappings, delimiter = ',', namespaces = {}) {
+  export function generateFlatFileTransform(mappings, dialect = {}, namespaces = {}) {
     try {
-      console.log('generateFlatFileTransform called with:', { mappings, delimiter, namespaces });
+      console.log('generateFlatFileTransform called with:', { mappings, dialect, namespaces });
+      dialect = getCSVDialect(dialect);
+      mappings = resolveLookupTables(qualifyMappingXPaths(mappings, namespaces));
+      const version = mappings.xsltVersion || '1.0';
+      namespaces = withSchemaNamespace(namespaces, mappings.fields, version);
       
       // Build namespace declarations
       const nsDeclarations = Object.entries(namespaces)
@@ -1336,9 +3287,13 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       
       const excludeResultPrefixes = nsPrefixes ? `exclude-result-prefixes="${nsPrefixes}"` : '';
       
+      // Fields are read relative to each record, relative source paths are the record's children
+      const recordPath = mappings.recordPath || mappings.rootPath;
+      const recordContext = createGenerationContext(recordPath ? normalizeXPath(recordPath) : null, {}, {}, version);
+      
       console.log('Step 1: Normalizing mappings...');
       // STEP 1: Normalize and validate all XPaths
-      let normalizedMappings = normalizeAllMappings(mappings.fields);
+      let normalizedMappings = normalizeAllMappings(mappings.fields, recordContext.contextPath);
       console.log('Normalized mappings:', normalizedMappings);
       
       console.log('Step 2: Ensuring complete hierarchy...');
@@ -1349,76 +3304,78 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       // STEP 3: Filter out placeholder components for flat file
       const actualFields = normalizedMappings.filter(m => !m.isPlaceholder);
       
-      console.log('Step 3: Building flat headers...');
-      // STEP 4: Flatten hierarchical paths for headers (order/name -> order.name)
+      console.log('Step 3: Building flat columns...');
+      // STEP 4: Flatten hierarchical paths into columns (order/name -> order.name)
       // Handle multiple occurrences by creating indexed columns
-      const headerParts = [];
-      actualFields.forEach(mapping => {
-        const targetPath = mapping.targetPath || mapping.targetName;
-        const flatName = targetPath.replace(/\//g, '.');
-        
-        if (mapping.occurs > 1) {
-          // Create multiple columns for multiple occurrences
-          for (let i = 1; i <= mapping.occurs; i++) {
-            headerParts.push(`${flatName}_${i}`);
-          }
+      const rootSelect = escapeXMLAttribute(normalizeXPath(mappings.rootPath || '/*'));
+      const recordFilter = mappings.recordFilter && mappings.recordFilter.trim();
+      const recordSortKeys = normalizeSortKeys(mappings.recordSortKeys);
+      // The record path as written in the stylesheet, escaped like the other select attributes
+      const recordPattern = escapeXMLAttribute(mappings.recordPath || '');
+      let recordMatch = recordPattern || '*';
+      // The root template applies templates to the root element and the records below it match the data template
+      let recordSelect = rootSelect;
+      let recordSorts = '';
+      
+      // Filtered or sorted records are selected below the root element and applied in order instead
+      // (template match patterns cannot reference the variables a filter may use)
+      if (mappings.recordPath && (recordFilter || recordSortKeys)) {
+        const records = mappings.recordPath.startsWith('/')
+          ? recordPattern
+          : `${rootSelect}/descendant-or-self::${recordPattern}`;
+        recordSelect = filterNodes(records, recordFilter, recordContext.contextPath);
+        recordSorts = generateSortInstructions(recordSortKeys, recordContext.contextPath, '        ');
+      }
+      
+      // Grouped records: one row per distinct group-by value, written by the first record of each group
+      if (mappings.recordPath && mappings.recordGroupBy && mappings.recordGroupBy.trim()) {
+        const key = getGroupKey(mappings.recordGroupBy, recordContext.contextPath);
+        // Filtered out records belong to no group
+        const members = filterNodes(`key('records', ${key})`, recordFilter, recordContext.contextPath);
+        const isFirstOfGroup = `[generate-id() = generate-id(${members}[1])]`;
+        recordContext.usage.keys.push({ name: 'records', match: mappings.recordPath, use: key });
+        recordContext.group = { path: recordContext.contextPath, members };
+        if (recordSelect === rootSelect) {
+          recordMatch = `${recordPattern}${isFirstOfGroup}`;
         } else {
-          headerParts.push(flatName);
+          recordSelect += isFirstOfGroup;
         }
-      });
-      const headers = headerParts.join(delimiter);
+      }
+      
+      const { columns, variables } = buildFlatColumns(actualFields, recordContext);
+      const headers = columns.map(column => quoteCSVField(column.header, dialect)).join(dialect.delimiter);
+      const lineTerminator = LINE_TERMINATORS[dialect.lineTerminator] || '\n';
       
       let xslt = `<?xml version="1.0" encoding="UTF-8"?>
-  <xsl:stylesheet version="1.0" 
+  <xsl:stylesheet version="${version}" 
     xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
     ${nsDeclarations}
     ${defaultNS}
     ${excludeResultPrefixes}>
     
     <xsl:output method="text" encoding="UTF-8"/>
-    
+${generateKeyDeclarations(recordContext.usage, '    ')}${generateVariableDeclarations(mappings.variables, '    ')}    
     <!-- Root template -->
     <xsl:template match="/">
       <!-- Header row -->
-      <xsl:text>${headers}&#10;</xsl:text>
+      <xsl:text>${escapeFlatFileText(headers + lineTerminator)}</xsl:text>
       
       <!-- Data rows -->
-      <xsl:apply-templates select="${normalizeXPath(mappings.rootPath || '/*')}"/>
+      <xsl:apply-templates select="${recordSelect}"${recordSorts ? `>\n${recordSorts}      </xsl:apply-templates>` : '/>'}
     </xsl:template>
     
+    <!-- Text outside the records is not copied to the output -->
+    <xsl:template match="text()"/>
+    
     <!-- Data template -->
-    <xsl:template match="${mappings.recordPath || '*'}">
-  `;
+    <xsl:template match="${recordMatch}">
+${variables.map(variable => `    ${variable}\n`).join('')}  `;
   
       console.log('Step 4: Generating value extractions...');
-      // STEP 5: Generate value extraction for each field with formatting and error handling
-      const valueExtractions = [];
-      actualFields.forEach((mapping, mappingIndex) => {
-        const parsed = parseSourcePath(mapping.sourcePath);
-        const isLast = mappingIndex === actualFields.length - 1;
-        
-        // Handle multiple occurrences
-        if (mapping.occurs > 1) {
-          for (let i = 1; i <= mapping.occurs; i++) {
-            const isLastOccurrence = i === mapping.occurs && isLast;
-            const separator = isLastOccurrence ? '&#10;' : delimiter;
-            
-            valueExtractions.push(generateFlatFileValueExtraction(
-              mapping, 
-              parsed, 
-              separator, 
-              i
-            ));
-          }
-        } else {
-          const separator = isLast ? '&#10;' : delimiter;
-          valueExtractions.push(generateFlatFileValueExtraction(
-            mapping, 
-            parsed, 
-            separator, 
-            null
-          ));
-        }
+      // STEP 5: Generate value extraction for each column with formatting and error handling
+      const valueExtractions = columns.map((column, index) => {
+        const separator = escapeFlatFileText(index === columns.length - 1 ? lineTerminator : dialect.delimiter);
+        return generateFlatFileValueExtraction(column, separator, dialect, version);
       });
       
       xslt += valueExtractions.join('\n');
@@ -1426,7 +3383,7 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       xslt += `
     </xsl:template>
     
-  </xsl:stylesheet>`;
+${dialect.quoting !== 'never' ? `${generateCSVFieldTemplates(dialect, version)}    \n` : ''}  </xsl:stylesheet>`;
       
       console.log('Flat file XSLT generation complete');
       return xslt;
@@ -1441,7 +3398,20 @@ export function generateXMLTransform(mappings, namespaces = {}) {
    */
   export function generateXSLT(format, mappings, options = {}) {
     const namespaces = options.namespaces || {};
-    const delimiter = options.delimiter || ',';
+    const dialect = options.dialect || {};
+    
+    const lookupErrors = validateLookupTables(mappings.lookupTables);
+    if (lookupErrors.length > 0) {
+      throw new Error('Invalid lookup tables:\n' + lookupErrors.map(error => `- ${error}`).join('\n'));
+    }
+    
+    // Refuse to emit a stylesheet with malformed XPath expressions
+    const xpathErrors = validateMappingXPaths(mappings);
+    if (xpathErrors.length > 0) {
+      throw new Error('Invalid XPath expressions:\n' + xpathErrors
+        .map(error => `- ${error.label} "${error.expression}": ${error.message} at position ${error.position}`)
+        .join('\n'));
+    }
     
     switch (format.toLowerCase()) {
       case 'xml':
@@ -1450,9 +3420,17 @@ export function generateXMLTransform(mappings, namespaces = {}) {
       case 'json':
         return generateJSONTransform(mappings, namespaces);
       
+      case 'json1':
+        return generateJSONTextTransform(mappings, namespaces);
+      
       case 'flat':
-      case 'csv':
-        return generateFlatFileTransform(mappings, delimiter, namespaces);
+      case 'csv': {
+        const dialectError = getCSVDialectError(dialect);
+        if (dialectError) {
+          throw new Error(`Invalid CSV dialect: ${dialectError}`);
+        }
+        return generateFlatFileTransform(mappings, dialect, namespaces);
+      }
       
       default:
         throw new Error(`Unsupported output format: ${format}`);
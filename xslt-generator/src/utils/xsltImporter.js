@@ -0,0 +1,818 @@
+/**
+ * XSLT Importer Utility
+ * Reconstructs the mappings model consumed by generateXSLT from an existing stylesheet
+ */
+
+import { parseXML } from './xmlParser';
+import { getCSVDialect } from './csvDialect';
+
+const XSL_NS = 'http://www.w3.org/1999/XSL/Transform';
+
+/**
+ * Occurs value assigned to repeating JSON entries
+ * Any value above 1 makes the JSON generator emit an array
+ */
+const REPEATING_OCCURS = 2;
+
+/**
+ * Import an XSLT stylesheet
+ * Returns { outputFormat, mappings, warnings } where warnings lists every
+ * construct that could not be represented in the mappings model. Throws for
+ * stylesheets that cannot be imported at all, such as JSON written as text
+ */
+export function importXSLT(xsltString) {
+  const xsltDoc = parseXML(xsltString);
+  const stylesheet = xsltDoc.documentElement;
+
+  if (stylesheet.namespaceURI !== XSL_NS || !['stylesheet', 'transform'].includes(stylesheet.localName)) {
+    throw new Error('Root element must be xsl:stylesheet or xsl:transform');
+  }
+
+  const state = {
+    warnings: [],
+    fields: [],
+    importedTemplates: new Set(),
+    nextId: Date.now()
+  };
+
+  const outputFormat = detectOutputFormat(stylesheet);
+  const mappings = {
+    rootPath: '',
+    recordPath: '',
+    fields: state.fields
+  };
+
+  const version = stylesheet.getAttribute('version');
+  if ((outputFormat === 'xml' || outputFormat === 'flat') && version) {
+    mappings.xsltVersion = version;
+  }
+
+  const variables = [];
+  const templates = [];
+
+  getXSLChildren(stylesheet).forEach(child => {
+    switch (child.localName) {
+      case 'output':
+      case 'strip-space':
+      case 'preserve-space':
+        break;
+      case 'variable':
+        variables.push(importVariable(child, state));
+        break;
+      case 'param':
+        variables.push({ ...importVariable(child, state), isParam: true });
+        break;
+      case 'template':
+        templates.push(child);
+        break;
+      default:
+        warn(state, child, 'top-level declaration is not represented in the mappings');
+    }
+  });
+
+  if (variables.length > 0) {
+    mappings.variables = variables;
+  }
+
+  const mainTemplate = templates.find(t => t.getAttribute('match') === '/');
+  if (!mainTemplate) {
+    throw new Error('No <xsl:template match="/"> found');
+  }
+
+  switch (outputFormat) {
+    case 'json':
+      importJSONTemplate(mainTemplate, mappings, state);
+      break;
+    case 'flat':
+      importFlatFileTemplates(mainTemplate, templates, mappings, state);
+      break;
+    default:
+      importXMLTemplate(mainTemplate, mappings, state);
+  }
+
+  templates
+    .filter(t => t !== mainTemplate && !state.importedTemplates.has(t))
+    .forEach(t => warn(state, t, `template${t.getAttribute('match') ? ` match="${t.getAttribute('match')}"` : ''} is not represented in the mappings`));
+
+  return {
+    outputFormat,
+    mappings,
+    warnings: state.warnings
+  };
+}
+
+/**
+ * Determine the output format from <xsl:output method>
+ * Text output is a flat file, unless it is JSON written as text: the "JSON (XSLT 1.0 compatible)"
+ * layout, recognized by its json-string template, is not represented by the flat file import
+ */
+function detectOutputFormat(stylesheet) {
+  const output = getXSLChildren(stylesheet).find(el => el.localName === 'output');
+  const method = output ? output.getAttribute('method') : 'xml';
+
+  if (method === 'json') return 'json';
+  if (method === 'text') {
+    if (getXSLChildren(stylesheet).some(el => el.localName === 'template' && el.getAttribute('name') === 'json-string')) {
+      throw new Error('Stylesheets writing JSON as text (JSON, XSLT 1.0 compatible) cannot be imported; ' +
+        'import the project file or the XSLT 3.0 JSON stylesheet of the same mappings instead');
+    }
+    return 'flat';
+  }
+  return 'xml';
+}
+
+function getXSLChildren(element) {
+  return Array.from(element.children).filter(child => child.namespaceURI === XSL_NS);
+}
+
+function isXSL(node, localName) {
+  return node.nodeType === Node.ELEMENT_NODE &&
+    node.namespaceURI === XSL_NS &&
+    (!localName || node.localName === localName);
+}
+
+function warn(state, element, message) {
+  state.warnings.push(`<${element.nodeName}>: ${message}`);
+}
+
+/**
+ * Get the significant children of an instruction (elements and non-whitespace text)
+ */
+function getContentNodes(element) {
+  return Array.from(element.childNodes).filter(node =>
+    node.nodeType === Node.ELEMENT_NODE ||
+    (node.nodeType === Node.TEXT_NODE && node.textContent.trim())
+  );
+}
+
+/**
+ * Import a top-level xsl:variable or xsl:param as a constant or XPath variable
+ */
+function importVariable(element, state) {
+  const name = element.getAttribute('name');
+  const select = element.getAttribute('select');
+
+  if (!select) {
+    const value = element.textContent.trim();
+    if (getContentNodes(element).some(node => node.nodeType === Node.ELEMENT_NODE)) {
+      warn(state, element, `variable "${name}" has a sequence constructor; only its text is kept`);
+    }
+    return { name, value };
+  }
+
+  const literal = select.match(/^\s*'([^']*)'\s*$/) || select.match(/^\s*"([^"]*)"\s*$/);
+  if (literal) {
+    return { name, value: literal[1] };
+  }
+
+  return { name, xpath: select };
+}
+
+/**
+ * Check whether an expression is a plain location path (no function calls or operators)
+ */
+function isSimplePath(expr) {
+  return /^[\w.:@*/\-[\]='" ]+$/.test(expr) && !/\s(and|or|div|mod)\s/.test(expr);
+}
+
+/**
+ * Resolve a select expression against the path of the current for-each context
+ * contextPath is null for the document node
+ */
+function resolvePath(select, contextPath) {
+  const expr = select.trim();
+
+  if (expr.startsWith('/') || !contextPath) {
+    return expr.startsWith('/') ? expr : '/' + expr.replace(/^\.\//, '');
+  }
+
+  if (expr === '.') return contextPath;
+
+  const contextSteps = contextPath.replace(/\/+$/, '').split('/');
+  const steps = expr.replace(/^\.\//, '').split('/');
+
+  while (steps[0] === '..' && contextSteps.length > 1) {
+    steps.shift();
+    contextSteps.pop();
+  }
+
+  return [...contextSteps, ...steps.filter(step => step !== '.')].join('/');
+}
+
+/**
+ * Resolve a select expression, flagging expressions that are not plain paths
+ */
+function resolveSelect(select, contextPath, element, state) {
+  if (!isSimplePath(select)) {
+    warn(state, element, `expression "${select}" is not a plain path and was imported as-is`);
+    return select;
+  }
+  return resolvePath(select, contextPath);
+}
+
+/**
+ * Create a mapping field with the defaults used by MappingInterface
+ */
+function addField(state, properties) {
+  const targetPath = properties.targetPath;
+  const sourcePath = properties.sourcePath || '';
+
+  const field = {
+    id: state.nextId++,
+    sourcePath,
+    sourceType: /(^|\/)@[^/]+$/.test(sourcePath) ? 'attribute' : 'element',
+    targetName: targetPath,
+    targetPath,
+    fieldType: 'string',
+    occurs: 1,
+    required: true,
+    expanded: false,
+    ...properties
+  };
+
+  // Repeated literal blocks for the same component collapse into one mapping
+  const duplicate = field.fieldType === 'component' && state.fields.find(existing =>
+    existing.fieldType === 'component' &&
+    existing.targetPath === field.targetPath &&
+    existing.sourcePath === field.sourcePath
+  );
+  if (duplicate) return duplicate;
+
+  state.fields.push(field);
+  return field;
+}
+
+/**
+ * Read a literal result element's attributes in the rootElement/attributes format
+ */
+function importLiteralAttributes(element) {
+  return Array.from(element.attributes)
+    .filter(attr => !attr.name.startsWith('xmlns') && attr.namespaceURI !== XSL_NS)
+    .map(attr => {
+      const variable = attr.value.match(/^\{\$([\w.-]+)\}$/);
+      if (variable) {
+        return { name: attr.name, value: variable[1], isVariable: true };
+      }
+      const avt = attr.value.match(/^\{([^{}]+)\}$/);
+      if (avt) {
+        return { name: attr.name, xpath: avt[1] };
+      }
+      // {{ and }} are literal braces in an attribute value template
+      return { name: attr.name, value: attr.value.replace(/\{\{/g, '{').replace(/\}\}/g, '}'), isHardcoded: true };
+    });
+}
+
+/**
+ * Import an xsl:attribute instruction as an element attribute definition
+ */
+function importAttributeInstruction(element, contextPath, state) {
+  const name = element.getAttribute('name');
+  const valueOf = Array.from(element.children).find(child => isXSL(child, 'value-of'));
+
+  if (element.hasAttribute('select')) {
+    return { name, xpath: resolveSelect(element.getAttribute('select'), contextPath, element, state) };
+  }
+  if (valueOf) {
+    const variable = valueOf.getAttribute('select').match(/^\$([\w.-]+)$/);
+    return variable
+      ? { name, value: variable[1], isVariable: true }
+      : { name, xpath: resolveSelect(valueOf.getAttribute('select'), contextPath, valueOf, state) };
+  }
+  return { name, value: element.textContent.trim(), isHardcoded: true };
+}
+
+/**
+ * Check whether an instruction contains literal result elements
+ */
+function containsLiteralElement(element) {
+  return Array.from(element.getElementsByTagName('*')).some(el => el.namespaceURI !== XSL_NS);
+}
+
+/**
+ * Unwrap the xsl:choose pattern produced by older generator versions:
+ * <xsl:choose><xsl:when test="X"><xsl:value-of select="X"/></xsl:when><xsl:otherwise>...</xsl:otherwise></xsl:choose>
+ * Returns the value-of element or null when the choose is a real condition
+ */
+function unwrapGuardedValue(choose) {
+  const branches = getXSLChildren(choose);
+  const when = branches.filter(el => el.localName === 'when');
+  if (when.length !== 1) return null;
+
+  const valueOf = getXSLChildren(when[0]).find(el => el.localName === 'value-of');
+  if (!valueOf) return null;
+
+  const test = when[0].getAttribute('test');
+  const select = valueOf.getAttribute('select');
+  return select === test || select.includes(test) ? valueOf : null;
+}
+
+/**
+ * Import the single template of an XML stylesheet
+ */
+function importXMLTemplate(template, mappings, state) {
+  const content = getContentNodes(template).filter(node => !isXSL(node, 'comment'));
+  const literals = content.filter(node => node.nodeType === Node.ELEMENT_NODE && node.namespaceURI !== XSL_NS);
+
+  if (literals.length !== 1 || content.length !== 1) {
+    warn(state, template, 'expected a single literal root element; content outside it was skipped');
+  }
+
+  const root = literals[0];
+  if (!root) return;
+
+  mappings.rootElement = {
+    name: root.nodeName,
+    attributes: importLiteralAttributes(root)
+  };
+
+  Array.from(root.children)
+    .filter(child => isXSL(child, 'attribute'))
+    .forEach(attr => mappings.rootElement.attributes.push(importAttributeInstruction(attr, null, state)));
+
+  importXMLContent(root, [], null, state);
+}
+
+/**
+ * Walk the content of a literal result element
+ */
+function importXMLContent(parent, targetParts, contextPath, state) {
+  getContentNodes(parent).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+
+    if (node.namespaceURI !== XSL_NS) {
+      importXMLElement(node, targetParts, contextPath, null, state);
+      return;
+    }
+
+    switch (node.localName) {
+      case 'attribute':
+      case 'comment':
+        // Attributes are read by the owning element
+        break;
+
+      case 'for-each': {
+        const forEachPath = resolveSelect(node.getAttribute('select'), contextPath, node, state);
+        const repeated = getContentNodes(node).filter(child => !isXSL(child, 'sort'));
+
+        if (repeated.length === 1 && repeated[0].nodeType === Node.ELEMENT_NODE && repeated[0].namespaceURI !== XSL_NS) {
+          importXMLElement(repeated[0], targetParts, forEachPath, forEachPath, state);
+        } else {
+          warn(state, node, 'for-each must contain exactly one literal element to be imported as a repeating mapping');
+          importXMLContent(node, targetParts, forEachPath, state);
+        }
+
+        getXSLChildren(node)
+          .filter(child => child.localName === 'sort')
+          .forEach(sort => warn(state, sort, 'sort keys are not represented in the mappings'));
+        break;
+      }
+
+      case 'if':
+      case 'choose':
+        warn(state, node, 'conditional content is not represented; its branches were imported unconditionally');
+        importXMLContent(node, targetParts, contextPath, state);
+        break;
+
+      case 'when':
+      case 'otherwise':
+        importXMLContent(node, targetParts, contextPath, state);
+        break;
+
+      default:
+        warn(state, node, 'instruction is not represented in the mappings');
+    }
+  });
+}
+
+/**
+ * Import a literal result element as a leaf field or component
+ * forEachPath is set when the element is the body of an xsl:for-each
+ */
+function importXMLElement(element, targetParts, contextPath, forEachPath, state) {
+  const parts = [...targetParts, element.nodeName];
+  const targetPath = parts.join('/');
+  const content = getContentNodes(element).filter(node => !isXSL(node, 'attribute') && !isXSL(node, 'comment'));
+
+  const attributes = [
+    ...importLiteralAttributes(element),
+    ...Array.from(element.children)
+      .filter(child => isXSL(child, 'attribute'))
+      .map(attr => importAttributeInstruction(attr, contextPath, state))
+  ];
+  const extra = attributes.length > 0 ? { attributes } : {};
+  const repeat = forEachPath ? { forEachPath } : {};
+
+  const hasChildElements = content.some(node =>
+    node.nodeType === Node.ELEMENT_NODE &&
+    (node.namespaceURI !== XSL_NS || containsLiteralElement(node))
+  );
+
+  // Component: nested literal elements
+  if (hasChildElements) {
+    if (forEachPath || attributes.length > 0) {
+      addField(state, {
+        targetPath,
+        sourcePath: forEachPath || '',
+        fieldType: 'component',
+        ...repeat,
+        ...extra
+      });
+    }
+    importXMLContent(element, parts, contextPath, state);
+    return;
+  }
+
+  // Empty element
+  if (content.length === 0) {
+    addField(state, { targetPath, valueType: 'empty', ...repeat, ...extra });
+    return;
+  }
+
+  if (content.length === 1) {
+    const node = content[0];
+
+    // Literal text or xsl:text
+    if (node.nodeType === Node.TEXT_NODE || isXSL(node, 'text')) {
+      addField(state, { targetPath, valueType: 'hardcoded', hardcodedValue: node.textContent.trim(), ...repeat, ...extra });
+      return;
+    }
+
+    const valueOf = isXSL(node, 'value-of') ? node : (isXSL(node, 'choose') ? unwrapGuardedValue(node) : null);
+    if (valueOf) {
+      addField(state, {
+        targetPath,
+        sourcePath: resolveSelect(valueOf.getAttribute('select'), contextPath, valueOf, state),
+        ...repeat,
+        ...extra
+      });
+      return;
+    }
+  }
+
+  warn(state, element, `content of <${element.nodeName}> could not be mapped to a single value`);
+  const firstValue = element.getElementsByTagNameNS(XSL_NS, 'value-of')[0];
+  addField(state, {
+    targetPath,
+    sourcePath: firstValue ? resolveSelect(firstValue.getAttribute('select'), contextPath, firstValue, state) : '',
+    ...repeat,
+    ...extra
+  });
+}
+
+/**
+ * Read a map-entry key; the generator writes keys as string literals: key="'name'"
+ */
+function readMapKey(entry, state) {
+  const key = entry.getAttribute('key') || '';
+  const literal = key.match(/^\s*'([^']*)'\s*$/) || key.match(/^\s*"([^"]*)"\s*$/);
+
+  if (literal) return literal[1];
+
+  warn(state, entry, `key "${key}" is not a string literal and was imported as a name`);
+  return key.replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Get the path inside the string conversion the JSON generator wraps a value in:
+ * string-join(path, ' ') for string values, string((path)[1]) for currency codes
+ */
+function unwrapJSONString(select) {
+  const value = (select || '').trim();
+  const joined = value.match(/^string-join\((.*), ' '\)$/);
+  const first = value.match(/^string\(\((.*)\)\[1\]\)$/);
+  return (joined || first || [null, value])[1];
+}
+
+/**
+ * Import the template of a JSON (XSLT 3.0) stylesheet
+ */
+function importJSONTemplate(template, mappings, state) {
+  const map = getXSLChildren(template).find(el => el.localName === 'map');
+  if (!map) {
+    warn(state, template, 'expected an <xsl:map> result; nothing was imported');
+    return;
+  }
+
+  let container = map;
+  let contextPath = null;
+  const wrappers = getXSLChildren(map);
+
+  // The generator wraps all entries in <xsl:for-each select="rootPath">
+  if (wrappers.length === 1 && wrappers[0].localName === 'for-each') {
+    mappings.rootPath = wrappers[0].getAttribute('select');
+    contextPath = resolveSelect(mappings.rootPath, null, wrappers[0], state);
+    container = wrappers[0];
+  }
+
+  importJSONEntries(container, [], contextPath, state);
+}
+
+/**
+ * Walk the map-entry children of an xsl:map
+ */
+function importJSONEntries(parent, targetParts, contextPath, state) {
+  getXSLChildren(parent).forEach(node => {
+    if (node.localName === 'map-entry') {
+      importJSONEntry(node, targetParts, contextPath, state);
+    } else if (node.localName === 'if' || node.localName === 'choose') {
+      warn(state, node, 'conditional entries are not represented; they were imported unconditionally');
+      importJSONEntries(node, targetParts, contextPath, state);
+    } else if (node.localName === 'when' || node.localName === 'otherwise') {
+      importJSONEntries(node, targetParts, contextPath, state);
+    } else {
+      warn(state, node, 'instruction is not represented in the mappings');
+    }
+  });
+}
+
+/**
+ * Import one xsl:map-entry as a field, nested object or array
+ */
+function importJSONEntry(entry, targetParts, contextPath, state) {
+  const parts = [...targetParts, readMapKey(entry, state)];
+  const targetPath = parts.join('/');
+
+  if (entry.hasAttribute('select')) {
+    addField(state, { targetPath, sourcePath: resolveSelect(unwrapJSONString(entry.getAttribute('select')), contextPath, entry, state) });
+    return;
+  }
+
+  const content = getXSLChildren(entry);
+  const node = content[0];
+
+  const items = getArrayVariable(content);
+  if (items) {
+    importJSONArray(items, parts, contextPath, state);
+    return;
+  }
+
+  if (content.length !== 1) {
+    warn(state, entry, 'entry must contain a single value, map or array');
+    if (!node) return;
+  }
+
+  switch (node.localName) {
+    case 'value-of':
+    case 'sequence':
+      addField(state, { targetPath, sourcePath: resolveSelect(unwrapJSONString(node.getAttribute('select')), contextPath, node, state) });
+      break;
+
+    case 'map':
+      importJSONEntries(node, parts, contextPath, state);
+      break;
+
+    case 'choose': {
+      const valueOf = unwrapGuardedValue(node);
+      if (valueOf) {
+        addField(state, { targetPath, sourcePath: resolveSelect(valueOf.getAttribute('select'), contextPath, valueOf, state) });
+      } else {
+        warn(state, node, 'conditional values are not represented');
+      }
+      break;
+    }
+
+    default:
+      warn(state, node, 'instruction is not represented in the mappings');
+  }
+}
+
+/**
+ * Get the variable holding the items of a JSON array: the generator writes arrays as
+ * <xsl:variable name="items" as="item()*"> followed by <xsl:sequence select="array { $items }"/>.
+ * Returns null for other map-entry content
+ */
+function getArrayVariable(content) {
+  if (content.length !== 2 || content[0].localName !== 'variable' || content[1].localName !== 'sequence') return null;
+
+  const array = (content[1].getAttribute('select') || '').match(/^\s*array\s*\{\s*\$([^\s{}]+)\s*\}\s*$/);
+  return array && array[1] === content[0].getAttribute('name') ? content[0] : null;
+}
+
+/**
+ * Import the xsl:for-each collecting the items of a JSON array as a repeating field or component
+ */
+function importJSONArray(items, parts, contextPath, state) {
+  const targetPath = parts.join('/');
+  const forEach = getXSLChildren(items).find(el => el.localName === 'for-each');
+  if (!forEach) {
+    warn(state, items, 'array without xsl:for-each is not represented');
+    return;
+  }
+
+  const itemPath = resolveSelect(forEach.getAttribute('select'), contextPath, forEach, state);
+  const item = getXSLChildren(forEach).find(el => el.localName !== 'sort');
+
+  if (item && item.localName === 'map') {
+    addField(state, { targetPath, sourcePath: itemPath, fieldType: 'component', occurs: REPEATING_OCCURS });
+    importJSONEntries(item, parts, itemPath, state);
+  } else if (item && (item.localName === 'value-of' || item.localName === 'sequence')) {
+    addField(state, {
+      targetPath,
+      sourcePath: resolveSelect(unwrapJSONString(item.getAttribute('select')), itemPath, item, state),
+      occurs: REPEATING_OCCURS
+    });
+  } else {
+    warn(state, forEach, 'array items must be a value or a map');
+  }
+}
+
+/**
+ * Import a flat file stylesheet: header row in the root template and one
+ * column per value in the record template
+ */
+function importFlatFileTemplates(mainTemplate, templates, mappings, state) {
+  const headerText = getXSLChildren(mainTemplate)
+    .filter(el => el.localName === 'text')
+    .map(el => el.textContent)
+    .join('')
+    .split('\n')[0];
+
+  const applyTemplates = getXSLChildren(mainTemplate).find(el => el.localName === 'apply-templates');
+  if (applyTemplates) {
+    mappings.rootPath = applyTemplates.getAttribute('select') || '';
+  }
+
+  // Generated stylesheets drop the text outside the records with an empty text() template
+  templates
+    .filter(t => t.getAttribute('match') === 'text()' && getContentNodes(t).length === 0)
+    .forEach(t => state.importedTemplates.add(t));
+
+  const recordTemplate = templates.find(t => t !== mainTemplate && t.hasAttribute('match') && !state.importedTemplates.has(t));
+  if (!recordTemplate) {
+    warn(state, mainTemplate, 'no record template found; only the header was read');
+    return;
+  }
+
+  state.importedTemplates.add(recordTemplate);
+  mappings.recordPath = recordTemplate.getAttribute('match');
+
+  const delimiter = detectDelimiter(recordTemplate, headerText);
+  const dialect = importCSVDialect(templates, recordTemplate, delimiter, state);
+  if (Object.keys(dialect).length > 0) {
+    mappings.csvDialect = dialect;
+  }
+
+  const headers = headerText ? splitCSVHeader(headerText.trim(), dialect).map(h => h.trim()) : [];
+  const columns = collectFlatColumns(recordTemplate, delimiter);
+
+  if (headers.length !== columns.length) {
+    warn(state, recordTemplate, `header has ${headers.length} columns but the record template writes ${columns.length} values`);
+  }
+
+  const recordContext = mappings.recordPath.startsWith('/') ? mappings.recordPath : '//' + mappings.recordPath;
+
+  for (let i = 0; i < columns.length; i++) {
+    const header = headers[i] || `column${i + 1}`;
+    const column = columns[i];
+
+    if (!column.select) {
+      warn(state, recordTemplate, `column "${header}" has no xsl:value-of and was imported as empty`);
+      addField(state, { targetPath: header.replace(/\./g, '/'), valueType: 'empty' });
+      continue;
+    }
+
+    // Collapse indexed columns (name_1, name_2 with select path[1], path[2]) into one mapping with occurs
+    const indexed = header.match(/^(.+)_1$/);
+    const indexedSelect = column.select.match(/^(.+)\[1\](.*)$/);
+    if (indexed && indexedSelect) {
+      let occurs = 1;
+      while (
+        i + occurs < columns.length &&
+        headers[i + occurs] === `${indexed[1]}_${occurs + 1}` &&
+        columns[i + occurs].select === `${indexedSelect[1]}[${occurs + 1}]${indexedSelect[2]}`
+      ) {
+        occurs++;
+      }
+
+      if (occurs > 1) {
+        addField(state, {
+          targetPath: indexed[1].replace(/\./g, '/'),
+          sourcePath: resolveSelect(indexedSelect[1] + indexedSelect[2], recordContext, column.element, state),
+          occurs
+        });
+        i += occurs - 1;
+        continue;
+      }
+    }
+
+    addField(state, {
+      targetPath: header.replace(/\./g, '/'),
+      sourcePath: resolveSelect(column.select, recordContext, column.element, state)
+    });
+  }
+}
+
+/**
+ * Determine the column delimiter from the record template's xsl:text separators
+ */
+function detectDelimiter(recordTemplate, headerText) {
+  const separators = getXSLChildren(recordTemplate)
+    .filter(el => el.localName === 'text')
+    .map(el => el.textContent)
+    .filter(text => text.length === 1 && text !== '\n' && text !== '\r');
+
+  if (separators.length > 0) return separators[0];
+
+  return [',', ';', '\t', '|'].find(candidate => headerText.includes(candidate)) || ',';
+}
+
+/**
+ * Read the CSV dialect settings that differ from the defaults: the delimiter, a CRLF line
+ * terminator and the quoting of the csv-field template (values are never quoted without one)
+ */
+function importCSVDialect(templates, recordTemplate, delimiter, state) {
+  const dialect = {};
+  const defaults = getCSVDialect();
+
+  if (delimiter !== defaults.delimiter) dialect.delimiter = delimiter;
+  if (getXSLChildren(recordTemplate).some(el => el.localName === 'text' && el.textContent === '\r\n')) {
+    dialect.lineTerminator = 'CRLF';
+  }
+
+  const fieldTemplate = templates.find(t => t.getAttribute('name') === 'csv-field');
+  if (!fieldTemplate) {
+    dialect.quoting = 'never';
+    return dialect;
+  }
+
+  templates
+    .filter(t => t.getAttribute('name') === 'csv-field' || t.getAttribute('name') === 'csv-replace')
+    .forEach(t => state.importedTemplates.add(t));
+
+  if (!getXSLChildren(fieldTemplate).some(el => el.localName === 'choose')) dialect.quoting = 'always';
+
+  const quote = fieldTemplate.getElementsByTagNameNS(XSL_NS, 'text')[0];
+  if (quote && quote.textContent !== defaults.quoteChar) dialect.quoteChar = quote.textContent;
+
+  // Backslashes are escaped first: by a backslashes variable in XSLT 1.0, a nested replace() in 2.0+
+  const escapesBackslashes = Array.from(fieldTemplate.getElementsByTagNameNS(XSL_NS, '*')).some(el =>
+    (el.localName === 'variable' && el.getAttribute('name') === 'backslashes') ||
+    (el.localName === 'value-of' && (el.getAttribute('select') || '').startsWith('replace(replace('))
+  );
+  if (escapesBackslashes) dialect.escape = 'backslash';
+
+  return dialect;
+}
+
+/**
+ * Split a header row written in the dialect into its cells, removing quotes and escapes
+ * Delimiters inside quotes belong to the cell
+ */
+function splitCSVHeader(text, dialect) {
+  const { delimiter, quoteChar, quoting, escape } = getCSVDialect(dialect);
+  if (quoting === 'never') return text.split(delimiter);
+
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length) {
+    if (quoted && escape === 'backslash' && text[i] === '\\') {
+      cell += text.charAt(i + 1);
+      i += 2;
+    } else if (quoted && text[i] === quoteChar && escape === 'double' && text[i + 1] === quoteChar) {
+      cell += quoteChar;
+      i += 2;
+    } else if (text[i] === quoteChar) {
+      quoted = !quoted;
+      i++;
+    } else if (!quoted && text.startsWith(delimiter, i)) {
+      cells.push(cell);
+      cell = '';
+      i += delimiter.length;
+    } else {
+      cell += text[i];
+      i++;
+    }
+  }
+
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Split the record template into columns: each delimiter or line terminator xsl:text closes a column
+ */
+function collectFlatColumns(recordTemplate, delimiter) {
+  const columns = [];
+  let current = null;
+
+  getContentNodes(recordTemplate).forEach(node => {
+    if (isXSL(node, 'text') && [delimiter, '\n', '\r\n'].includes(node.textContent)) {
+      columns.push(current || { select: null, element: node });
+      current = null;
+      return;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || current) return;
+
+    const valueOf = isXSL(node, 'value-of') ? node : node.getElementsByTagNameNS(XSL_NS, 'value-of')[0];
+    if (valueOf) {
+      current = { select: valueOf.getAttribute('select'), element: valueOf };
+    }
+  });
+
+  if (current) columns.push(current);
+  return columns;
+}
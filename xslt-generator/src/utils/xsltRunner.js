@@ -0,0 +1,168 @@
+/**
+ * XSLT Runner Utility
+ * Applies generated stylesheets to the loaded XML using the browser's XSLTProcessor
+ */
+
+import { parseXML } from './xmlParser';
+
+/**
+ * Read the version attribute from an XSLT stylesheet string
+ */
+export function getStylesheetVersion(xsltString) {
+  if (!xsltString) return null;
+
+  const match = xsltString.match(/<xsl:stylesheet[^>]*?\sversion="([^"]+)"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check whether a stylesheet can be executed by the browser's XSLT 1.0 processor
+ */
+export function canRunInBrowser(xsltString) {
+  return typeof XSLTProcessor !== 'undefined' && getStylesheetVersion(xsltString) === '1.0';
+}
+
+const XSL_NS = 'http://www.w3.org/1999/XSL/Transform';
+
+/**
+ * List the top-level xsl:param declarations of a stylesheet as [{ name, select }]
+ * select is the default value expression; returns an empty list for malformed stylesheets
+ */
+export function getStylesheetParameters(xsltString) {
+  if (!xsltString) return [];
+
+  try {
+    const stylesheet = parseXML(xsltString).documentElement;
+    return Array.from(stylesheet.children)
+      .filter(el => el.namespaceURI === XSL_NS && el.localName === 'param' && el.getAttribute('name'))
+      .map(el => ({ name: el.getAttribute('name'), select: el.getAttribute('select') || '' }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get the output method declared by <xsl:output>, defaulting to xml
+ */
+function getOutputMethod(xsltDoc) {
+  const output = xsltDoc.getElementsByTagNameNS(XSL_NS, 'output')[0];
+  return (output && output.getAttribute('method')) || 'xml';
+}
+
+/**
+ * Serialize a result document with indentation
+ * Browsers ignore indent="yes", so the tree is re-indented here for display
+ */
+function serializeIndented(node, indent = '') {
+  if (node.nodeType === Node.DOCUMENT_NODE) {
+    return Array.from(node.childNodes)
+      .map(child => serializeIndented(child, indent))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  if (node.nodeType === Node.TEXT_NODE) {
+    const text = node.textContent.trim();
+    return text ? indent + escapeText(text) : '';
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return indent + new XMLSerializer().serializeToString(node);
+  }
+
+  const attributes = Array.from(node.attributes)
+    .map(attr => ` ${attr.name}="${escapeText(attr.value).replace(/"/g, '&quot;')}"`)
+    .join('');
+  const children = Array.from(node.childNodes).filter(child =>
+    child.nodeType !== Node.TEXT_NODE || child.textContent.trim()
+  );
+
+  if (children.length === 0) {
+    return `${indent}<${node.nodeName}${attributes}/>`;
+  }
+
+  // Keep simple text content on a single line
+  if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+    return `${indent}<${node.nodeName}${attributes}>${escapeText(children[0].textContent)}</${node.nodeName}>`;
+  }
+
+  const inner = children
+    .map(child => serializeIndented(child, indent + '  '))
+    .filter(Boolean)
+    .join('\n');
+
+  return `${indent}<${node.nodeName}${attributes}>\n${inner}\n${indent}</${node.nodeName}>`;
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Apply an XSLT 1.0 stylesheet to an XML document
+ * parameters (name -> string) are passed to the top-level xsl:param declarations;
+ * parameters that are not set keep their default value.
+ * Returns the serialized result, its type ('xml' or 'text'), any error and the run time in ms
+ */
+export function runXSLT(xsltString, xmlString, parameters = {}) {
+  const start = performance.now();
+  const result = {
+    success: false,
+    output: '',
+    outputType: 'xml',
+    error: null,
+    duration: 0
+  };
+
+  try {
+    if (typeof XSLTProcessor === 'undefined') {
+      throw new Error('This browser does not provide an XSLTProcessor');
+    }
+
+    if (!xmlString) {
+      throw new Error('No XML document loaded');
+    }
+
+    const version = getStylesheetVersion(xsltString);
+    if (version !== '1.0') {
+      throw new Error(`The browser can only run XSLT 1.0 stylesheets (this stylesheet declares version ${version || 'unknown'})`);
+    }
+
+    const xsltDoc = parseXML(xsltString);
+    const xmlDoc = parseXML(xmlString);
+    const method = getOutputMethod(xsltDoc);
+
+    const processor = new XSLTProcessor();
+    processor.importStylesheet(xsltDoc);
+    Object.entries(parameters).forEach(([name, value]) => {
+      if (value !== undefined) processor.setParameter(null, name, value);
+    });
+
+    const resultDoc = processor.transformToDocument(xmlDoc);
+
+    // Chrome and Safari return null instead of throwing when the transformation fails
+    if (!resultDoc || !resultDoc.documentElement) {
+      throw new Error('The XSLT processor could not apply the stylesheet (see the browser console for details)');
+    }
+
+    const parserError = resultDoc.querySelector('parsererror');
+    if (parserError) {
+      throw new Error(parserError.textContent);
+    }
+
+    if (method === 'text') {
+      // Text output is wrapped in <transformiix:result> (Firefox) or <html><body><pre> (Chrome)
+      result.outputType = 'text';
+      result.output = resultDoc.documentElement.textContent;
+    } else {
+      result.output = serializeIndented(resultDoc);
+    }
+
+    result.success = true;
+  } catch (err) {
+    result.error = err.message || String(err);
+  }
+
+  result.duration = performance.now() - start;
+  return result;
+}